@@ -1,16 +1,31 @@
 import React from 'react'
 import CanvasPreview from './components/CanvasPreview'
 import ControlsPanel from './components/ControlsPanel'
+import ShareLinkPrompt from './components/ShareLinkPrompt'
 import { usePlatesStore } from './store/usePlatesStore'
+import { useHistoryShortcuts } from './hooks/useHistoryShortcuts'
 
 export default function App() {
   const plates = usePlatesStore(s => s.plates)
   const motif = usePlatesStore(s => s.motifUrl)
+  const framing = usePlatesStore(s => s.framing)
+  const mirror = usePlatesStore(s => s.mirror)
+  const arrangement = usePlatesStore(s => s.arrangement)
+  const adjustments = usePlatesStore(s => s.adjustments)
+  useHistoryShortcuts()
 
   return (
     <div className="container">
-      <CanvasPreview plates={plates} motifUrl={motif} />
+      <CanvasPreview
+        plates={plates}
+        motifUrl={motif}
+        framing={framing}
+        mirror={mirror}
+        arrangement={arrangement}
+        adjustments={adjustments}
+      />
       <ControlsPanel />
+      <ShareLinkPrompt />
     </div>
   )
 }
\ No newline at end of file
@@ -4,22 +4,61 @@
  * Purpose:
  * - Renders a realistic visual preview of a multi-plate layout (units in cm),
  *   using a single shared "motif" image mapped across all plates.
- * - Automatically mirror-extends the motif when the total width exceeds 300 cm,
- *   per spec, to preserve visual coverage on very wide panoramas.
- * - Provides an optional PNG export (offscreen canvas).
+ * - Mirror-extends (or repeats) the motif per the mirror settings — by default
+ *   when the total width exceeds 300 cm, per spec — to preserve visual
+ *   coverage on very wide (or tall) layouts.
+ * - Opens the image export (density, format, background, see ExportDialog).
+ * - Opens the print-production export (per-plate files, see PrintExportDialog).
+ * - Downloads a PDF specification sheet (see utils/pdfExport).
+ * - Lets the user pan (drag) and zoom (wheel / pinch) the motif; the framing
+ *   lives in the store and feeds every computeCover call (preview + exports).
+ * - Accepts image files dropped onto the preview as the new motif
+ *   (stored in IndexedDB, see utils/motifStorage).
+ * - Shows plate cutouts (sockets etc.) as holes; invalid ones in red.
+ * - Shows the motif adjustments (see utils/adjustments): flips / rotation are
+ *   part of the prepared strip, colours a CSS filter on the motif — the same
+ *   filter the exports draw with. "Before/after" shows the unadjusted motif.
+ * - Warns in the header when the motif's effective print resolution is below
+ *   the configured thresholds (see utils/printQuality).
+ * - Click a plate to select it (the matching card in ControlsPanel is
+ *   highlighted and scrolled into view, and vice versa). The selected plate
+ *   gets handles on its right and top edge to resize it (usePlateResize),
+ *   with a live dimension tooltip.
  *
  * Notes:
- * - CORS: PNG export (toDataURL) requires a CORS-allowed image source.
- *   If not, export will fail — caller is notified via alert.
- * - Performance: mirroring uses an offscreen <canvas> once per change; preview
+ * - CORS: the exports (encoding the canvas) require a CORS-allowed image source.
+ *   If not, export will fail — the dialog notifies via alert. Uploaded motifs
+ *   are served as same-origin object URLs and always export fine.
+ * - Performance: decoding, mirror extension and all export rendering run in
+ *   the render worker (utils/renderClient), with a keyed bitmap cache;
+ *   size / mirror edits re-extend the motif only after a short pause, and a
+ *   newer request cancels a stale one.
  */
 
 import React, { useEffect, useMemo, useRef, useState } from "react";
-import {
-  computeCover,
-  loadImage,
-  mirrorExtendHorizontal,
-} from "../utils/imageUtils";
+import { computeCover } from "../utils/imageUtils";
+import { DEFAULT_ADJUSTMENTS, adjustmentFilter } from "../utils/adjustments";
+import { computeLayout } from "../utils/layoutUtils";
+import { cutoutRect, validateCutouts } from "../utils/cutoutUtils";
+import { resolveMirror } from "../utils/renderUtils";
+import { prepareMotif } from "../utils/renderClient";
+import { isLocalMotif } from "../utils/motifStorage";
+import { getCatalogMotif, motifTitle } from "../utils/motifCatalog";
+import { useMotifSource } from "../hooks/useMotifSource";
+import { useMotifUpload } from "../hooks/useMotifUpload";
+import { usePricing } from "../hooks/usePricing";
+import { usePrintQuality } from "../hooks/usePrintQuality";
+import { useMotifSize } from "../hooks/useMotifSize";
+import { useFramingGestures } from "../hooks/useFramingGestures";
+import { usePlateResize } from "../hooks/usePlateResize";
+import { formatLength } from "../utils/units";
+import { usePlatesStore } from "../store/usePlatesStore";
+import ExportDialog from "./ExportDialog";
+import PrintExportDialog from "./PrintExportDialog";
+import { useTranslation } from "../hooks/useTranslation";
+
+/** Pause after a size / mirror edit before the motif is re-extended (ms). */
+const MOTIF_DEBOUNCE_MS = 150;
 
 /**
  * useElementSize
@@ -59,84 +98,151 @@ function useElementSize() {
  *
  * Props:
  *  - plates: Array<{ id: string, widthCm: number, heightCm: number }>
- *  - motifUrl: string (URL or DataURL) for the shared motif image
+ *  - motifUrl: string motif reference — URL, DataURL or `idb:<id>` for uploads
+ *  - framing: { zoom, focusX, focusY } motif framing from the store
+ *  - mirror: { mode, thresholdCm, tiling } mirror settings from the store
+ *  - arrangement: { gapCm, gapMode, align } joints + alignment (see utils/layoutUtils)
+ *  - adjustments: motif adjustments from the store (see utils/adjustments)
  *
  * Coordinate systems:
  *  - "Virtual space" is measured in centimeters (cm) to match the spec.
  *  - I compute a scale factor to map cm -> screen pixels based on available space.
  */
-export default function CanvasPreview({ plates, motifUrl }) {
+export default function CanvasPreview({
+  plates,
+  motifUrl,
+  framing,
+  mirror,
+  arrangement,
+  adjustments,
+}) {
   const { ref, size } = useElementSize();
+  const innerRef = useRef(null);
+  const resetFraming = usePlatesStore((s) => s.resetFraming);
+  const [showFocus, setShowFocus] = useState(false);
+  const { src: motifSrc, meta: motifMeta } = useMotifSource(motifUrl);
+  const { upload, busy, error: uploadError } = useMotifUpload();
+  const [dropActive, setDropActive] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [printOpen, setPrintOpen] = useState(false);
+  const { quote } = usePricing();
+  const quality = usePrintQuality();
+  const thresholds = usePlatesStore((s) => s.qualityThresholds);
+  const showOriginal = usePlatesStore((s) => s.showOriginal);
+  const motifCatalogId = usePlatesStore((s) => s.motifCatalogId);
+  const motifSize = useMotifSize();
+  const selectedId = usePlatesStore((s) => s.selectedPlateId);
+  const selectPlate = usePlatesStore((s) => s.selectPlate);
+  const unit = usePlatesStore((s) => s.unit);
+  const inchFraction = usePlatesStore((s) => s.inchFraction);
+  const { t } = useTranslation();
 
   // imgInfo stores the final image that will be painted:
   //  - either the original motif
-  //  - or a mirror-extended version (DataURL)
+  //  - or a mirror-extended version (object URL, revoked when replaced)
+  // plus `motif`, its description for the exports (see renderClient)
   const [imgInfo, setImgInfo] = useState(null);
+  useEffect(() => () => imgInfo?.revoke(), [imgInfo]);
+  // Source of the motif currently painted (debounce only re-extensions)
+  const loadedSrc = useRef(null);
+
+  // Adjustments as painted: none while comparing with the original
+  const shown = showOriginal ? DEFAULT_ADJUSTMENTS : adjustments;
+  // Only the orientation changes the prepared strip; colours are a CSS filter
+  const orientation = useMemo(
+    () => ({
+      ...DEFAULT_ADJUSTMENTS,
+      flipX: shown.flipX,
+      flipY: shown.flipY,
+      rotation: shown.rotation,
+    }),
+    [shown.flipX, shown.flipY, shown.rotation]
+  );
+
+  // The motif as exported: always with every adjustment
+  const exportInfo = useMemo(
+    () => imgInfo && { ...imgInfo, motif: { ...imgInfo.motif, adjustments } },
+    [imgInfo, adjustments]
+  );
 
   /**
-   * Derived virtual canvas dimensions (in cm):
-   * - totalW: sum of all plate widths (for the unified background)
-   * - maxH:   max of plate heights (all plates sit on the same baseline)
+   * Derived layout in virtual space (cm), see utils/layoutUtils:
+   * - totalW / maxH: size of the wall incl. joints
+   * - motifW / motifH: area the motif is covered onto (joints left out when
+   *   the arrangement compresses them)
+   * - offsets: top-left corner of each plate, on the wall and in motif space
    *
    * Memoized to avoid recalculation on unrelated renders.
    */
-  const virtual = useMemo(() => {
-    const totalW = plates.reduce((acc, p) => acc + p.widthCm, 0);
-    const maxH = plates.reduce((m, p) => Math.max(m, p.heightCm), 0);
-    return { totalW, maxH };
-  }, [plates]);
+  const layout = useMemo(
+    () => computeLayout(plates, arrangement),
+    [plates, arrangement]
+  );
+  const virtual = useMemo(
+    () => ({
+      totalW: layout.totalW,
+      maxH: layout.maxH,
+      motifW: layout.motifW,
+      motifH: layout.motifH,
+    }),
+    [layout.totalW, layout.maxH, layout.motifW, layout.motifH]
+  );
+  const offsets = layout.offsets;
+
+  /** Ids of cutouts with validation problems (outlined red in the preview). */
+  const invalidCutouts = useMemo(
+    () => new Set(plates.flatMap((p) => validateCutouts(p).map((e) => e.id))),
+    [plates]
+  );
 
   /**
    * Load the motif (or mirror-extended motif) whenever:
-   * - motifUrl changes
+   * - the resolved motif source changes
    * - virtual dimensions change (totalW/maxH affects aspect comparison)
+   * - the mirror settings change
+   * - the orientation (flips / rotation) changes
    *
-   * Spec rule:
-   * - Mirror-extend iff total width > 300 cm
+   * Rule (implemented in renderUtils.resolveMirror):
+   * - Default: mirror-extend iff total width > 300 cm and the motif is
+   *   narrower than the layout
    *
    * Best practices:
-   * - Guard against setState after unmount (isMounted flag).
+   * - A new motif loads right away; size / mirror edits wait for a pause in
+   *   typing (MOTIF_DEBOUNCE_MS) and keep showing the previous strip.
+   * - A newer request aborts the stale one (also on unmount).
    * - Clamp generated canvas width in mirrorExtendHorizontal (util handles it).
    */
   useEffect(() => {
-    let isMounted = true;
+    if (!motifSrc) return;
+    const ctrl = new AbortController();
+    const delay = loadedSrc.current === motifSrc ? MOTIF_DEBOUNCE_MS : 0;
+
+    const timer = setTimeout(() => {
+      prepareMotif(motifSrc, virtual, {
+        mirror,
+        adjustments: orientation,
+        signal: ctrl.signal,
+      })
+        .then((info) => {
+          if (ctrl.signal.aborted) {
+            info.revoke();
+            return;
+          }
+          loadedSrc.current = motifSrc;
+          setImgInfo(info);
+        })
+        .catch((e) => {
+          if (e.name === "AbortError") return;
+          console.error("Failed to load motif", e);
+          setImgInfo(null);
+        });
+    }, delay);
 
-    async function run() {
-      try {
-        const img = await loadImage(motifUrl);
-
-        const shouldMirror = virtual.totalW > 300;
-
-        if (shouldMirror) {
-          const neededWidth = Math.min(
-            Math.ceil(
-              img.height * (virtual.totalW / Math.max(1, virtual.maxH))
-            ),
-            8192 // safety cap, also enforced in the util
-          );
-
-          const dataUrl = mirrorExtendHorizontal(img, neededWidth);
-          if (!isMounted) return;
-
-          const extended = await loadImage(dataUrl);
-          if (!isMounted) return;
-
-          setImgInfo({ url: dataUrl, w: extended.width, h: extended.height });
-        } else {
-          if (!isMounted) return;
-          setImgInfo({ url: motifUrl, w: img.width, h: img.height });
-        }
-      } catch (e) {
-        console.error("Failed to load motif", e);
-        setImgInfo(null);
-      }
-    }
-
-    run();
     return () => {
-      isMounted = false;
+      ctrl.abort();
+      clearTimeout(timer);
     };
-  }, [motifUrl, virtual.totalW, virtual.maxH]);
+  }, [motifSrc, virtual, mirror, orientation]);
 
   /**
    * Compute the preview scale (cm -> px) so the whole virtual canvas fits
@@ -153,34 +259,23 @@ export default function CanvasPreview({ plates, motifUrl }) {
     return { scale: isFinite(s) ? s : 1 };
   }, [size, virtual]);
 
-  /**
-   * For positioning each plate in the unified virtual canvas:
-   * - x0: accumulated width of previous plates
-   * - y0: baseline alignment so plate bottoms sit on the same line
-   */
-  const offsets = useMemo(() => {
-    let x = 0;
-    return plates.map((p) => {
-      const off = { x0: x, y0: virtual.maxH - p.heightCm };
-      x += p.widthCm;
-      return off;
-    });
-  }, [plates, virtual.maxH]);
-
   /**
    * Background mapping parameters for a single "cover" image painted behind all plates.
    * I reuse these with CSS background props on each plate so the image aligns seamlessly.
    *
-   * - computeCover gives us the scaled image size and the offsets required to center-crop.
-   * - posX/posY convert from cm-space offsets to CSS px-space based on the preview scale.
+   * - computeCover gives us the scaled image size and the crop offsets for the
+   *   current framing (zoom + focal point; centered by default).
+   * - posX/posY convert from motif-space offsets (cm) to CSS px-space based on the preview scale.
+   * - focus: where the focal point currently lands, in preview px (for the marker).
    */
   const bg = useMemo(() => {
     if (!imgInfo) return null;
     const cover = computeCover(
       imgInfo.w,
       imgInfo.h,
-      virtual.totalW,
-      virtual.maxH
+      virtual.motifW,
+      virtual.motifH,
+      framing
     );
     const s = preview.scale;
     return {
@@ -188,116 +283,193 @@ export default function CanvasPreview({ plates, motifUrl }) {
       sizeH: cover.scaledH * s,
       posX: (xCm) => -(xCm + cover.offsetX) * s,
       posY: (yCm) => -(yCm + cover.offsetY) * s,
+      focus: {
+        x: (framing.focusX * cover.scaledW - cover.offsetX) * s,
+        y: (framing.focusY * cover.scaledH - cover.offsetY) * s,
+      },
       url: imgInfo.url,
+      filter: adjustmentFilter(shown),
     };
-  }, [imgInfo, virtual.totalW, virtual.maxH, preview.scale]);
+  }, [imgInfo, virtual.motifW, virtual.motifH, preview.scale, framing, shown]);
+
+  /** Pan / zoom gestures on the preview (disabled until the motif is loaded). */
+  const gestureMetrics = useMemo(
+    () =>
+      imgInfo
+        ? {
+            imgW: imgInfo.w,
+            imgH: imgInfo.h,
+            totalW: virtual.motifW,
+            maxH: virtual.motifH,
+            scale: preview.scale,
+          }
+        : null,
+    [imgInfo, virtual.motifW, virtual.motifH, preview.scale]
+  );
+  useFramingGestures(innerRef, gestureMetrics);
+  const { resizing, handleProps } = usePlateResize(preview.scale);
 
   /**
-   * Export the current preview as a PNG.
-   *
-   * Implementation:
-   * - Draw the "cover" image once on an offscreen canvas at a fixed px-per-cm.
-   * - Then clip each plate to show the correct segment; add shadow + 1px border.
-   *
-   * Best practices:
-   * - Limit canvas dimensions to avoid memory issues (here capped to 8000 px).
-   * - Catch CORS-tainted canvas errors and inform the user.
+   * Selection: a click (press + release without dragging) on a plate selects
+   * it, on the empty area clears the selection. Tracked via pointer events
+   * because the pan gesture captures the pointer, which retargets `click`.
+   */
+  const tapRef = useRef(null);
+  const handleTapStart = (e) => {
+    tapRef.current = {
+      id: e.target.closest("[data-plate-id]")?.dataset.plateId ?? null,
+      x: e.clientX,
+      y: e.clientY,
+      resize: !!e.target.closest("[data-no-pan]"),
+    };
+  };
+  const handleTapEnd = (e) => {
+    const tap = tapRef.current;
+    tapRef.current = null;
+    if (!tap || tap.resize) return;
+    if (Math.hypot(e.clientX - tap.x, e.clientY - tap.y) < 4) selectPlate(tap.id);
+  };
+
+  /** Live size of the plate being resized, shown above its top-right corner. */
+  const resizeIdx = resizing ? plates.findIndex((p) => p.id === resizing.id) : -1;
+  const resizeTip =
+    resizeIdx >= 0
+      ? {
+          left: (offsets[resizeIdx].x0 + plates[resizeIdx].widthCm) * preview.scale,
+          top: offsets[resizeIdx].y0 * preview.scale,
+          text: t("preview.resizeTip", {
+            w: formatLength(plates[resizeIdx].widthCm, unit, { inchFraction }),
+            h: formatLength(plates[resizeIdx].heightCm, unit, { inchFraction }),
+            unit,
+          }),
+        }
+      : null;
+
+  /**
+   * Download a PDF specification sheet (preview, plate table, key figures,
+   * per-plate thumbnails). Generated entirely client-side; jsPDF is loaded
+   * on demand so it doesn't weigh on the initial bundle.
    */
-  const handleExport = async () => {
+  const handlePdf = async () => {
     if (!imgInfo) return;
     try {
-      const pxPerCm = 8;
-
-      const W = Math.max(1, Math.round(virtual.totalW * pxPerCm));
-      const H = Math.max(1, Math.round(virtual.maxH * pxPerCm));
-
-      const canvas = document.createElement("canvas");
-      canvas.width = Math.min(W, 8000);
-      canvas.height = Math.min(H, 8000);
-      const ctx = canvas.getContext("2d");
-
-      ctx.fillStyle = "#f5f6f7";
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-      const cover = computeCover(
-        imgInfo.w,
-        imgInfo.h,
-        virtual.totalW,
-        virtual.maxH
-      );
-      const s = pxPerCm;
-      const sx = -cover.offsetX * s;
-      const sy = -cover.offsetY * s;
-      const sw = cover.scaledW * s;
-      const sh = cover.scaledH * s;
-
-      // Reuse the same image source used in the preview
-      const img = await loadImage(imgInfo.url);
-
-      ctx.drawImage(img, sx, sy, sw, sh);
-
-      const r = 6 * (pxPerCm / 8); // scale corner radius with export density
-      ctx.save();
-      let xAcc = 0;
-      for (const p of plates) {
-        const x = xAcc * s;
-        const y = (virtual.maxH - p.heightCm) * s;
-        const w = p.widthCm * s;
-        const h = p.heightCm * s;
-
-        ctx.save();
-        ctx.shadowColor = "rgba(0,0,0,0.18)";
-        ctx.shadowBlur = 18;
-        ctx.shadowOffsetY = 8;
-        roundRect(ctx, x, y, w, h, r);
-        ctx.fillStyle = "rgba(255,255,255,0.001)";
-        ctx.fill();
-        ctx.restore();
-
-        ctx.save();
-        roundRect(ctx, x, y, w, h, r);
-        ctx.clip();
-        ctx.drawImage(img, sx, sy, sw, sh);
-        ctx.restore();
-
-        ctx.save();
-        ctx.lineWidth = 1;
-        ctx.strokeStyle = "#cccccc";
-        roundRect(ctx, x, y, w, h, r);
-        ctx.stroke();
-        ctx.restore();
-
-        xAcc += p.widthCm;
-      }
-      ctx.restore();
-
-      // Export to PNG and trigger a download
-      const url = canvas.toDataURL("image/png");
+      const { buildSpecPdf } = await import("../utils/pdfExport");
+      const catalogMotif = getCatalogMotif(motifCatalogId);
+      const motifLabel = catalogMotif
+        ? t("preview.catalogMotif", {
+            title: motifTitle(catalogMotif),
+            id: catalogMotif.id,
+          })
+        : isLocalMotif(motifUrl)
+          ? motifMeta?.name
+            ? t("preview.localMotif", { name: motifMeta.name })
+            : t("preview.localMotifUnnamed")
+          : motifUrl;
+      const blob = await buildSpecPdf({
+        motif: exportInfo.motif,
+        plates,
+        layout,
+        motifLabel,
+        mirror: resolveMirror(
+          layout,
+          mirror,
+          motifSize ? motifSize.w / motifSize.h : undefined
+        ),
+        quote,
+        framing,
+      });
+      const url = URL.createObjectURL(blob);
       const a = document.createElement("a");
       a.href = url;
-      a.download = "plate-preview.png";
+      a.download = `${t("preview.pdfFileName")}.pdf`;
       a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
     } catch (err) {
-      // Most common failure: CORS-tainted canvas with remote images
-      alert(
-        "Export failed. If you used a remote image without CORS, upload the image instead."
-      );
+      alert(t("preview.pdfFailed"));
       console.error(err);
     }
   };
 
+  /**
+   * Drag & drop of image files onto the preview.
+   * Only reacts to drags carrying files (e.g. from the file manager).
+   */
+  const hasFiles = (e) =>
+    Array.from(e.dataTransfer?.types || []).includes("Files");
+
+  const handleDragOver = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setDropActive(true);
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignore leave events fired when moving between child elements
+    if (e.currentTarget.contains(e.relatedTarget)) return;
+    setDropActive(false);
+  };
+
+  const handleDrop = async (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    setDropActive(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) await upload(file);
+  };
+
   return (
     <div className="canvas-wrap panel">
       <div className="preview-head">
-        <div className="preview-title">Visual Preview</div>
-        <button className="btn" onClick={handleExport}>
-          Export PNG
-        </button>
+        <div className="preview-title">{t("preview.title")}</div>
+        <div className="toolbar">
+          <button
+            className="btn"
+            onClick={() => setExportOpen(true)}
+            disabled={!imgInfo}
+          >
+            {t("preview.exportImage")}
+          </button>
+          <button
+            className="btn"
+            onClick={() => setPrintOpen(true)}
+            disabled={!imgInfo}
+          >
+            {t("preview.printExport")}
+          </button>
+          <button className="btn" onClick={handlePdf} disabled={!imgInfo}>
+            {t("preview.downloadPdf")}
+          </button>
+        </div>
       </div>
 
-      <div className="canvas gradient-card" ref={ref}>
+      {quality && quality.level !== "good" && (
+        <div className={`quality-warning ${quality.level}`} role="status">
+          {quality.level === "low"
+            ? t("preview.qualityLow", {
+                dpi: Math.round(quality.dpi),
+                min: thresholds.minDpi,
+              })
+            : t("preview.qualityAcceptable", {
+                dpi: Math.round(quality.dpi),
+                good: thresholds.goodDpi,
+              })}
+        </div>
+      )}
+
+      <div
+        className={`canvas gradient-card${dropActive ? " drop-active" : ""}`}
+        ref={ref}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
         <div
           className="canvas-inner"
+          ref={innerRef}
+          title={t("preview.panHint")}
+          onPointerDown={handleTapStart}
+          onPointerUp={handleTapEnd}
           style={{
             width: virtual.totalW * preview.scale,
             height: virtual.maxH * preview.scale,
@@ -308,13 +480,18 @@ export default function CanvasPreview({ plates, motifUrl }) {
               const off = offsets[idx];
               const width = p.widthCm * preview.scale;
               const height = p.heightCm * preview.scale;
+              const selected = p.id === selectedId;
 
               return (
                 <div
                   key={p.id}
-                  className="plate anim-plate"
+                  data-plate-id={p.id}
+                  className={`plate anim-plate${selected ? " selected" : ""}${
+                    resizing?.id === p.id ? " resizing" : ""
+                  }`}
                   style={{
                     left: off.x0 * preview.scale,
+                    top: off.y0 * preview.scale,
                     width,
                     height,
                   }}
@@ -325,35 +502,123 @@ export default function CanvasPreview({ plates, motifUrl }) {
                       inset: 0,
                       backgroundImage: `url(${bg.url})`,
                       backgroundSize: `${bg.sizeW}px ${bg.sizeH}px`,
-                      backgroundPosition: `${bg.posX(off.x0)}px ${bg.posY(
-                        off.y0
+                      backgroundPosition: `${bg.posX(off.mx0)}px ${bg.posY(
+                        off.my0
                       )}px`,
                       backgroundRepeat: "no-repeat",
+                      filter: bg.filter,
                     }}
                   />
+                  {p.cutouts?.map((c) => {
+                    const r = cutoutRect(p, c);
+                    return (
+                      <div
+                        key={c.id}
+                        className={`cutout-hole ${c.shape}${
+                          invalidCutouts.has(c.id) ? " invalid" : ""
+                        }`}
+                        style={{
+                          left: r.x * preview.scale,
+                          top: r.y * preview.scale,
+                          width: r.w * preview.scale,
+                          height: r.h * preview.scale,
+                          borderRadius:
+                            c.shape === "rounded"
+                              ? (c.r ?? 0) * preview.scale
+                              : undefined,
+                        }}
+                      />
+                    );
+                  })}
+                  {selected && (
+                    <>
+                      <div
+                        className="resize-handle right"
+                        title={t("preview.resizeWidth")}
+                        {...handleProps(idx, "right")}
+                      />
+                      <div
+                        className="resize-handle top"
+                        title={t("preview.resizeHeight")}
+                        {...handleProps(idx, "top")}
+                      />
+                    </>
+                  )}
                 </div>
               );
             })}
+          {bg && resizeTip && (
+            <div
+              className="resize-tip"
+              role="status"
+              style={{ left: resizeTip.left, top: resizeTip.top }}
+            >
+              {resizeTip.text}
+            </div>
+          )}
+          {bg && showFocus && (
+            <div
+              className="focal-marker"
+              style={{ left: bg.focus.x, top: bg.focus.y }}
+              aria-hidden="true"
+            />
+          )}
         </div>
       </div>
 
-      <div className="hint">Scale auto-fit (1 cm → preview px)</div>
+      <div className="framing-row hint">
+        <span>
+          {t("preview.zoom", { percent: Math.round(framing.zoom * 100) })}
+        </span>
+        <label className="framing-toggle">
+          <input
+            type="checkbox"
+            checked={showFocus}
+            onChange={(e) => setShowFocus(e.target.checked)}
+          />
+          {t("preview.showFocus")}
+        </label>
+        <button
+          type="button"
+          className="btn"
+          onClick={resetFraming}
+          disabled={
+            framing.zoom === 1 &&
+            framing.focusX === 0.5 &&
+            framing.focusY === 0.5
+          }
+        >
+          {t("preview.resetFraming")}
+        </button>
+      </div>
+
+      {uploadError ? (
+        <div className="error-msg">{uploadError.message}</div>
+      ) : (
+        <div className="hint">
+          {busy ? t("controls.processingImage") : t("preview.footer")}
+        </div>
+      )}
+
+      {exportOpen && (
+        <ExportDialog
+          imgInfo={exportInfo}
+          plates={plates}
+          layout={layout}
+          framing={framing}
+          onClose={() => setExportOpen(false)}
+        />
+      )}
+
+      {printOpen && (
+        <PrintExportDialog
+          imgInfo={exportInfo}
+          plates={plates}
+          layout={layout}
+          framing={framing}
+          onClose={() => setPrintOpen(false)}
+        />
+      )}
     </div>
   );
 }
-
-/**
- * roundRect
- * Draws a rounded rectangle path into the current 2D context.
- * - radius is clamped to half the smallest dimension to avoid artifacts.
- */
-function roundRect(ctx, x, y, w, h, r) {
-  const radius = Math.min(r, w / 2, h / 2);
-  ctx.beginPath();
-  ctx.moveTo(x + radius, y);
-  ctx.arcTo(x + w, y, x + w, y + h, radius);
-  ctx.arcTo(x + w, y + h, x, y + h, radius);
-  ctx.arcTo(x, y + h, x, y, radius);
-  ctx.arcTo(x, y, x + w, y, radius);
-  ctx.closePath();
-}
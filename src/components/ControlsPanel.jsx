@@ -3,21 +3,63 @@
  *
  * Purpose:
  * - Right-side control surface for configuring the plate layout.
- * - Provides per-plate dimension inputs (with cm/in toggle), add/remove,
- *   and drag-and-drop reordering (native HTML5 DnD).
+ * - Provides per-plate dimension inputs (with cm/mm/in toggle), add/remove,
+ *   drag reordering (Pointer Events: mouse, touch, pen) and keyboard reordering
+ *   with screen reader announcements (useKeyboardReorder).
+ * - Motif selection via URL, local file upload (stored in IndexedDB) or the
+ *   built-in motif library (MotifGallery), and non-destructive image
+ *   adjustments (MotifAdjustments).
+ * - Undo/redo toolbar (shortcuts are registered globally in App).
+ * - Project switcher for multiple named layouts (ProjectManager).
+ * - "Copy link" action encoding the layout into a shareable URL.
+ * - Live price summary (PriceSummary).
+ * - "Wand aufteilen": generate plates from the total wall size (WallSplitDialog).
+ * - Per-plate print-quality badges with configurable DPI thresholds.
+ * - Joint gaps between plates (global width, motif through / compressed)
+ *   and the vertical alignment of the plates.
+ * - Material profile (size limits, defaults); plates outside the active
+ *   profile's limits are flagged after switching.
+ * - Language switcher (de / en); all texts come from the i18n catalogs.
  *
  * Best practices used:
  * - Small, focused components (NumberInput, PlateRow).
  * - State source of truth in Zustand store; inputs are controlled.
  * - Unit conversion is handled consistently via store helpers.
- * - DnD implemented with stable handlers and minimal side effects.
- * - Accessibility: aria labels/titles on icon-only buttons.
+ * - Drag reordering shows a ghost card, an insertion line and animates the
+ *   cards into place (useDnD).
+ * - Accessibility: aria labels/titles on icon-only buttons; the plate list
+ *   is a listbox whose options are the plates' number badges.
  */
 
-import React, { useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { usePlatesStore } from "../store/usePlatesStore";
+import NumberInput from "./NumberInput";
 import PlateRow from "./PlateRow";
+import ProjectManager from "./ProjectManager";
+import PriceSummary from "./PriceSummary";
+import MotifAdjustments from "./MotifAdjustments";
+import MotifGallery from "./MotifGallery";
+import WallSplitDialog from "./WallSplitDialog";
 import { useDnD } from "../hooks/useDnD";
+import { useKeyboardReorder } from "../hooks/useKeyboardReorder";
+import { useMotifSource } from "../hooks/useMotifSource";
+import { useMotifUpload } from "../hooks/useMotifUpload";
+import { usePrintQuality } from "../hooks/usePrintQuality";
+import {
+  MATERIAL_PROFILES,
+  checkPlatesAgainstProfile,
+  getProfile,
+  profileLabel,
+} from "../utils/materialProfiles";
+import { ACCEPTED_MOTIF_TYPES, isLocalMotif } from "../utils/motifStorage";
+import { getCatalogMotif, motifTitle } from "../utils/motifCatalog";
+import { MAX_DPI } from "../utils/printQuality";
+import { buildShareUrl } from "../utils/shareLink";
+import { MIRROR_MODES, MIRROR_THRESHOLD_LIMITS } from "../utils/renderUtils";
+import { ALIGN_MODES, MAX_GAP_CM } from "../utils/layoutUtils";
+import { INCH_FRACTIONS, UNITS } from "../utils/units";
+import { LOCALES } from "../utils/i18n";
+import { useTranslation } from "../hooks/useTranslation";
 /**
  * ControlsPanel
  * Top-level panel aggregating units toggle, motif URL, and the plate list.
@@ -28,104 +70,437 @@ export default function ControlsPanel() {
     addPlate,
     motifUrl,
     setMotifUrl,
-    mirrorEnabled,
-    setMirrorEnabled,
+    motifCatalogId,
+    mirror,
+    setMirror,
     unit,
     setUnit,
+    inchFraction,
+    setInchFraction,
+    qualityThresholds,
+    setQualityThresholds,
+    arrangement,
+    setArrangement,
+    materialId,
+    setMaterialId,
     movePlate,
+    setLocale,
+    undo,
+    redo,
+    past,
+    future,
   } = usePlatesStore();
+  const { t, locale } = useTranslation();
 
-  const [url, setUrl] = useState(motifUrl);
+  // Local uploads are referenced as `idb:<id>`; never show that in the URL field
+  const isLocal = isLocalMotif(motifUrl);
+  const catalogMotif = getCatalogMotif(motifCatalogId);
+  const [url, setUrl] = useState(isLocal || catalogMotif ? "" : motifUrl);
+  const { meta: motifMeta } = useMotifSource(motifUrl);
+  const { upload, busy, error: uploadError } = useMotifUpload();
+  const [splitOpen, setSplitOpen] = useState(false);
+  const [galleryOpen, setGalleryOpen] = useState(false);
+  const fileRef = useRef(null);
   const canDelete = plates.length > 1;
   const dnd = useDnD(movePlate);
+  const reorder = useKeyboardReorder();
+  const quality = usePrintQuality();
+  const profile = getProfile(materialId);
+  const fit = useMemo(
+    () => checkPlatesAgainstProfile(plates, profile),
+    [plates, profile]
+  );
+  const outOfRange = fit.plates.filter((issues) => issues.length).length;
+
+  // Keep the URL draft in sync when the motif changes elsewhere (e.g. drop on
+  // preview); library motifs are named below instead of showing their address
+  useEffect(() => {
+    setUrl(isLocal || catalogMotif ? "" : motifUrl);
+  }, [motifUrl, isLocal, catalogMotif]);
+
+  // Feedback text after "Link kopieren" (cleared after a few seconds)
+  const [linkMsg, setLinkMsg] = useState("");
+  useEffect(() => {
+    if (!linkMsg) return;
+    const timer = setTimeout(() => setLinkMsg(""), 3000);
+    return () => clearTimeout(timer);
+  }, [linkMsg]);
+
+  const handleCopyLink = async () => {
+    const { url: link, includesMotif } = buildShareUrl(
+      usePlatesStore.getState()
+    );
+    try {
+      await navigator.clipboard.writeText(link);
+      setLinkMsg(
+        includesMotif ? t("controls.linkCopied") : t("controls.linkCopiedNoMotif")
+      );
+    } catch {
+      // Clipboard API unavailable (http, permissions): let the user copy manually
+      window.prompt(t("controls.copyLinkPrompt"), link);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset so selecting the same file again still fires onChange
+    e.target.value = "";
+    if (file) await upload(file);
+  };
 
   return (
     <div className="panel controls-root">
-      <h2 className="headline">Maße. Eingeben.</h2>
+      <div className="headline-row">
+        <h2 className="headline">{t("controls.headline")}</h2>
 
-      {/* Units toggle (cm / in). Model remains in cm; inputs convert live. */}
-      <div className="unit-row">
-        <span className="hint">Einheiten</span>
-        <div className="seg" role="tablist" aria-label="Einheiten">
+        {/* Undo / redo (Ctrl+Z / Ctrl+Shift+Z) */}
+        <div className="toolbar">
+          <button
+            type="button"
+            className="ghost-nav"
+            disabled={!past.length}
+            onClick={undo}
+            aria-label={t("controls.undo")}
+            title={t("controls.undoTitle")}
+          >
+            ↶
+          </button>
           <button
             type="button"
-            role="tab"
-            aria-selected={unit === "cm"}
-            className={`seg-btn ${unit === "cm" ? "active" : ""}`}
-            onClick={() => setUnit("cm")}
+            className="ghost-nav"
+            disabled={!future.length}
+            onClick={redo}
+            aria-label={t("controls.redo")}
+            title={t("controls.redoTitle")}
           >
-            cm
+            ↷
           </button>
           <button
             type="button"
-            role="tab"
-            aria-selected={unit === "in"}
-            className={`seg-btn ${unit === "in" ? "active" : ""}`}
-            onClick={() => setUnit("in")}
+            className="btn"
+            onClick={handleCopyLink}
+            title={t("controls.copyLinkTitle")}
           >
-            in
+            {t("controls.copyLink")}
           </button>
         </div>
       </div>
+      {linkMsg && (
+        <div className="hint" role="status">
+          {linkMsg}
+        </div>
+      )}
+
+      {/* Saved configurations */}
+      <ProjectManager />
+
+      {/* Language (de / en); stored as a preference, not part of the layout */}
+      <div className="unit-row">
+        <span className="hint">{t("controls.language")}</span>
+        <div className="seg" role="tablist" aria-label={t("controls.language")}>
+          {LOCALES.map((l) => (
+            <button
+              key={l}
+              type="button"
+              role="tab"
+              lang={l}
+              aria-selected={locale === l}
+              className={`seg-btn ${locale === l ? "active" : ""}`}
+              onClick={() => setLocale(l)}
+            >
+              {l.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Units toggle (cm / mm / in). Model remains in cm; inputs convert live. */}
+      <div className="unit-row">
+        <span className="hint">{t("controls.units")}</span>
+        <div className="seg" role="tablist" aria-label={t("controls.units")}>
+          {UNITS.map((u) => (
+            <button
+              key={u}
+              type="button"
+              role="tab"
+              aria-selected={unit === u}
+              className={`seg-btn ${unit === u ? "active" : ""}`}
+              onClick={() => setUnit(u)}
+            >
+              {u}
+            </button>
+          ))}
+        </div>
+      </div>
+      {unit === "in" && (
+        <label className="field-row">
+          <span className="hint">{t("controls.inchDisplay")}</span>
+          <select
+            className="input"
+            value={inchFraction}
+            onChange={(e) => setInchFraction(Number(e.target.value))}
+          >
+            {INCH_FRACTIONS.map((d) => (
+              <option key={d} value={d}>
+                {d
+                  ? t("controls.inchFraction", { d })
+                  : t("controls.inchDecimal", { step: 0.1 })}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {/* Material profile: defines the allowed plate sizes */}
+      <div className="profile-block">
+        <label className="field-row">
+          <span className="hint">{t("controls.material")}</span>
+          <select
+            className="input"
+            value={profile.id}
+            onChange={(e) => setMaterialId(e.target.value)}
+          >
+            {MATERIAL_PROFILES.map((m) => (
+              <option key={m.id} value={m.id}>
+                {profileLabel(m)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="hint">
+          {t("controls.profileRanges", {
+            minW: profile.minWidthCm,
+            maxW: profile.maxWidthCm,
+            minH: profile.minHeightCm,
+            maxH: profile.maxHeightCm,
+            max: profile.maxPlates,
+          })}
+        </div>
+        {(outOfRange > 0 || fit.tooMany) && (
+          <div className="error-msg" role="alert">
+            {outOfRange > 0 &&
+              `${t("controls.platesOutOfRange", {
+                count: outOfRange,
+                material: profileLabel(profile),
+              })} `}
+            {fit.tooMany && t("controls.tooManyPlates", { max: profile.maxPlates })}
+          </div>
+        )}
+      </div>
 
-      {/* Motif URL (optional feature) */}
+      {/* Motif: URL or local upload (optional feature) */}
       <div className="url-block">
         <label className="hint" htmlFor="motifUrl">
-          Motif Image URL
+          {t("controls.motifUrl")}
         </label>
         <input
           id="motifUrl"
           className="input full"
           value={url}
           onChange={(e) => setUrl(e.target.value)}
-          onBlur={() => setMotifUrl(url)}
-          placeholder="https://…"
+          onBlur={() => url && url !== motifUrl && setMotifUrl(url)}
+          placeholder={
+            isLocal
+              ? t("controls.localImage", { name: motifMeta?.name ?? "…" })
+              : catalogMotif
+                ? t("controls.libraryImage", { title: motifTitle(catalogMotif) })
+                : "https://…"
+          }
         />
-        <div className="hint">
-          Tipp: Möglichst breites, hochauflösendes Bild verwenden.
+        <div className="upload-row">
+          <button type="button" className="btn" onClick={() => setGalleryOpen(true)}>
+            {t("controls.motifLibrary")}
+          </button>
+          <button
+            type="button"
+            className="btn"
+            disabled={busy}
+            onClick={() => fileRef.current?.click()}
+          >
+            {busy ? t("controls.processingImage") : t("controls.uploadImage")}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept={ACCEPTED_MOTIF_TYPES.join(",")}
+            onChange={handleFile}
+            hidden
+          />
+          {isLocal && motifMeta && (
+            <span className="hint">
+              {motifMeta.width} × {motifMeta.height} px
+            </span>
+          )}
+          {catalogMotif && (
+            <span className="hint">
+              {t("catalog.article", { id: catalogMotif.id })}
+            </span>
+          )}
         </div>
+        {uploadError && <div className="error-msg">{uploadError.message}</div>}
+        <div className="hint">{t("controls.motifTip")}</div>
 
-        {/* Mirroring toggle (optional extra; spec requires auto-mirroring > 300 cm) */}
-        <label
-          className="hint"
-          style={{
-            display: "flex",
-            gap: 8,
-            alignItems: "center",
-            marginTop: 6,
-          }}
-        >
-          <input
-            type="checkbox"
-            checked={mirrorEnabled}
-            onChange={(e) => setMirrorEnabled(e.target.checked)}
+        {/* Mirroring: how the motif is extended beyond its own aspect ratio */}
+        <div className="mirror-settings">
+          <label className="field-row">
+            <span className="hint">{t("controls.mirror")}</span>
+            <select
+              className="input"
+              value={mirror.mode}
+              onChange={(e) => setMirror({ mode: e.target.value })}
+            >
+              {MIRROR_MODES.map((m) => (
+                <option key={m} value={m}>
+                  {t(`controls.mirrorModes.${m}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+          {mirror.mode === "auto" && (
+            <NumberInput
+              compact
+              label={t("controls.mirrorThreshold")}
+              valueCm={mirror.thresholdCm}
+              minCm={MIRROR_THRESHOLD_LIMITS.min}
+              maxCm={MIRROR_THRESHOLD_LIMITS.max}
+              onChangeCm={(thresholdCm) => setMirror({ thresholdCm })}
+            />
+          )}
+          {mirror.mode !== "off" && (
+            <label className="field-row">
+              <span className="hint">{t("controls.tiling")}</span>
+              <select
+                className="input"
+                value={mirror.tiling}
+                onChange={(e) => setMirror({ tiling: e.target.value })}
+              >
+                <option value="mirror">{t("controls.tilingMirror")}</option>
+                <option value="repeat">{t("controls.tilingRepeat")}</option>
+              </select>
+            </label>
+          )}
+        </div>
+
+        {/* Colour, flips, rotation; before/after toggle for the preview */}
+        <MotifAdjustments />
+
+        {/* Joints + alignment; per-plate overrides/offsets live in PlateRow */}
+        <div className="joint-settings">
+          <NumberInput
+            compact
+            label={t("controls.gapWidth")}
+            valueCm={arrangement.gapCm}
+            minCm={0}
+            maxCm={MAX_GAP_CM}
+            onChangeCm={(gapCm) => setArrangement({ gapCm })}
           />
-          Spiegeln bei sehr breiten Layouts
-        </label>
+          <label className="field-row">
+            <span className="hint">{t("controls.gapMode")}</span>
+            <select
+              className="input"
+              value={arrangement.gapMode}
+              onChange={(e) => setArrangement({ gapMode: e.target.value })}
+            >
+              <option value="through">{t("controls.gapThrough")}</option>
+              <option value="compress">{t("controls.gapCompress")}</option>
+            </select>
+          </label>
+          <label className="field-row">
+            <span className="hint">{t("controls.align")}</span>
+            <select
+              className="input"
+              value={arrangement.align}
+              onChange={(e) => setArrangement({ align: e.target.value })}
+            >
+              {ALIGN_MODES.map((a) => (
+                <option key={a} value={a}>
+                  {t(`align.${a}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {/* Print-quality thresholds for the per-plate DPI badges */}
+        <details className="quality-settings">
+          <summary className="hint">{t("controls.qualityThresholds")}</summary>
+          {/* Each bound is the other field's value: minimum ≤ good */}
+          <NumberInput
+            plain
+            label={t("controls.goodDpi")}
+            valueCm={qualityThresholds.goodDpi}
+            minCm={qualityThresholds.minDpi}
+            maxCm={MAX_DPI}
+            onChangeCm={(goodDpi) => setQualityThresholds({ goodDpi })}
+          />
+          <NumberInput
+            plain
+            label={t("controls.minDpi")}
+            valueCm={qualityThresholds.minDpi}
+            minCm={1}
+            maxCm={qualityThresholds.goodDpi}
+            onChangeCm={(minDpi) => setQualityThresholds({ minDpi })}
+          />
+        </details>
       </div>
 
-      {/* Plate list */}
-      {plates.map((p, i) => (
-        <PlateRow
-          key={p.id}
-          plate={p}
-          idx={i}
-          total={plates.length}
-          dnd={dnd}
-          canDelete={canDelete}
-        />
-      ))}
+      {/* Plate list (listbox; the options are the cards' number badges) */}
+      <p id="reorder-help" className="sr-only">
+        {t("reorder.help")}
+      </p>
+      <div
+        ref={dnd.listRef}
+        className="plate-list"
+        role="listbox"
+        aria-label={t("reorder.listLabel")}
+      >
+        {plates.map((p, i) => (
+          <PlateRow
+            key={p.id}
+            plate={p}
+            idx={i}
+            total={plates.length}
+            dnd={dnd}
+            reorder={reorder}
+            canDelete={canDelete}
+            quality={quality?.plates[i]}
+            issues={fit.plates[i]}
+          />
+        ))}
+        {dnd.indicatorTop != null && (
+          <div
+            className="drop-indicator"
+            style={{ top: dnd.indicatorTop }}
+            aria-hidden="true"
+          />
+        )}
+      </div>
+      <div className="sr-only" aria-live="assertive" aria-atomic="true">
+        {reorder.announcement}
+      </div>
 
-      {/* Add plate CTA. Store enforces the 10-plate limit. */}
+      {/* Add plate CTA. Store enforces the profile's plate limit. */}
       <div className="cta-row">
         <button
           type="button"
           className="cta-outline"
           onClick={() => addPlate()}
         >
-          Rückenwand hinzufügen +
+          {t("controls.addPlate")}
+        </button>
+        <button
+          type="button"
+          className="btn"
+          onClick={() => setSplitOpen(true)}
+        >
+          {t("controls.splitWall")}
         </button>
       </div>
+      {splitOpen && <WallSplitDialog onClose={() => setSplitOpen(false)} />}
+      {galleryOpen && <MotifGallery onClose={() => setGalleryOpen(false)} />}
+
+      {/* Live price */}
+      <PriceSummary />
     </div>
   );
 }
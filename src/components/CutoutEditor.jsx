@@ -0,0 +1,173 @@
+/**
+ * CutoutEditor.jsx
+ *
+ * Purpose:
+ * - Collapsible list of a plate's cutouts (sockets, switches, hood) inside
+ *   PlateRow: shape, reference corner, position and size.
+ * - New cutouts start from a preset (see utils/cutoutUtils.CUTOUT_PRESETS).
+ * - Shows validation problems (outside the plate, too close to an edge,
+ *   overlapping) right below the affected cutout.
+ *
+ * Positions and sizes are entered with NumberInput (active unit; the store
+ * keeps cm) and bounded by the plate; placement is checked separately.
+ */
+
+import React, { useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import {
+  CUTOUT_ANCHORS,
+  CUTOUT_PRESETS,
+  CUTOUT_SHAPES,
+  MIN_CUTOUT_CM,
+  validateCutouts,
+} from "../utils/cutoutUtils";
+import NumberInput from "./NumberInput";
+import { useTranslation } from "../hooks/useTranslation";
+
+/**
+ * CutoutEditor
+ *
+ * Props:
+ * - plate: { id, widthCm, heightCm, cutouts? }
+ */
+export default function CutoutEditor({ plate }) {
+  const addCutout = usePlatesStore((s) => s.addCutout);
+  const updateCutout = usePlatesStore((s) => s.updateCutout);
+  const removeCutout = usePlatesStore((s) => s.removeCutout);
+  const [preset, setPreset] = useState(CUTOUT_PRESETS[0].id);
+  const { t } = useTranslation();
+
+  const cutouts = plate.cutouts ?? [];
+  const problems = validateCutouts(plate);
+  const update = (c, patch) => updateCutout(plate.id, c.id, patch);
+  const field = { compact: true, className: "cutout-field" };
+
+  return (
+    <details className="cutouts">
+      <summary className="hint">
+        {t("cutout.summary", { count: cutouts.length })}
+        {problems.length > 0 && (
+          <span className="cutout-flag"> · {t("cutout.check")}</span>
+        )}
+      </summary>
+
+      {cutouts.map((c, i) => (
+        <div key={c.id} className="cutout-item">
+          <div className="cutout-head">
+            <strong className="hint">{i + 1}</strong>
+            <select
+              className="input"
+              value={c.shape}
+              onChange={(e) => update(c, { shape: e.target.value })}
+              aria-label={t("cutout.shape")}
+            >
+              {CUTOUT_SHAPES.map((s) => (
+                <option key={s} value={s}>
+                  {t(`cutout.shapes.${s}`)}
+                </option>
+              ))}
+            </select>
+            <select
+              className="input"
+              value={c.anchor}
+              onChange={(e) => update(c, { anchor: e.target.value })}
+              aria-label={t("cutout.anchor")}
+            >
+              {CUTOUT_ANCHORS.map((a) => (
+                <option key={a} value={a}>
+                  {t(`cutout.anchors.${a}`)}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="ghost-nav"
+              onClick={() => removeCutout(plate.id, c.id)}
+              aria-label={t("cutout.removeN", { n: i + 1 })}
+              title={t("cutout.remove")}
+            >
+              ✕
+            </button>
+          </div>
+
+          <div className="cutout-fields">
+            <NumberInput
+              {...field}
+              label={t("cutout.offsetX")}
+              valueCm={c.x}
+              minCm={0}
+              maxCm={plate.widthCm}
+              onChangeCm={(x) => update(c, { x })}
+            />
+            <NumberInput
+              {...field}
+              label={t("cutout.offsetY")}
+              valueCm={c.y}
+              minCm={0}
+              maxCm={plate.heightCm}
+              onChangeCm={(y) => update(c, { y })}
+            />
+            <NumberInput
+              {...field}
+              label={t(c.shape === "circle" ? "cutout.diameter" : "plate.width")}
+              valueCm={c.w}
+              minCm={MIN_CUTOUT_CM}
+              maxCm={plate.widthCm}
+              onChangeCm={(w) => update(c, { w })}
+            />
+            {c.shape !== "circle" && (
+              <NumberInput
+                {...field}
+                label={t("plate.height")}
+                valueCm={c.h}
+                minCm={MIN_CUTOUT_CM}
+                maxCm={plate.heightCm}
+                onChangeCm={(h) => update(c, { h })}
+              />
+            )}
+            {c.shape === "rounded" && (
+              <NumberInput
+                {...field}
+                label={t("cutout.radius")}
+                valueCm={c.r ?? 0}
+                minCm={0}
+                maxCm={Math.min(c.w, c.h) / 2}
+                onChangeCm={(r) => update(c, { r })}
+              />
+            )}
+          </div>
+
+          {problems
+            .filter((p) => p.id === c.id)
+            .map((p, k) => (
+              <div key={k} className="error-msg cutout-error">
+                {p.message}
+              </div>
+            ))}
+        </div>
+      ))}
+
+      <div className="upload-row">
+        <select
+          className="input"
+          value={preset}
+          onChange={(e) => setPreset(e.target.value)}
+          aria-label={t("cutout.preset")}
+        >
+          {CUTOUT_PRESETS.map((p) => (
+            <option key={p.id} value={p.id}>
+              {t(`cutout.presets.${p.id}`)}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="btn"
+          onClick={() => addCutout(plate.id, preset)}
+        >
+          {t("cutout.add")}
+        </button>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,318 @@
+/**
+ * ExportDialog.jsx
+ *
+ * Purpose:
+ * - Options for the image export of the whole layout (density in px/cm or
+ *   DPI, PNG / JPEG / WebP, background, shadows and outlines) and its
+ *   download (see utils/layoutExport).
+ * - Shows the resulting pixel size and an estimated file size, and says when
+ *   the image is rendered in tiles or its density has to be reduced.
+ *
+ * Props:
+ *  - imgInfo: { url, w, h, motif } the motif as painted in the preview
+ *    (motif: description for the render worker, see utils/renderClient)
+ *  - plates: Array<{ id, widthCm, heightCm }>
+ *  - layout: result of computeLayout(plates)
+ *  - framing: motif zoom/focus from the store
+ *  - onClose: () => void
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  DEFAULT_EXPORT_OPTIONS,
+  DENSITY_LIMITS,
+  DENSITY_UNITS,
+  EXPORT_EXT,
+  EXPORT_FORMATS,
+} from "../utils/layoutExport";
+import { estimateExport, exportLayout } from "../utils/renderClient";
+import { CM_PER_IN } from "../utils/units";
+import { formatNumber } from "../utils/i18n";
+import { useTranslation } from "../hooks/useTranslation";
+
+/** Pause after the last option change before estimating the file size. */
+const ESTIMATE_DEBOUNCE_MS = 300;
+
+const fmt = (v) => formatNumber(v, { maximumFractionDigits: 1 });
+
+/** Human-readable file size. */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${fmt(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${fmt(bytes / 1024 / 1024)} MB`;
+  return `${fmt(bytes / 1024 / 1024 / 1024)} GB`;
+}
+
+const clampDensity = (unit, value) => {
+  const { min, max } = DENSITY_LIMITS[unit];
+  return Math.min(max, Math.max(min, Number(value) || min));
+};
+
+export default function ExportDialog({
+  imgInfo,
+  plates,
+  layout,
+  framing,
+  onClose,
+}) {
+  const [densityUnit, setDensityUnit] = useState(DEFAULT_EXPORT_OPTIONS.densityUnit);
+  // Raw input text; the clamped value is what gets rendered
+  const [densityText, setDensityText] = useState(String(DEFAULT_EXPORT_OPTIONS.density));
+  const [format, setFormat] = useState(DEFAULT_EXPORT_OPTIONS.format);
+  const [quality, setQuality] = useState(DEFAULT_EXPORT_OPTIONS.quality);
+  const [background, setBackground] = useState(DEFAULT_EXPORT_OPTIONS.background);
+  const [shadow, setShadow] = useState(DEFAULT_EXPORT_OPTIONS.shadow);
+  const [border, setBorder] = useState(DEFAULT_EXPORT_OPTIONS.border);
+  const [estimate, setEstimate] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const abortRef = useRef(null);
+  const { t } = useTranslation();
+
+  const busy = progress !== null;
+  const density = clampDensity(densityUnit, densityText);
+
+  const opts = useMemo(
+    () => ({ densityUnit, density, format, quality, background, shadow, border, framing }),
+    [densityUnit, density, format, quality, background, shadow, border, framing]
+  );
+
+  // Pixel size and file size of the current options, re-estimated after a pause
+  useEffect(() => {
+    if (!imgInfo) return;
+    setEstimate(null);
+    const ctl = new AbortController();
+    const timer = setTimeout(() => {
+      estimateExport(imgInfo.motif, plates, layout, opts, { signal: ctl.signal })
+        .then(setEstimate)
+        .catch((err) => {
+          if (err.name === "AbortError") return;
+          setEstimate({ error: err.name === "NotSupportedError" ? "unsupported" : "failed" });
+          if (err.name !== "NotSupportedError") console.error(err);
+        });
+    }, ESTIMATE_DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      ctl.abort();
+    };
+  }, [imgInfo, plates, layout, opts]);
+
+  // Cancel a running export when the dialog goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  /** Switch the density unit, converting the current value. */
+  const changeUnit = (unit) => {
+    const value = unit === "dpi" ? density * CM_PER_IN : density / CM_PER_IN;
+    setDensityUnit(unit);
+    setDensityText(String(clampDensity(unit, Math.round(value))));
+  };
+
+  const handleExport = async () => {
+    if (!imgInfo || busy) return;
+    const ctl = new AbortController();
+    abortRef.current = ctl;
+    setProgress({ done: 0, total: 0 });
+    try {
+      const { blob } = await exportLayout(
+        imgInfo.motif,
+        plates,
+        layout,
+        opts,
+        (done, total) => setProgress({ done, total }),
+        { signal: ctl.signal }
+      );
+
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${t("export.fileName")}.${EXPORT_EXT[format]}`;
+      a.click();
+      // Give the browser a moment to start the download before revoking
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      // Most common failure: CORS-tainted canvas with remote images
+      alert(t("export.failed"));
+      console.error(err);
+    } finally {
+      if (abortRef.current === ctl) {
+        abortRef.current = null;
+        setProgress(null);
+      }
+    }
+  };
+
+  const formatLabel = t(`export.formats.${format}`);
+  const plan = estimate && !estimate.error ? estimate : null;
+
+  return (
+    <div className="modal-backdrop">
+      <div
+        className="modal panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="export-title"
+      >
+        <h3 id="export-title">{t("export.title")}</h3>
+        <p className="hint">{t("export.intro")}</p>
+
+        <label className="field-row">
+          <span>{t("export.density")}</span>
+          <span className="export-density">
+            <input
+              className="input"
+              type="number"
+              min={DENSITY_LIMITS[densityUnit].min}
+              max={DENSITY_LIMITS[densityUnit].max}
+              step={1}
+              value={densityText}
+              onChange={(e) => setDensityText(e.target.value)}
+              onBlur={() => setDensityText(String(density))}
+              disabled={busy}
+            />
+            <select
+              className="input"
+              value={densityUnit}
+              onChange={(e) => changeUnit(e.target.value)}
+              aria-label={t("export.density")}
+              disabled={busy}
+            >
+              {DENSITY_UNITS.map((u) => (
+                <option key={u} value={u}>
+                  {t(`export.unit.${u}`)}
+                </option>
+              ))}
+            </select>
+          </span>
+        </label>
+
+        <label className="field-row">
+          <span>{t("export.format")}</span>
+          <select
+            className="input"
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            disabled={busy}
+          >
+            {EXPORT_FORMATS.map((f) => (
+              <option key={f} value={f}>
+                {t(`export.formats.${f}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {format !== "png" && (
+          <label className="field-row">
+            <span>
+              {t("export.quality")} ({Math.round(quality * 100)} %)
+            </span>
+            <input
+              type="range"
+              min={0.5}
+              max={1}
+              step={0.01}
+              value={quality}
+              onChange={(e) => setQuality(Number(e.target.value))}
+              disabled={busy}
+            />
+          </label>
+        )}
+
+        <label className="field-row">
+          <span>{t("export.background")}</span>
+          <select
+            className="input"
+            value={format === "jpeg" ? "studio" : background}
+            onChange={(e) => setBackground(e.target.value)}
+            disabled={busy || format === "jpeg"}
+          >
+            {["studio", "transparent"].map((b) => (
+              <option key={b} value={b}>
+                {t(`export.backgrounds.${b}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {format === "jpeg" && background === "transparent" && (
+          <div className="hint">{t("export.jpegNoAlpha")}</div>
+        )}
+
+        <label className="field-row">
+          <span>{t("export.shadow")}</span>
+          <input
+            type="checkbox"
+            checked={shadow}
+            onChange={(e) => setShadow(e.target.checked)}
+            disabled={busy}
+          />
+        </label>
+
+        <label className="field-row">
+          <span>{t("export.border")}</span>
+          <input
+            type="checkbox"
+            checked={border}
+            onChange={(e) => setBorder(e.target.checked)}
+            disabled={busy}
+          />
+        </label>
+
+        <div className="hint" aria-live="polite">
+          {!estimate && t("export.estimating")}
+          {estimate?.error === "unsupported" &&
+            t("export.unsupported", { format: formatLabel })}
+          {estimate?.error === "failed" && t("export.failed")}
+          {plan && (
+            <>
+              {t("export.size", { w: plan.width, h: plan.height })}
+              {!plan.tooLarge &&
+                ` · ${t("export.estimate", { size: formatBytes(plan.bytes) })}`}
+            </>
+          )}
+        </div>
+        {plan?.tiled && !plan.tooLarge && (
+          <div className="hint">{t("export.tiled")}</div>
+        )}
+        {plan?.reduced && (
+          <div className="hint">
+            {t("export.reduced", {
+              format: formatLabel,
+              density: Math.floor(
+                densityUnit === "dpi" ? plan.pxPerCm * CM_PER_IN : plan.pxPerCm
+              ),
+              unit: t(`export.unit.${densityUnit}`),
+            })}
+          </div>
+        )}
+        {plan?.tooLarge && <div className="error-msg">{t("export.tooLarge")}</div>}
+
+        {busy && (
+          <div className="hint" role="status">
+            {progress.total
+              ? t("export.progress", {
+                  percent: Math.round((progress.done / progress.total) * 100),
+                })
+              : t("export.rendering")}
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            className="btn"
+            onClick={busy ? () => abortRef.current?.abort() : onClose}
+          >
+            {busy ? t("common.cancel") : t("common.close")}
+          </button>
+          <button
+            type="button"
+            className="btn primary"
+            onClick={handleExport}
+            disabled={busy || !imgInfo || !plan || plan.tooLarge}
+          >
+            {t("export.download")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+/**
+ * MotifAdjustments.jsx
+ *
+ * Purpose:
+ * - Non-destructive image adjustments of the motif: brightness, contrast,
+ *   saturation, hue, tone (black & white / sepia), flips and 90° rotation
+ *   (stored in usePlatesStore, applied by utils/adjustments).
+ * - Before/after toggle: the preview shows the unadjusted motif while it is
+ *   on; exports always use the adjustments.
+ * - Reset back to the motif as uploaded.
+ *
+ * Notes:
+ * - Slider drags coalesce into one undo step per slider (store action).
+ */
+
+import React from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import {
+  ADJUSTMENT_LIMITS,
+  TONES,
+  isNeutralAdjustments,
+} from "../utils/adjustments";
+import { useTranslation } from "../hooks/useTranslation";
+
+/** Sliders in display order, with their unit suffix. */
+const SLIDERS = [
+  { key: "brightness", suffix: " %" },
+  { key: "contrast", suffix: " %" },
+  { key: "saturation", suffix: " %" },
+  { key: "hue", suffix: "°" },
+];
+
+export default function MotifAdjustments() {
+  const adjustments = usePlatesStore((s) => s.adjustments);
+  const setAdjustments = usePlatesStore((s) => s.setAdjustments);
+  const resetAdjustments = usePlatesStore((s) => s.resetAdjustments);
+  const showOriginal = usePlatesStore((s) => s.showOriginal);
+  const setShowOriginal = usePlatesStore((s) => s.setShowOriginal);
+  const { t } = useTranslation();
+
+  const neutral = isNeutralAdjustments(adjustments);
+
+  return (
+    <details className="adjust-settings">
+      <summary className="hint">
+        {t("adjust.title")}
+        {showOriginal && ` · ${t("adjust.compareActive")}`}
+      </summary>
+
+      {SLIDERS.map(({ key, suffix }) => (
+        <label key={key} className="field-row">
+          <span className="hint">{t(`adjust.${key}`)}</span>
+          <span className="adjust-slider">
+            <input
+              type="range"
+              min={ADJUSTMENT_LIMITS[key].min}
+              max={ADJUSTMENT_LIMITS[key].max}
+              step={1}
+              value={adjustments[key]}
+              onChange={(e) => setAdjustments({ [key]: Number(e.target.value) })}
+            />
+            <output className="hint">
+              {adjustments[key]}
+              {suffix}
+            </output>
+          </span>
+        </label>
+      ))}
+
+      <label className="field-row">
+        <span className="hint">{t("adjust.tone")}</span>
+        <select
+          className="input"
+          value={adjustments.tone}
+          onChange={(e) => setAdjustments({ tone: e.target.value })}
+        >
+          {TONES.map((tone) => (
+            <option key={tone} value={tone}>
+              {t(`adjust.tones.${tone}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="adjust-actions">
+        <button
+          type="button"
+          className="btn"
+          aria-pressed={adjustments.flipX}
+          onClick={() => setAdjustments({ flipX: !adjustments.flipX })}
+        >
+          {t("adjust.flipX")}
+        </button>
+        <button
+          type="button"
+          className="btn"
+          aria-pressed={adjustments.flipY}
+          onClick={() => setAdjustments({ flipY: !adjustments.flipY })}
+        >
+          {t("adjust.flipY")}
+        </button>
+        <button
+          type="button"
+          className="btn"
+          title={t("adjust.rotation", { deg: adjustments.rotation })}
+          onClick={() => setAdjustments({ rotation: adjustments.rotation + 90 })}
+        >
+          {t("adjust.rotate")}
+        </button>
+      </div>
+
+      <div className="adjust-actions">
+        <button
+          type="button"
+          className="btn"
+          aria-pressed={showOriginal}
+          onClick={() => setShowOriginal(!showOriginal)}
+          disabled={neutral && !showOriginal}
+        >
+          {t("adjust.compare")}
+        </button>
+        <button
+          type="button"
+          className="btn"
+          onClick={resetAdjustments}
+          disabled={neutral}
+        >
+          {t("adjust.reset")}
+        </button>
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,160 @@
+/**
+ * MotifGallery.jsx
+ *
+ * Purpose:
+ * - Motif library: browse the shop's built-in motifs (see utils/motifCatalog)
+ *   by category, search them by title, article number or tag, and pick one.
+ * - Favourites (star on each card) and the recently used motifs are kept in
+ *   usePlatesStore as user preferences and offered as filters.
+ * - Choosing a motif sets it as the layout's motif and records its article
+ *   number (selectCatalogMotif), then closes the dialog.
+ *
+ * Props:
+ *  - onClose: () => void
+ */
+
+import React, { useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import {
+  MOTIF_CATEGORIES,
+  catalogThumbnailUrl,
+  categoryLabel,
+  motifTitle,
+  searchMotifs,
+} from "../utils/motifCatalog";
+import { useTranslation } from "../hooks/useTranslation";
+
+export default function MotifGallery({ onClose }) {
+  const motifCatalogId = usePlatesStore((s) => s.motifCatalogId);
+  const selectCatalogMotif = usePlatesStore((s) => s.selectCatalogMotif);
+  const favouriteMotifs = usePlatesStore((s) => s.favouriteMotifs);
+  const toggleFavouriteMotif = usePlatesStore((s) => s.toggleFavouriteMotif);
+  const recentMotifs = usePlatesStore((s) => s.recentMotifs);
+  const { t } = useTranslation();
+
+  const [query, setQuery] = useState("");
+  // "all" | "favourites" | "recent" | a category id
+  const [filter, setFilter] = useState("all");
+
+  const filters = [
+    { id: "all", label: t("catalog.filters.all") },
+    { id: "favourites", label: t("catalog.filters.favourites") },
+    { id: "recent", label: t("catalog.filters.recent") },
+    ...MOTIF_CATEGORIES.map((c) => ({ id: c.id, label: categoryLabel(c) })),
+  ];
+
+  // Cheap for a catalog of this size; translated titles follow the language
+  const results = searchMotifs(query, {
+    ...(filter === "favourites" && { ids: favouriteMotifs }),
+    ...(filter === "recent" && { ids: recentMotifs }),
+    ...(MOTIF_CATEGORIES.some((c) => c.id === filter) && { category: filter }),
+  });
+
+  const choose = (id) => {
+    selectCatalogMotif(id);
+    onClose();
+  };
+
+  const emptyText = query.trim()
+    ? t("catalog.noMatches")
+    : filter === "favourites"
+      ? t("catalog.noFavourites")
+      : filter === "recent"
+        ? t("catalog.noRecent")
+        : t("catalog.empty");
+
+  return (
+    <div className="modal-backdrop">
+      <div
+        className="modal panel motif-gallery"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="gallery-title"
+      >
+        <h3 id="gallery-title">{t("catalog.title")}</h3>
+
+        <input
+          className="input full"
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={t("catalog.searchPlaceholder")}
+          aria-label={t("catalog.search")}
+        />
+
+        <div className="gallery-filters" role="group" aria-label={t("catalog.filter")}>
+          {filters.map((f) => (
+            <button
+              key={f.id}
+              type="button"
+              className="btn"
+              aria-pressed={filter === f.id}
+              onClick={() => setFilter(f.id)}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="hint" aria-live="polite">
+          {results.length
+            ? t("catalog.count", { count: results.length })
+            : emptyText}
+        </div>
+
+        <ul className="gallery-grid">
+          {results.map((entry) => {
+            const title = motifTitle(entry);
+            const favourite = favouriteMotifs.includes(entry.id);
+            const starLabel = t(
+              favourite ? "catalog.unfavourite" : "catalog.favourite",
+              { title }
+            );
+            return (
+              <li
+                key={entry.id}
+                className={`gallery-card${entry.id === motifCatalogId ? " active" : ""}`}
+              >
+                <button
+                  type="button"
+                  className="gallery-pick"
+                  onClick={() => choose(entry.id)}
+                  aria-current={entry.id === motifCatalogId || undefined}
+                >
+                  <img
+                    className="gallery-thumb"
+                    src={catalogThumbnailUrl(entry)}
+                    alt=""
+                    loading="lazy"
+                    decoding="async"
+                  />
+                  <span className="gallery-title">{title}</span>
+                  <span className="hint">
+                    {t("catalog.article", { id: entry.id })} · {entry.width} ×{" "}
+                    {entry.height} px
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  className="gallery-star"
+                  aria-pressed={favourite}
+                  aria-label={starLabel}
+                  title={starLabel}
+                  onClick={() => toggleFavouriteMotif(entry.id)}
+                >
+                  {favourite ? "★" : "☆"}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+
+        <div className="modal-actions">
+          <button type="button" className="btn" onClick={onClose}>
+            {t("common.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,103 +1,145 @@
 import React, { useRef, useState } from "react";
 import { usePlatesStore } from "../store/usePlatesStore";
+import { formatLength, parseLength, parseNumber } from "../utils/units";
+import { useTranslation } from "../hooks/useTranslation";
 /**
  * NumberInput
- * A unit-aware numeric input.
+ * A unit-aware length input.
  *
  * Props:
  * - valueCm (number): current value in centimeters (source of truth)
  * - onChangeCm (fn): callback with the next value in centimeters
  * - minCm / maxCm (number): validation bounds in centimeters
  * - label (string)
+ * - compact (bool): single-row field (label, input) for secondary values;
+ *   the unit is shown in the label. `className` replaces the row's class.
+ * - plain (bool): a whole number instead of a length (e.g. DPI); no unit,
+ *   valueCm / minCm / maxCm hold the number itself. Always compact.
+ * - optional (bool): the field may be left empty; valueCm is then undefined
+ *   and clearing the field commits undefined. `placeholder` fills it.
  *
  * Behavior:
- * - Displays in the *active unit* (cm or in) from the store.
- * - Accepts "." or "," decimal separators.
- * - Validates against converted bounds; on blur, reverts if invalid,
- *   otherwise rounds to 1 decimal and commits (converted back to cm).
+ * - Displays in the *active unit* (cm, mm or in; inches as fractions if
+ *   configured) from the store; formatting and parsing live in utils/units.
+ * - Displays and parses numbers for the UI language (decimal comma in
+ *   German, point in English; the other separator is accepted as well).
+ * - Accepts simple arithmetic
+ *   (`300-2*1.5`), mixed fractions (`48 3/8`) and unit suffixes that
+ *   override the active unit (`120cm`, `47in`, `48 3/8"`).
+ * - Validates against the bounds; on blur (or Enter), reverts if invalid,
+ *   otherwise commits the value rounded to store precision. Untouched text
+ *   is never re-committed, so display rounding cannot change a value.
  */
-export default function NumberInput({ valueCm, onChangeCm, minCm, maxCm, label }) {
+export default function NumberInput({
+  valueCm,
+  onChangeCm,
+  minCm,
+  maxCm,
+  label,
+  compact = false,
+  plain = false,
+  className = "field-row",
+  optional = false,
+  placeholder,
+}) {
   const unit = usePlatesStore((s) => s.unit);
-  const cmToUnit = usePlatesStore((s) => s.cmToUnit);
-  const unitToCm = usePlatesStore((s) => s.unitToCm);
+  const inchFraction = usePlatesStore((s) => s.inchFraction);
+  // Re-renders (and re-formats) on a language switch
+  const { t } = useTranslation();
 
-  // Convert current cm value to the active unit for display
-  const displayValue = React.useMemo(() => {
-    const u = cmToUnit(valueCm);
-    return String(Math.round(u * 10) / 10);
-  }, [valueCm, unit, cmToUnit]);
+  const format = (cm) =>
+    plain ? String(Math.round(cm)) : formatLength(cm, unit, { inchFraction });
+  const parse = (text) =>
+    plain ? Math.round(parseNumber(text)) : parseLength(text, unit);
+
+  // Current cm value as text in the active unit
+  const displayValue = valueCm == null ? "" : format(valueCm);
 
   const [local, setLocal] = useState(displayValue);
   const prevValid = useRef(displayValue);
 
-  // Reset draft when either the value or the selected unit changes
+  // Reset draft when either the value or the display format changes
   React.useEffect(() => {
     setLocal(displayValue);
     prevValid.current = displayValue;
   }, [displayValue]);
 
-  const parse = (s) => {
-    const v = parseFloat((s ?? "").toString().replace(",", "."));
-    return Number.isFinite(v) ? v : NaN;
-  };
-
-  const v = parse(local);
-  const minU = cmToUnit(minCm);
-  const maxU = cmToUnit(maxCm);
-  const invalid = !(Number.isFinite(v) && v >= minU && v <= maxU);
-
-  const mm = Math.round(valueCm * 10);
+  const edited = local.trim() !== displayValue;
+  const empty = optional && !local.trim();
+  const cm = edited ? parse(local) : valueCm;
+  const invalid = !empty && !(Number.isFinite(cm) && cm >= minCm && cm <= maxCm);
 
   const commit = () => {
+    if (!edited) return;
     if (invalid) {
-      // Revert to last valid unit value
+      // Revert to last valid display value
       setLocal(prevValid.current);
       return;
     }
-    // Round in the active unit, convert back to cm, clamp, then commit
-    const roundedU = Math.round(v * 10) / 10;
-    const cm = unitToCm(roundedU);
-    const clampedCm = Math.min(
-      maxCm,
-      Math.max(minCm, Math.round(cm * 10) / 10)
-    );
-    onChangeCm(clampedCm);
+    onChangeCm(empty ? undefined : cm);
+    // Normalize the draft (e.g. "300-3" → "297") even if the value is unchanged
+    setLocal(empty ? "" : format(cm));
+  };
 
-    // Update local draft with the normalized unit value
-    const asU = Math.round(cmToUnit(clampedCm) * 10) / 10;
-    prevValid.current = String(asU);
-    setLocal(String(asU));
+  const range = `${format(minCm)}–${format(maxCm)}${plain ? "" : ` ${unit}`}`;
+
+  const inputProps = {
+    inputMode: "text",
+    value: local,
+    placeholder,
+    onChange: (e) => setLocal(e.target.value),
+    onBlur: commit,
+    onKeyDown: (e) => e.key === "Enter" && commit(),
   };
 
+  if (compact || plain) {
+    return (
+      <div className="number-compact">
+        <label className={className}>
+          <span className="hint">
+            {label}
+            {!plain && ` (${unit})`}
+          </span>
+          <input
+            className={`input${invalid ? " error" : ""}`}
+            aria-invalid={invalid}
+            {...inputProps}
+          />
+        </label>
+        {invalid && (
+          <div className="error-msg">{t("numberInput.outOfRange", { range })}</div>
+        )}
+      </div>
+    );
+  }
+
   return (
     <div className="dim-col">
       <div className="dim-label">
         <span>{label}</span>
-        <span className="dim-range">
-          {Math.round(minU * 10) / 10}–{Math.round(maxU * 10) / 10} {unit}
-        </span>
+        <span className="dim-range">{range}</span>
       </div>
 
       <div className="big-input-wrap">
         <input
           className={`big-input${invalid ? " error" : ""}`}
-          inputMode="decimal"
-          value={local}
-          onChange={(e) => setLocal(e.target.value)}
-          onBlur={commit}
+          {...inputProps}
         />
         <span className="unit-pill">{unit}</span>
       </div>
 
       {invalid ? (
-        <div className="error-msg">
-          Bitte {Math.round(minU * 10) / 10}–{Math.round(maxU * 10) / 10} {unit}{" "}
-          eingeben.
+        <div className="error-msg">{t("numberInput.outOfRange", { range })}</div>
+      ) : edited ? (
+        <div className="mm-hint">
+          = {format(cm)} {unit}
         </div>
       ) : unit === "cm" ? (
-        <div className="mm-hint">{mm} mm</div>
+        <div className="mm-hint">{Math.round(valueCm * 10)} mm</div>
       ) : (
-        <div className="mm-hint">≈ {Math.round(valueCm * 10) / 10} cm</div>
+        <div className="mm-hint">
+          {unit === "in" ? "≈" : "="} {formatLength(valueCm, "cm")} cm
+        </div>
       )}
     </div>
   );
@@ -1,6 +1,12 @@
-import React from "react";
+import React, { useEffect, useRef } from "react";
 import { usePlatesStore } from "../store/usePlatesStore";
+import { MAX_GAP_CM, MAX_OFFSET_Y_CM } from "../utils/layoutUtils";
+import { getProfile } from "../utils/materialProfiles";
+import { formatLength } from "../utils/units";
 import NumberInput from "./NumberInput";
+import CutoutEditor from "./CutoutEditor";
+import { useTranslation } from "../hooks/useTranslation";
+
 /**
  * PlateRow
  * One card for a single plate with header controls and two inputs (W × H).
@@ -9,36 +15,96 @@ import NumberInput from "./NumberInput";
  * - plate: { id, widthCm, heightCm }
  * - idx: index of the plate in the list
  * - total: total plate count (used to disable delete when 1)
- * - dnd: object with DnD handlers from useDnD
+ * - dnd: pointer drag reordering from useDnD; the number badge is the drag
+ *   handle, the dragged card is dimmed while its ghost follows the pointer
+ * - reorder: keyboard reordering from useKeyboardReorder; the number badge is
+ *   the plate's focusable handle (role "option" in the plate listbox)
  * - canDelete: boolean to enable/disable the delete button
+ * - quality: optional { dpi, level, mirroredShare } print quality of this plate
+ * - issues: messages if the plate is outside the active material
+ *   profile's limits (see utils/materialProfiles); the inputs clamp to them
+ *
+ * Below the inputs:
+ * - vertical offset (`offsetYCm`, in the active unit): raises (> 0) or lowers
+ *   (< 0) the plate from its aligned position, e.g. above a socket strip
+ * - every plate but the last can override the global joint width for the
+ *   joint to its right (`gapAfterCm`; empty = global value)
+ * - cutouts for sockets, switches etc. (CutoutEditor)
+ *
+ * Selection: focusing anything in the card selects the plate in the preview;
+ * a plate selected in the preview highlights this card and scrolls it into
+ * view.
  */
-export default function PlateRow({ plate, idx, total, dnd, canDelete }) {
+export default function PlateRow({
+  plate,
+  idx,
+  total,
+  dnd,
+  reorder,
+  canDelete,
+  quality,
+  issues = [],
+}) {
   const updatePlate = usePlatesStore((s) => s.updatePlate);
-  const movePlate = usePlatesStore((s) => s.movePlate);
   const removeById = usePlatesStore((s) => s.removeById);
+  const gapCm = usePlatesStore((s) => s.arrangement.gapCm);
+  const unit = usePlatesStore((s) => s.unit);
+  const inchFraction = usePlatesStore((s) => s.inchFraction);
+  const profile = usePlatesStore((s) => getProfile(s.materialId));
+  const selected = usePlatesStore((s) => s.selectedPlateId === plate.id);
+  const selectPlate = usePlatesStore((s) => s.selectPlate);
+  const { t } = useTranslation();
+  const hasJoint = idx < total - 1;
+  const grabbed = reorder.grabbedId === plate.id;
+  const cardRef = useRef(null);
+
+  // Selected elsewhere (preview): bring the card into view
+  useEffect(() => {
+    const el = cardRef.current;
+    if (!selected || !el || el.contains(document.activeElement)) return;
+    const reduce = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    el.scrollIntoView({ block: "nearest", behavior: reduce ? "auto" : "smooth" });
+  }, [selected]);
 
   return (
     <div
-      className="plate-card fade-in"
-      draggable
-      onDragStart={dnd.handleDragStart(idx)}
-      onDragOver={dnd.handleDragOver(idx)}
-      onDrop={dnd.handleDrop(idx)}
-      onDragEnd={dnd.handleDragEnd}
-      aria-grabbed="true"
-      aria-label={`Platte ${idx + 1} verschiebbar`}
+      ref={cardRef}
+      className={`plate-card fade-in${issues.length ? " out-of-range" : ""}${
+        grabbed ? " grabbed" : ""
+      }${dnd.draggingIndex === idx ? " drag-source" : ""}${
+        selected ? " selected" : ""
+      }`}
+      onFocus={() => {
+        if (!selected) selectPlate(plate.id);
+      }}
     >
       {/* Header (badge + optional arrows + delete) */}
       <div className="plate-card-head">
+        {quality ? (
+          <span
+            className={`quality-badge ${quality.level}`}
+            title={
+              t("plate.qualityTitle", { dpi: Math.round(quality.dpi) }) +
+              (quality.mirroredShare > 0
+                ? ` · ${t("plate.qualityMirrored", {
+                    percent: Math.round(quality.mirroredShare * 100),
+                  })}`
+                : "")
+            }
+          >
+            {Math.round(quality.dpi)} DPI · {t(`quality.${quality.level}`)}
+            {quality.mirroredShare > 0 && " ⇋"}
+          </span>
+        ) : null}
         <div className="head-spacer" />
         {/* Arrow fallback in addition to DnD (optional) */}
         <button
           type="button"
           className="ghost-nav"
           disabled={idx === 0}
-          onClick={() => movePlate(idx, idx - 1)}
-          aria-label="Nach links verschieben"
-          title="Nach links verschieben"
+          onClick={(e) => reorder.move(idx, idx - 1, e.currentTarget)}
+          aria-label={t("plate.moveLeft")}
+          title={t("plate.moveLeft")}
         >
           ◀
         </button>
@@ -46,9 +112,9 @@ export default function PlateRow({ plate, idx, total, dnd, canDelete }) {
           type="button"
           className="ghost-nav"
           disabled={idx === total - 1}
-          onClick={() => movePlate(idx, idx + 1)}
-          aria-label="Nach rechts verschieben"
-          title="Nach rechts verschieben"
+          onClick={(e) => reorder.move(idx, idx + 1, e.currentTarget)}
+          aria-label={t("plate.moveRight")}
+          title={t("plate.moveRight")}
         >
           ▶
         </button>
@@ -56,20 +122,33 @@ export default function PlateRow({ plate, idx, total, dnd, canDelete }) {
 
       {/* Inputs */}
       <div className="dims-row">
-        <span className="badge">{idx + 1}</span>
+        <span
+          ref={reorder.registerHandle(plate.id)}
+          className="badge reorder-handle"
+          role="option"
+          tabIndex={0}
+          aria-selected={grabbed}
+          aria-label={t("reorder.handle", { n: idx + 1, total })}
+          aria-describedby="reorder-help"
+          onKeyDown={reorder.handleKeyDown(idx)}
+          onBlur={reorder.handleBlur}
+          onPointerDown={dnd.handlePointerDown(idx)}
+        >
+          {idx + 1}
+        </span>
         <NumberInput
-          label="Breite"
+          label={t("plate.width")}
           valueCm={plate.widthCm}
-          minCm={20}
-          maxCm={300}
+          minCm={profile.minWidthCm}
+          maxCm={profile.maxWidthCm}
           onChangeCm={(cm) => updatePlate(plate.id, { widthCm: cm })}
         />
         <div className="times">×</div>
         <NumberInput
-          label="Höhe"
+          label={t("plate.height")}
           valueCm={plate.heightCm}
-          minCm={30}
-          maxCm={128}
+          minCm={profile.minHeightCm}
+          maxCm={profile.maxHeightCm}
           onChangeCm={(cm) => updatePlate(plate.id, { heightCm: cm })}
         />
         <button
@@ -77,12 +156,46 @@ export default function PlateRow({ plate, idx, total, dnd, canDelete }) {
           className="del-pill"
           disabled={!canDelete}
           onClick={() => removeById(plate.id)}
-          aria-label="Platte entfernen"
-          title="Platte entfernen"
+          aria-label={t("plate.remove")}
+          title={t("plate.remove")}
         >
           −
         </button>
       </div>
+
+      {issues.map((msg) => (
+        <div key={msg} className="error-msg">
+          {msg}
+        </div>
+      ))}
+
+      <NumberInput
+        compact
+        className="field-row joint-row"
+        label={t("plate.offsetY")}
+        valueCm={plate.offsetYCm || 0}
+        minCm={-MAX_OFFSET_Y_CM}
+        maxCm={MAX_OFFSET_Y_CM}
+        onChangeCm={(cm) => updatePlate(plate.id, { offsetYCm: cm })}
+      />
+
+      {hasJoint && (
+        <NumberInput
+          compact
+          optional
+          className="field-row joint-row"
+          label={t("plate.gapAfter")}
+          placeholder={t("plate.gapGlobal", {
+            value: formatLength(gapCm, unit, { inchFraction }),
+          })}
+          valueCm={plate.gapAfterCm}
+          minCm={0}
+          maxCm={MAX_GAP_CM}
+          onChangeCm={(cm) => updatePlate(plate.id, { gapAfterCm: cm })}
+        />
+      )}
+
+      <CutoutEditor plate={plate} />
     </div>
   );
 }
@@ -0,0 +1,130 @@
+/**
+ * PriceSummary.jsx
+ *
+ * Purpose:
+ * - Live price block in the ControlsPanel: priced material, per-plate prices,
+ *   surcharges and the total (see utils/pricing). The material itself is
+ *   chosen with the material profile in the ControlsPanel.
+ * - Names a library motif with its article number, so the quote identifies
+ *   the print (see utils/motifCatalog).
+ * - Lets a shop load its own rate table from a local JSON file, or go back
+ *   to the bundled default prices.
+ */
+
+import React, { useRef, useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { usePricing } from "../hooks/usePricing";
+import { formatPrice, readPriceTableFile } from "../utils/pricing";
+import { formatNumber } from "../utils/i18n";
+import { getCatalogMotif, motifTitle } from "../utils/motifCatalog";
+import { useTranslation } from "../hooks/useTranslation";
+
+export default function PriceSummary() {
+  const materialId = usePlatesStore((s) => s.materialId);
+  const priceTable = usePlatesStore((s) => s.priceTable);
+  const setPriceTable = usePlatesStore((s) => s.setPriceTable);
+  const catalogMotif = getCatalogMotif(usePlatesStore((s) => s.motifCatalogId));
+  const { table, quote } = usePricing();
+  const { t } = useTranslation();
+
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setPriceTable(await readPriceTableFile(file));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const money = (v) => formatPrice(v, quote.currency);
+
+  return (
+    <section className="price-block" aria-label={t("price.label")}>
+      <div className="price-head">
+        <span className="hint">{t("controls.material")}</span>
+        <span>{quote.material.name}</span>
+      </div>
+      {catalogMotif && (
+        <div className="price-head">
+          <span className="hint">{t("catalog.motif")}</span>
+          <span>
+            {motifTitle(catalogMotif)} ·{" "}
+            {t("catalog.article", { id: catalogMotif.id })}
+          </span>
+        </div>
+      )}
+      {quote.material.id !== materialId && (
+        <div className="hint">
+          {t("price.materialMissing", {
+            id: materialId,
+            name: quote.material.name,
+          })}
+        </div>
+      )}
+
+      <ul className="price-lines">
+        {quote.lines.map((l, i) => (
+          <li key={i}>
+            <span>
+              {t("price.plate", { n: i + 1 })}{" "}
+              <span className="hint">
+                ({formatNumber(l.areaM2)} m²
+                {l.minApplied ? `, ${t("price.minCharge")}` : ""}
+                {l.wideSurcharge
+                  ? `, ${t("price.wideSurcharge", { amount: money(l.wideSurcharge) })}`
+                  : ""}
+                )
+              </span>
+            </span>
+            <span>{money(l.total)}</span>
+          </li>
+        ))}
+        {quote.mirrorSurcharge > 0 && (
+          <li>
+            <span>{t("price.mirrorSurcharge")}</span>
+            <span>{money(quote.mirrorSurcharge)}</span>
+          </li>
+        )}
+      </ul>
+
+      <div className="price-total">
+        <span>{t("price.total")}</span>
+        <strong>{money(quote.total)}</strong>
+      </div>
+
+      <div className="upload-row">
+        <button
+          type="button"
+          className="btn"
+          onClick={() => fileRef.current?.click()}
+        >
+          {t("price.loadTable")}
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+          hidden
+        />
+        {priceTable && (
+          <button
+            type="button"
+            className="btn"
+            onClick={() => setPriceTable(null)}
+          >
+            {t("price.defaultPrices")}
+          </button>
+        )}
+        <span className="hint">{table.name ?? t("price.customPrices")}</span>
+      </div>
+      {error && <div className="error-msg">{error}</div>}
+    </section>
+  );
+}
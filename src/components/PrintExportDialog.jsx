@@ -0,0 +1,165 @@
+/**
+ * PrintExportDialog.jsx
+ *
+ * Purpose:
+ * - Options for the print-production export (DPI, bleed, crop marks) and the
+ *   download of one PNG per plate as a single ZIP (see utils/printExport).
+ * - A motif from the library is named with its article number in info.txt.
+ *
+ * Props:
+ *  - imgInfo: { url, w, h, motif } the motif as painted in the preview
+ *    (motif: description for the render worker, see utils/renderClient)
+ *  - plates: Array<{ id, widthCm, heightCm }>
+ *  - layout: result of computeLayout(plates)
+ *  - framing: motif zoom/focus from the store
+ *  - onClose: () => void
+ */
+
+import React, { useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { PRINT_DPI_OPTIONS } from "../utils/printExport";
+import { getCatalogMotif, motifTitle } from "../utils/motifCatalog";
+import { exportPrintZip } from "../utils/renderClient";
+import { useTranslation } from "../hooks/useTranslation";
+
+export default function PrintExportDialog({
+  imgInfo,
+  plates,
+  layout,
+  framing,
+  onClose,
+}) {
+  const [dpi, setDpi] = useState(300);
+  const [bleedMm, setBleedMm] = useState(3);
+  const [cropMarks, setCropMarks] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const motifCatalogId = usePlatesStore((s) => s.motifCatalogId);
+  const { t } = useTranslation();
+
+  const busy = progress !== null;
+
+  const handleExport = async () => {
+    if (!imgInfo || busy) return;
+    setResult(null);
+    setProgress({ done: 0, total: plates.length });
+    const entry = getCatalogMotif(motifCatalogId);
+    const catalogMotif = entry && { id: entry.id, title: motifTitle(entry) };
+    try {
+      const { blob, reduced } = await exportPrintZip(
+        imgInfo.motif,
+        plates,
+        layout,
+        { dpi, bleedMm, cropMarks, framing, catalogMotif },
+        (done, total) => setProgress({ done, total })
+      );
+
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `${t("print.fileName")}.zip`;
+      a.click();
+      // Give the browser a moment to start the download before revoking
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+      setResult({ reduced });
+    } catch (err) {
+      alert(t("print.failed"));
+      console.error(err);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div
+        className="modal panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="print-title"
+      >
+        <h3 id="print-title">{t("print.title")}</h3>
+        <p className="hint">{t("print.intro")}</p>
+
+        <label className="field-row">
+          <span>{t("print.resolution")}</span>
+          <select
+            className="input"
+            value={dpi}
+            onChange={(e) => setDpi(Number(e.target.value))}
+            disabled={busy}
+          >
+            {PRINT_DPI_OPTIONS.map((d) => (
+              <option key={d} value={d}>
+                {d} DPI
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="field-row">
+          <span>{t("print.bleed")}</span>
+          <input
+            className="input"
+            type="number"
+            min={0}
+            max={20}
+            step={0.5}
+            value={bleedMm}
+            onChange={(e) =>
+              setBleedMm(Math.min(20, Math.max(0, Number(e.target.value) || 0)))
+            }
+            disabled={busy}
+          />
+        </label>
+
+        <label className="field-row">
+          <span>{t("print.cropMarks")}</span>
+          <input
+            type="checkbox"
+            checked={cropMarks}
+            onChange={(e) => setCropMarks(e.target.checked)}
+            disabled={busy}
+          />
+        </label>
+
+        {busy && (
+          <div className="hint" role="status">
+            {t("print.progress", {
+              n: Math.min(progress.done + 1, progress.total),
+              total: progress.total,
+            })}
+          </div>
+        )}
+        {result && (
+          <div className="hint" role="status">
+            {result.reduced.length === 0
+              ? t("print.done")
+              : t("print.doneReduced", {
+                  plates: result.reduced
+                    .map((r) =>
+                      t("print.reducedPlate", { n: r.index + 1, dpi: r.dpi })
+                    )
+                    .join(", "),
+                })}
+          </div>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" className="btn" onClick={onClose} disabled={busy}>
+            {t("common.close")}
+          </button>
+          <button
+            type="button"
+            className="btn primary"
+            onClick={handleExport}
+            disabled={busy || !imgInfo}
+          >
+            {t("print.download")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,273 @@
+/**
+ * ProjectManager.jsx
+ *
+ * Purpose:
+ * - Collapsible project list at the top of the ControlsPanel.
+ * - Create, rename, duplicate, delete and switch between named layouts
+ *   (state lives in useProjectsStore).
+ * - Keeps the active project's thumbnail up to date, rendered with the same
+ *   pipeline as the preview export (render worker, see utils/renderClient).
+ * - Export / import of the active layout as a JSON project file (uploaded
+ *   motifs embedded; see utils/projectFile). An import becomes a new project.
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { pickLayout, useProjectsStore } from "../store/useProjectsStore";
+import { computeLayout } from "../utils/layoutUtils";
+import {
+  buildProjectFile,
+  downloadProjectFile,
+  readProjectFile,
+} from "../utils/projectFile";
+import { renderThumbnail } from "../utils/renderClient";
+import { formatDate } from "../utils/i18n";
+import { useTranslation } from "../hooks/useTranslation";
+import { useMotifSource } from "../hooks/useMotifSource";
+
+/** Delay before re-rendering the thumbnail after an edit (ms). */
+const THUMBNAIL_DEBOUNCE = 1200;
+
+/**
+ * useActiveThumbnail
+ * Re-renders the active project's thumbnail (debounced) whenever its plates,
+ * joints, motif, framing, mirror settings or adjustments change. Failures (e.g.
+ * CORS-tainted remote motif) just leave the previous thumbnail in place.
+ */
+function useActiveThumbnail() {
+  const plates = usePlatesStore((s) => s.plates);
+  const motifUrl = usePlatesStore((s) => s.motifUrl);
+  const framing = usePlatesStore((s) => s.framing);
+  const mirror = usePlatesStore((s) => s.mirror);
+  const adjustments = usePlatesStore((s) => s.adjustments);
+  const arrangement = usePlatesStore((s) => s.arrangement);
+  const activeId = useProjectsStore((s) => s.activeId);
+  const setThumbnail = useProjectsStore((s) => s.setThumbnail);
+  // Resolved once per motif (not per render), so the worker's cache can reuse it
+  const { src } = useMotifSource(motifUrl);
+
+  useEffect(() => {
+    if (!activeId || !src) return;
+    const ctrl = new AbortController();
+
+    const timer = setTimeout(async () => {
+      try {
+        const thumb = await renderThumbnail(
+          src,
+          plates,
+          computeLayout(plates, arrangement),
+          { framing, mirror, adjustments, signal: ctrl.signal }
+        );
+        setThumbnail(activeId, thumb);
+      } catch (err) {
+        if (err.name !== "AbortError") {
+          console.warn("Thumbnail rendering failed", err);
+        }
+      }
+    }, THUMBNAIL_DEBOUNCE);
+
+    return () => {
+      ctrl.abort();
+      clearTimeout(timer);
+    };
+  }, [plates, arrangement, src, framing, mirror, adjustments, activeId, setThumbnail]);
+}
+
+/**
+ * ProjectManager
+ * Lists all projects; the active one is highlighted.
+ */
+export default function ProjectManager() {
+  const {
+    projects,
+    activeId,
+    createProject,
+    renameProject,
+    duplicateProject,
+    deleteProject,
+    switchProject,
+    importProject,
+  } = useProjectsStore();
+  const { t } = useTranslation();
+
+  // Inline rename: id of the project being edited + its draft name
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState("");
+
+  // JSON import/export: busy flag + last error (user-facing message)
+  const fileRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [fileError, setFileError] = useState(null);
+
+  useActiveThumbnail();
+
+  const active = projects.find((p) => p.id === activeId);
+
+  const startRename = (p) => {
+    setEditing(p.id);
+    setDraft(p.name);
+  };
+
+  const commitRename = () => {
+    if (editing) renameProject(editing, draft);
+    setEditing(null);
+  };
+
+  const handleExport = async () => {
+    setBusy(true);
+    setFileError(null);
+    try {
+      const file = await buildProjectFile(
+        pickLayout(usePlatesStore.getState()),
+        { name: active?.name }
+      );
+      downloadProjectFile(file);
+    } catch (err) {
+      console.error("Project export failed", err);
+      setFileError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    // Reset so selecting the same file again still fires onChange
+    e.target.value = "";
+    if (!file) return;
+    setBusy(true);
+    setFileError(null);
+    try {
+      const { name, layout } = await readProjectFile(file);
+      importProject(name, layout);
+    } catch (err) {
+      console.error("Project import failed", err);
+      setFileError(t("projects.importFailed", { message: err.message }));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = (p) => {
+    if (window.confirm(t("projects.confirmDelete", { name: p.name }))) {
+      deleteProject(p.id);
+    }
+  };
+
+  return (
+    <details className="projects">
+      <summary className="projects-summary">
+        <span className="hint">{t("projects.project")}</span>
+        <strong>{active?.name ?? "–"}</strong>
+      </summary>
+
+      <ul className="project-list">
+        {projects.map((p) => (
+          <li
+            key={p.id}
+            className={`project-item${p.id === activeId ? " active" : ""}`}
+          >
+            <button
+              type="button"
+              className="project-open"
+              onClick={() => switchProject(p.id)}
+              aria-current={p.id === activeId}
+              title={t("projects.open")}
+            >
+              {p.thumbnail ? (
+                <img className="project-thumb" src={p.thumbnail} alt="" />
+              ) : (
+                <span className="project-thumb empty" />
+              )}
+            </button>
+
+            <div className="project-meta">
+              {editing === p.id ? (
+                <input
+                  className="input full"
+                  value={draft}
+                  autoFocus
+                  onChange={(e) => setDraft(e.target.value)}
+                  onBlur={commitRename}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") commitRename();
+                    if (e.key === "Escape") setEditing(null);
+                  }}
+                  aria-label={t("projects.name")}
+                />
+              ) : (
+                <span className="project-name">{p.name}</span>
+              )}
+              <span className="hint">
+                {t("projects.updated", { date: formatDate(p.updatedAt) })}
+              </span>
+            </div>
+
+            <div className="project-actions">
+              <button
+                type="button"
+                className="ghost-nav"
+                onClick={() => startRename(p)}
+                aria-label={t("projects.rename")}
+                title={t("projects.rename")}
+              >
+                ✎
+              </button>
+              <button
+                type="button"
+                className="ghost-nav"
+                onClick={() => duplicateProject(p.id)}
+                aria-label={t("projects.duplicate")}
+                title={t("projects.duplicate")}
+              >
+                ⧉
+              </button>
+              <button
+                type="button"
+                className="ghost-nav"
+                disabled={projects.length <= 1}
+                onClick={() => handleDelete(p)}
+                aria-label={t("projects.delete")}
+                title={t("projects.delete")}
+              >
+                ✕
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="cta-row">
+        <button type="button" className="btn" onClick={() => createProject()}>
+          {t("projects.create")}
+        </button>
+        <button
+          type="button"
+          className="btn"
+          disabled={busy}
+          onClick={handleExport}
+          title={t("projects.exportTitle")}
+        >
+          {t("projects.export")}
+        </button>
+        <button
+          type="button"
+          className="btn"
+          disabled={busy}
+          onClick={() => fileRef.current?.click()}
+          title={t("projects.importTitle")}
+        >
+          {t("projects.import")}
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          hidden
+        />
+      </div>
+      {fileError && <div className="error-msg">{fileError}</div>}
+    </details>
+  );
+}
@@ -0,0 +1,76 @@
+/**
+ * ShareLinkPrompt.jsx
+ *
+ * Purpose:
+ * - Asks whether a shared layout link should replace the local layout
+ *   (only shown when there is local work that would be overwritten).
+ * - Shows validation warnings / errors from decoding a link.
+ *
+ * All logic lives in useSharedLayout; this component is presentation only.
+ */
+
+import React from "react";
+import { useSharedLayout } from "../hooks/useSharedLayout";
+import { useTranslation } from "../hooks/useTranslation";
+
+export default function ShareLinkPrompt() {
+  const { pending, notice, accept, dismiss, clearNotice } = useSharedLayout();
+  const { t } = useTranslation();
+
+  if (pending) {
+    const count = pending.layout.plates.length;
+    return (
+      <div className="modal-backdrop">
+        <div
+          className="modal panel"
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="share-title"
+        >
+          <h3 id="share-title">{t("share.title")}</h3>
+          <p className="hint">{t("share.body", { count })}</p>
+          {pending.warnings.length > 0 && (
+            <ul className="notice-list">
+              {pending.warnings.map((w) => (
+                <li key={w}>{w}</li>
+              ))}
+            </ul>
+          )}
+          <div className="modal-actions">
+            <button type="button" className="btn" onClick={dismiss}>
+              {t("share.keep")}
+            </button>
+            <button type="button" className="btn primary" onClick={accept}>
+              {t("share.accept")}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!notice) return null;
+
+  return (
+    <div className="notice" role="status">
+      {notice.error ? (
+        <span className="error-msg">{notice.error}</span>
+      ) : (
+        <ul className="notice-list">
+          {notice.warnings.map((w) => (
+            <li key={w}>{w}</li>
+          ))}
+        </ul>
+      )}
+      <button
+        type="button"
+        className="ghost-nav"
+        onClick={clearNotice}
+        aria-label={t("share.closeNotice")}
+        title={t("common.close")}
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+/**
+ * WallSplitDialog.jsx
+ *
+ * Purpose:
+ * - "Wand aufteilen": enter the total wall size and a strategy, compare the
+ *   resulting plate splits (see utils/splitWall) and apply one.
+ * - Applying replaces the plate list in one undoable step (loadLayout).
+ *
+ * Sizes are entered in the active unit; joints from the arrangement and the
+ * size limits of the active material profile are taken into account.
+ *
+ * Props:
+ *  - onClose: () => void
+ */
+
+import React, { useMemo, useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { computeLayout } from "../utils/layoutUtils";
+import { getProfile, profileLimits } from "../utils/materialProfiles";
+import { SPLIT_STRATEGIES, splitAlternatives } from "../utils/splitWall";
+import { formatNumber } from "../utils/i18n";
+import NumberInput from "./NumberInput";
+import { useTranslation } from "../hooks/useTranslation";
+
+const fmt = (v) => formatNumber(v, { maximumFractionDigits: 1 });
+
+/** Largest wall (cm) the dialog accepts; the split reports sizes it can't fit. */
+const MAX_WALL_CM = 10000;
+
+export default function WallSplitDialog({ onClose }) {
+  const plates = usePlatesStore((s) => s.plates);
+  const arrangement = usePlatesStore((s) => s.arrangement);
+  const unit = usePlatesStore((s) => s.unit);
+  const cmToUnit = usePlatesStore((s) => s.cmToUnit);
+  const loadLayout = usePlatesStore((s) => s.loadLayout);
+  const materialId = usePlatesStore((s) => s.materialId);
+  const { t } = useTranslation();
+
+  // Start from the current wall (sum of plates + joints, tallest plate)
+  const [wallW, setWallW] = useState(
+    () => computeLayout(plates, arrangement).totalW
+  );
+  const [wallH, setWallH] = useState(() =>
+    Math.max(...plates.map((p) => p.heightCm))
+  );
+  const [strategy, setStrategy] = useState("fewest");
+  const [standardW, setStandardW] = useState(100);
+  const [remainderAt, setRemainderAt] = useState("end");
+
+  const options = useMemo(
+    () =>
+      splitAlternatives(wallW, wallH, {
+        strategy,
+        standardW,
+        remainderAt,
+        gapCm: arrangement.gapCm,
+        limits: profileLimits(getProfile(materialId)),
+      }),
+    [wallW, wallH, strategy, standardW, remainderAt, arrangement.gapCm, materialId]
+  );
+
+  const apply = (option) => {
+    loadLayout({
+      plates: option.widths.map((widthCm) => ({
+        widthCm,
+        heightCm: option.heightCm,
+      })),
+    });
+    onClose();
+  };
+
+  // A standard width outside the profile would be clamped by the split
+  const limits = profileLimits(getProfile(materialId));
+  const field = (label, valueCm, setCm, minCm = 1, maxCm = MAX_WALL_CM) => (
+    <NumberInput
+      compact
+      label={label}
+      valueCm={valueCm}
+      minCm={minCm}
+      maxCm={maxCm}
+      onChangeCm={setCm}
+    />
+  );
+
+  const describe = (o) =>
+    o.strategy === "standard"
+      ? `${t("split.strategies.standard")} (${t("split.remainder")} ${t(
+          `split.remainderAt.${o.remainderAt}`
+        )})`
+      : t(`split.strategies.${o.strategy}`);
+
+  return (
+    <div className="modal-backdrop">
+      <div
+        className="modal panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="split-title"
+      >
+        <h3 id="split-title">{t("split.title")}</h3>
+        <p className="hint">
+          {arrangement.gapCm > 0
+            ? t("split.introGap", { mm: fmt(arrangement.gapCm * 10) })
+            : t("split.intro")}
+        </p>
+
+        {field(t("split.wallWidth"), wallW, setWallW)}
+        {field(t("split.wallHeight"), wallH, setWallH)}
+
+        <label className="field-row">
+          <span>{t("split.strategy")}</span>
+          <select
+            className="input"
+            value={strategy}
+            onChange={(e) => setStrategy(e.target.value)}
+          >
+            {SPLIT_STRATEGIES.map((s) => (
+              <option key={s} value={s}>
+                {t(`split.strategies.${s}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        {strategy === "standard" && (
+          <>
+            {field(
+              t("split.standardWidth"),
+              standardW,
+              setStandardW,
+              limits.minW,
+              limits.maxW
+            )}
+            <label className="field-row">
+              <span>{t("split.remainder")}</span>
+              <select
+                className="input"
+                value={remainderAt}
+                onChange={(e) => setRemainderAt(e.target.value)}
+              >
+                <option value="end">{t("split.remainderAt.end")}</option>
+                <option value="start">{t("split.remainderAt.start")}</option>
+              </select>
+            </label>
+          </>
+        )}
+
+        <ul className="split-options">
+          {options.map((o) => (
+            <li
+              key={o.key}
+              className={`split-option${o.preferred ? " preferred" : ""}`}
+            >
+              <div className="split-option-head">
+                <span>
+                  <strong>
+                    {t("common.plates", { count: o.widths.length })}
+                  </strong>{" "}
+                  <span className="hint">{describe(o)}</span>
+                </span>
+                <button
+                  type="button"
+                  className={`btn${o.preferred ? " primary" : ""}`}
+                  disabled={o.problems.length > 0}
+                  onClick={() => apply(o)}
+                >
+                  {t("split.apply")}
+                </button>
+              </div>
+              <div className="split-bar" aria-hidden="true">
+                {o.widths.map((w, i) => (
+                  <span key={i} style={{ flexGrow: w }} />
+                ))}
+              </div>
+              <div className="hint">
+                {o.widths.map((w) => fmt(cmToUnit(w))).join(" + ")} {unit} ×{" "}
+                {fmt(cmToUnit(o.heightCm))} {unit}
+              </div>
+              {o.problems.map((p) => (
+                <div key={p} className="error-msg split-error">
+                  {p}
+                </div>
+              ))}
+            </li>
+          ))}
+        </ul>
+
+        <div className="modal-actions">
+          <button type="button" className="btn" onClick={onClose}>
+            {t("common.cancel")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
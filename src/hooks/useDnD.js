@@ -1,47 +1,248 @@
-import { useRef } from "react";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
 /**
  * useDnD
- * Native HTML5 drag & drop helpers for reordering.
+ * Drag & drop reordering of the plate cards on Pointer Events, so it works
+ * with mouse, touch and pen alike.
  *
  * onMove(fromIndex: number, toIndex: number): void
  *
- * Notes:
- * - I use a 1x1 transparent drag image to avoid a large snapshot of the card.
- * - I keep the function signatures symmetrical (handleDragOver takes the index
- *   too) even if I don’t need it — simplifies usage where I always pass `idx`.
+ * Behaviour:
+ * - A drag starts on a card's handle (the number badge) once the pointer has
+ *   moved a few pixels; the handle has `touch-action: none`, so touch drags
+ *   don't scroll the page instead.
+ * - A floating ghost (a clone of the card) follows the pointer; the card
+ *   itself stays in place, dimmed.
+ * - An insertion line marks the gap the card will land in.
+ * - Near the top/bottom edge of the scroll container (the nearest scrollable
+ *   ancestor, or the page) the list scrolls automatically.
+ * - On drop, every card animates from its old to its new position (FLIP);
+ *   skipped with prefers-reduced-motion.
+ * - Escape or pointercancel aborts the drag.
+ *
+ * Returns:
+ * - listRef: ref for the element holding the cards (`.plate-card` children);
+ *   the insertion line is positioned relative to it
+ * - handlePointerDown(i): handler for the handle of the card at index i
+ * - draggingIndex: index of the dragged card, or null
+ * - indicatorTop: y of the insertion line within the list (px), or null
  */
-export function useDnD(onMove) {
-  const dragIndex = useRef(null);
-
-  const handleDragStart = (i) => (e) => {
-    dragIndex.current = i;
-    if (e.dataTransfer) {
-      e.dataTransfer.effectAllowed = "move";
-      const img = new Image();
-      img.src = "data:image/gif;base64,R0lGODlhAQABAAAAACw=";
-      e.dataTransfer.setDragImage(img, 0, 0);
+
+/** Pointer travel (px) before a press on the handle becomes a drag. */
+const DRAG_THRESHOLD = 4;
+/** Distance (px) from the scroll container's edge that triggers auto-scroll. */
+const SCROLL_EDGE = 48;
+/** Auto-scroll speed at the very edge (px per frame). */
+const SCROLL_SPEED = 14;
+/** Duration of the drop animation (ms). */
+const FLIP_MS = 200;
+
+/** Nearest scrollable ancestor; the page's scrolling element otherwise. */
+function getScrollParent(el) {
+  for (let node = el?.parentElement; node; node = node.parentElement) {
+    const { overflowY } = getComputedStyle(node);
+    if (/(auto|scroll)/.test(overflowY) && node.scrollHeight > node.clientHeight) {
+      return node;
     }
+  }
+  return document.scrollingElement || document.documentElement;
+}
+
+/** Visible vertical bounds of a scroll container in viewport coordinates. */
+function scrollBounds(scroller) {
+  if (scroller === document.scrollingElement || scroller === document.documentElement) {
+    return { top: 0, bottom: window.innerHeight };
+  }
+  const r = scroller.getBoundingClientRect();
+  return { top: r.top, bottom: r.bottom };
+}
+
+export function useDnD(onMove) {
+  const listRef = useRef(null);
+  const [draggingIndex, setDraggingIndex] = useState(null);
+  const [indicatorTop, setIndicatorTop] = useState(null);
+
+  // Mutable drag session (pointer position, ghost, target gap, …)
+  const session = useRef(null);
+  // Card positions before a drop, animated from in the next layout effect
+  const flipFrom = useRef(null);
+  // Latest onMove, so window listeners never call a stale one
+  const onMoveRef = useRef(onMove);
+  useEffect(() => {
+    onMoveRef.current = onMove;
+  });
+
+  const cards = () =>
+    listRef.current
+      ? Array.from(listRef.current.querySelectorAll(":scope > .plate-card"))
+      : [];
+
+  /** Gap (0..n) the pointer is over and the line position for it. */
+  const updateTarget = () => {
+    const s = session.current;
+    const els = cards();
+    const list = listRef.current;
+    if (!s?.active || !els.length || !list) return;
+
+    const rects = els.map((el) => el.getBoundingClientRect());
+    let gap = rects.findIndex((r) => s.y < r.top + r.height / 2);
+    if (gap < 0) gap = rects.length;
+
+    const listTop = list.getBoundingClientRect().top;
+    const edge =
+      gap < rects.length
+        ? rects[gap].top - (gap > 0 ? (rects[gap].top - rects[gap - 1].bottom) / 2 : 6)
+        : rects[rects.length - 1].bottom + 6;
+
+    s.gap = gap;
+    setIndicatorTop(edge - listTop);
   };
 
-  // `_i` kept for signature symmetry; currently not used.
-  const handleDragOver = (_i) => (e) => {
-    e.preventDefault();
-    if (e.dataTransfer) e.dataTransfer.dropEffect = "move";
+  const moveGhost = () => {
+    const s = session.current;
+    if (s?.ghost) {
+      s.ghost.style.transform = `translate(${s.x - s.offsetX}px, ${s.y - s.offsetY}px)`;
+    }
   };
 
-  const handleDrop = (i) => (e) => {
-    e.preventDefault();
-    const from = dragIndex.current;
-    const to = i;
-    if (Number.isInteger(from) && Number.isInteger(to) && from !== to) {
-      onMove(from, to);
+  const autoScroll = () => {
+    const s = session.current;
+    if (!s?.active) return;
+    const { top, bottom } = scrollBounds(s.scroller);
+    let dy = 0;
+    if (s.y < top + SCROLL_EDGE) dy = -SCROLL_SPEED * (1 - Math.max(0, s.y - top) / SCROLL_EDGE);
+    else if (s.y > bottom - SCROLL_EDGE) dy = SCROLL_SPEED * (1 - Math.max(0, bottom - s.y) / SCROLL_EDGE);
+    if (dy) {
+      s.scroller.scrollTop += dy;
+      updateTarget();
     }
-    dragIndex.current = null;
+    s.frame = requestAnimationFrame(autoScroll);
   };
 
-  const handleDragEnd = () => {
-    dragIndex.current = null;
+  const start = () => {
+    const s = session.current;
+    const card = cards()[s.index];
+    if (!card) return;
+    const r = card.getBoundingClientRect();
+
+    const ghost = card.cloneNode(true);
+    ghost.classList.add("drag-ghost");
+    ghost.setAttribute("aria-hidden", "true");
+    ghost.removeAttribute("id");
+    Object.assign(ghost.style, { width: `${r.width}px`, height: `${r.height}px` });
+    document.body.appendChild(ghost);
+
+    Object.assign(s, {
+      active: true,
+      ghost,
+      offsetX: s.x - r.left,
+      offsetY: s.y - r.top,
+      scroller: getScrollParent(listRef.current),
+    });
+    moveGhost();
+    setDraggingIndex(s.index);
+    updateTarget();
+    s.frame = requestAnimationFrame(autoScroll);
+  };
+
+  const end = (commit) => {
+    const s = session.current;
+    if (!s) return;
+    session.current = null;
+    s.detach();
+    if (!s.active) return;
+
+    cancelAnimationFrame(s.frame);
+    const ghostRect = s.ghost.getBoundingClientRect();
+    s.ghost.remove();
+    setDraggingIndex(null);
+    setIndicatorTop(null);
+
+    // Gap index → target index once the card is taken out of the list
+    const to = s.gap > s.index ? s.gap - 1 : s.gap;
+    if (!commit || to === s.index) return;
+
+    const els = cards();
+    flipFrom.current = new Map(
+      els.map((el, i) => [el, i === s.index ? ghostRect.top : el.getBoundingClientRect().top])
+    );
+    onMoveRef.current(s.index, to);
   };
 
-  return { handleDragStart, handleDragOver, handleDrop, handleDragEnd };
+  const handlePointerDown = (i) => (e) => {
+    if (session.current || (e.pointerType === "mouse" && e.button !== 0)) return;
+
+    const onPointerMove = (ev) => {
+      const s = session.current;
+      if (!s || ev.pointerId !== s.pointerId) return;
+      s.x = ev.clientX;
+      s.y = ev.clientY;
+      if (!s.active) {
+        if (Math.hypot(s.x - s.startX, s.y - s.startY) < DRAG_THRESHOLD) return;
+        start();
+      }
+      ev.preventDefault();
+      moveGhost();
+      updateTarget();
+    };
+    const onPointerUp = (ev) => {
+      if (ev.pointerId === session.current?.pointerId) end(true);
+    };
+    const onPointerCancel = (ev) => {
+      if (ev.pointerId === session.current?.pointerId) end(false);
+    };
+    const onKeyDown = (ev) => {
+      if (ev.key === "Escape" && session.current?.active) {
+        ev.preventDefault();
+        end(false);
+      }
+    };
+
+    window.addEventListener("pointermove", onPointerMove, { passive: false });
+    window.addEventListener("pointerup", onPointerUp);
+    window.addEventListener("pointercancel", onPointerCancel);
+    window.addEventListener("keydown", onKeyDown);
+
+    session.current = {
+      index: i,
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      active: false,
+      gap: i,
+      detach: () => {
+        window.removeEventListener("pointermove", onPointerMove);
+        window.removeEventListener("pointerup", onPointerUp);
+        window.removeEventListener("pointercancel", onPointerCancel);
+        window.removeEventListener("keydown", onKeyDown);
+      },
+    };
+  };
+
+  // FLIP: animate cards from their pre-drop positions after the reorder
+  useLayoutEffect(() => {
+    const from = flipFrom.current;
+    if (!from) return;
+    flipFrom.current = null;
+    if (window.matchMedia?.("(prefers-reduced-motion: reduce)").matches) return;
+    for (const [el, top] of from) {
+      const dy = top - el.getBoundingClientRect().top;
+      if (el.isConnected && dy && el.animate) {
+        el.animate(
+          [{ transform: `translateY(${dy}px)` }, { transform: "none" }],
+          { duration: FLIP_MS, easing: "ease-out" }
+        );
+      }
+    }
+  });
+
+  // Abort a running drag on unmount, with the latest `end`
+  const endRef = useRef(end);
+  useEffect(() => {
+    endRef.current = end;
+  });
+  useEffect(() => () => endRef.current(false), []);
+
+  return { listRef, handlePointerDown, draggingIndex, indicatorTop };
 }
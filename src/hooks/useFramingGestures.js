@@ -0,0 +1,130 @@
+import { useEffect, useRef } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { panFraming, zoomFraming } from "../utils/imageUtils";
+/**
+ * useFramingGestures
+ * Pan / zoom the motif directly in the preview.
+ *
+ * - Drag (mouse, pen, one finger) → pan
+ * - Mouse wheel / trackpad scroll   → zoom around the cursor
+ * - Two-finger pinch                → zoom around the pinch center (+ pan)
+ *
+ * Pointers starting on an element marked `data-no-pan` (e.g. the plate resize
+ * handles, see usePlateResize) are ignored.
+ *
+ * Zoom never goes below cover scale (enforced in imageUtils.computeCover).
+ * Every gesture writes `framing` to the store; the history middleware
+ * coalesces the stream of updates into one undo step.
+ *
+ * Params:
+ *  - ref: element receiving the gestures (the preview's inner canvas box)
+ *  - metrics: { imgW, imgH, totalW, maxH, scale } — current image size, motif
+ *    area in cm (layout motifW / motifH) and the preview's px-per-cm. Null
+ *    disables the gestures.
+ */
+export function useFramingGestures(ref, metrics) {
+  const setFraming = usePlatesStore((s) => s.setFraming);
+
+  // Latest metrics for the native listeners registered once below
+  const metricsRef = useRef(metrics);
+  useEffect(() => {
+    metricsRef.current = metrics;
+  }, [metrics]);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+
+    // Active pointers: id -> { x, y } in client px
+    const pointers = new Map();
+    let pinchDist = 0;
+
+    /** Client px → virtual cm relative to the element's top-left. */
+    const toCm = (m, clientX, clientY) => {
+      const r = el.getBoundingClientRect();
+      return { x: (clientX - r.left) / m.scale, y: (clientY - r.top) / m.scale };
+    };
+
+    const current = () => usePlatesStore.getState().framing;
+
+    const pan = (m, dxPx, dyPx) => {
+      setFraming(
+        panFraming(current(), m.imgW, m.imgH, m.totalW, m.maxH, dxPx / m.scale, dyPx / m.scale)
+      );
+    };
+
+    const zoomAt = (m, factor, clientX, clientY) => {
+      const at = toCm(m, clientX, clientY);
+      setFraming(
+        zoomFraming(current(), m.imgW, m.imgH, m.totalW, m.maxH, factor, at.x, at.y)
+      );
+    };
+
+    const pinchInfo = () => {
+      const [a, b] = [...pointers.values()];
+      return {
+        dist: Math.hypot(a.x - b.x, a.y - b.y),
+        cx: (a.x + b.x) / 2,
+        cy: (a.y + b.y) / 2,
+      };
+    };
+
+    const onPointerDown = (e) => {
+      const m = metricsRef.current;
+      if (!m || (e.pointerType === "mouse" && e.button !== 0)) return;
+      // Elements with their own drag (plate resize handles)
+      if (e.target.closest?.("[data-no-pan]")) return;
+      el.setPointerCapture(e.pointerId);
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (pointers.size === 2) pinchDist = pinchInfo().dist;
+    };
+
+    const onPointerMove = (e) => {
+      const m = metricsRef.current;
+      const prev = pointers.get(e.pointerId);
+      if (!m || !prev) return;
+
+      if (pointers.size === 1) {
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        pan(m, e.clientX - prev.x, e.clientY - prev.y);
+        return;
+      }
+
+      // Pinch: zoom by distance ratio around the center, pan by center movement
+      const before = pinchInfo();
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      const after = pinchInfo();
+      if (pinchDist > 0 && after.dist > 0) {
+        zoomAt(m, after.dist / pinchDist, after.cx, after.cy);
+      }
+      pinchDist = after.dist;
+      pan(m, after.cx - before.cx, after.cy - before.cy);
+    };
+
+    const onPointerUp = (e) => {
+      pointers.delete(e.pointerId);
+      pinchDist = pointers.size === 2 ? pinchInfo().dist : 0;
+    };
+
+    // Non-passive so the page doesn't scroll while zooming the motif
+    const onWheel = (e) => {
+      const m = metricsRef.current;
+      if (!m) return;
+      e.preventDefault();
+      zoomAt(m, Math.exp(-e.deltaY * 0.0015), e.clientX, e.clientY);
+    };
+
+    el.addEventListener("pointerdown", onPointerDown);
+    el.addEventListener("pointermove", onPointerMove);
+    el.addEventListener("pointerup", onPointerUp);
+    el.addEventListener("pointercancel", onPointerUp);
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => {
+      el.removeEventListener("pointerdown", onPointerDown);
+      el.removeEventListener("pointermove", onPointerMove);
+      el.removeEventListener("pointerup", onPointerUp);
+      el.removeEventListener("pointercancel", onPointerUp);
+      el.removeEventListener("wheel", onWheel);
+    };
+  }, [ref, setFraming]);
+}
@@ -0,0 +1,56 @@
+import { useEffect } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+
+/** Input types without editable text. */
+const NON_TEXT_INPUTS = new Set([
+  "checkbox",
+  "radio",
+  "range",
+  "color",
+  "file",
+  "button",
+  "submit",
+  "reset",
+  "image",
+]);
+
+/** True if the element edits text (and so has the browser's own undo). */
+const isTextEditable = (el) =>
+  el?.tagName === "TEXTAREA" ||
+  !!el?.isContentEditable ||
+  (el?.tagName === "INPUT" && !NON_TEXT_INPUTS.has(el.type));
+
+/**
+ * useHistoryShortcuts
+ * Global keyboard shortcuts for the store's undo history:
+ * - Ctrl/Cmd + Z          → undo
+ * - Ctrl/Cmd + Shift + Z  → redo
+ * - Ctrl + Y              → redo (Windows convention)
+ *
+ * While a text field has focus the browser's own text undo wins, so typing
+ * in a NumberInput and pressing Ctrl+Z only reverts the draft text. Other
+ * controls (checkboxes, sliders, buttons, selects) have no text undo, so the
+ * shortcuts work there.
+ */
+export function useHistoryShortcuts() {
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+      if (isTextEditable(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      const { undo, redo } = usePlatesStore.getState();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey)) {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+}
@@ -0,0 +1,178 @@
+import { useLayoutEffect, useRef, useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { useTranslation } from "./useTranslation";
+/**
+ * useKeyboardReorder
+ * Keyboard reordering of the plate list plus screen reader announcements.
+ *
+ * Every plate has a focusable handle (role "option" in the plate listbox):
+ * - Arrow keys / Home / End move focus between handles.
+ * - Space picks the plate up; arrow keys (or Home / End) then move it,
+ *   Enter or Space drops it, Escape puts it back. Leaving the handle drops.
+ *
+ * While a plate is held it moves with `{ history: false }`; dropping records a
+ * single undo step from the original to the final position, cancelling
+ * records nothing.
+ *
+ * Focus:
+ * - Reordering moves DOM nodes, which can drop focus; the moved plate's
+ *   handle (or the control that triggered the move) is focused again.
+ * - When the focused plate is removed, focus goes to the plate now at its
+ *   position (or the new last one).
+ *
+ * Returns:
+ * - grabbedId: id of the held plate, or null
+ * - announcement: text for an aria-live region
+ * - registerHandle(id): ref callback for a plate's handle
+ * - handleKeyDown(i) / handleBlur: handlers for the handle at index i
+ * - move(from, to, focusEl?): recorded move with announcement, for buttons
+ */
+export function useKeyboardReorder() {
+  const plates = usePlatesStore((s) => s.plates);
+  const movePlate = usePlatesStore((s) => s.movePlate);
+  const { t } = useTranslation();
+
+  // Held plate: id, start index and its number as announced (start position)
+  const [grab, setGrab] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+
+  const handles = useRef(new Map());
+  // Element to focus after the next render: { id, el? }
+  const pendingFocus = useRef(null);
+  // Set while a move re-renders, so the resulting blur doesn't drop the plate
+  const moving = useRef(false);
+  const prevIds = useRef(plates.map((p) => p.id));
+
+  const total = plates.length;
+
+  const registerHandle = (id) => (el) => {
+    if (el) handles.current.set(id, el);
+    else handles.current.delete(id);
+  };
+
+  const focusAfterRender = (id, el = null) => {
+    moving.current = true;
+    pendingFocus.current = { id, el };
+  };
+
+  useLayoutEffect(() => {
+    const ids = plates.map((p) => p.id);
+    // Index of a single removed plate (not a replaced list, e.g. project switch)
+    const removedAt =
+      ids.length === prevIds.current.length - 1
+        ? prevIds.current.findIndex((id) => !ids.includes(id))
+        : -1;
+    prevIds.current = ids;
+
+    const pending = pendingFocus.current;
+    pendingFocus.current = null;
+    if (pending) {
+      const { id, el } = pending;
+      const target =
+        el?.isConnected && !el.disabled ? el : handles.current.get(id);
+      if (target && document.activeElement !== target) target.focus();
+    } else if (
+      removedAt >= 0 &&
+      ids.length &&
+      (!document.activeElement || document.activeElement === document.body)
+    ) {
+      // The focused plate (or its delete button) is gone
+      handles.current.get(ids[Math.min(removedAt, ids.length - 1)])?.focus();
+      setAnnouncement(t("reorder.removed", { n: removedAt + 1 }));
+    }
+    moving.current = false;
+
+    // The held plate disappeared (undo, project switch, …)
+    if (grab && !ids.includes(grab.id)) setGrab(null);
+  }, [plates, grab, t]);
+
+  /** Recorded move with announcement (arrow buttons). */
+  const move = (from, to, focusEl = null) => {
+    if (to < 0 || to >= total || from === to) return;
+    focusAfterRender(plates[from].id, focusEl);
+    movePlate(from, to);
+    setAnnouncement(t("reorder.moved", { n: from + 1, pos: to + 1 }));
+  };
+
+  const pickUp = (i) => {
+    setGrab({ id: plates[i].id, from: i, n: i + 1 });
+    setAnnouncement(t("reorder.pickedUp", { n: i + 1, pos: i + 1, total }));
+  };
+
+  const moveHeld = (i, to) => {
+    if (to < 0 || to >= total || to === i) return;
+    focusAfterRender(grab.id);
+    movePlate(i, to, { history: false });
+    setAnnouncement(t("reorder.position", { n: grab.n, pos: to + 1, total }));
+  };
+
+  const drop = (i) => {
+    if (i !== grab.from) {
+      // Back to the start without history, then one recorded step
+      focusAfterRender(grab.id);
+      movePlate(i, grab.from, { history: false });
+      movePlate(grab.from, i);
+      setAnnouncement(t("reorder.moved", { n: grab.n, pos: i + 1 }));
+    } else {
+      setAnnouncement(t("reorder.droppedInPlace", { n: grab.n, pos: i + 1 }));
+    }
+    setGrab(null);
+  };
+
+  const cancel = (i) => {
+    if (i !== grab.from) {
+      focusAfterRender(grab.id);
+      movePlate(i, grab.from, { history: false });
+    }
+    setAnnouncement(t("reorder.cancelled", { n: grab.n, pos: grab.from + 1 }));
+    setGrab(null);
+  };
+
+  const focusHandle = (i) => {
+    const p = plates[Math.max(0, Math.min(total - 1, i))];
+    handles.current.get(p.id)?.focus();
+  };
+
+  const handleKeyDown = (i) => (e) => {
+    const held = grab?.id === plates[i].id;
+    const target = {
+      ArrowLeft: i - 1,
+      ArrowUp: i - 1,
+      ArrowRight: i + 1,
+      ArrowDown: i + 1,
+      Home: 0,
+      End: total - 1,
+    }[e.key];
+
+    if (target !== undefined) {
+      e.preventDefault();
+      if (held) moveHeld(i, Math.max(0, Math.min(total - 1, target)));
+      else focusHandle(target);
+    } else if (e.key === " " || e.key === "Spacebar") {
+      e.preventDefault();
+      if (held) drop(i);
+      else pickUp(i);
+    } else if (e.key === "Enter" && held) {
+      e.preventDefault();
+      drop(i);
+    } else if (e.key === "Escape" && held) {
+      e.preventDefault();
+      cancel(i);
+    }
+  };
+
+  const handleBlur = () => {
+    if (!grab || moving.current) return;
+    const i = plates.findIndex((p) => p.id === grab.id);
+    if (i >= 0) drop(i);
+  };
+
+  return {
+    grabbedId: grab?.id ?? null,
+    announcement,
+    registerHandle,
+    handleKeyDown,
+    handleBlur,
+    move,
+  };
+}
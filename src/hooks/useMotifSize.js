@@ -0,0 +1,45 @@
+import { useEffect, useMemo, useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { useMotifSource } from "./useMotifSource";
+import { motifSize } from "../utils/renderClient";
+import { orientedSize } from "../utils/adjustments";
+/**
+ * useMotifSize
+ * Pixel size of the layout's motif as it is placed, i.e. after the rotation
+ * of the image adjustments (a quarter turn swaps the sides).
+ *
+ * Uploaded motifs report their size in `meta`; remote motifs are decoded once
+ * in the render worker to read their intrinsic size.
+ *
+ * Returns { w, h }, or null while the size is unknown (loading, or the image
+ * failed to load).
+ */
+export function useMotifSize() {
+  const motifUrl = usePlatesStore((s) => s.motifUrl);
+  const rotation = usePlatesStore((s) => s.adjustments.rotation);
+  const { src, meta } = useMotifSource(motifUrl);
+  const [size, setSize] = useState(null);
+
+  useEffect(() => {
+    if (meta) {
+      setSize({ w: meta.width, h: meta.height });
+      return;
+    }
+    if (!src) {
+      setSize(null);
+      return;
+    }
+    const ctrl = new AbortController();
+    motifSize(src, { signal: ctrl.signal })
+      .then(setSize)
+      .catch(() => {
+        if (!ctrl.signal.aborted) setSize(null);
+      });
+    return () => ctrl.abort();
+  }, [src, meta]);
+
+  return useMemo(
+    () => size && orientedSize(size.w, size.h, { rotation }),
+    [size, rotation]
+  );
+}
@@ -0,0 +1,71 @@
+import { useEffect, useState } from "react";
+import { isLocalMotif, resolveMotifUrl } from "../utils/motifStorage";
+
+// ref -> { promise, users }: each reference is resolved once, however many
+// components show it, and its object URL lives until the last one lets go
+const sources = new Map();
+
+function acquire(ref) {
+  let entry = sources.get(ref);
+  if (!entry) {
+    entry = { promise: resolveMotifUrl(ref), users: 0 };
+    sources.set(ref, entry);
+    // Failures aren't kept: the next user tries again
+    entry.promise.catch(() => {
+      if (sources.get(ref) === entry) sources.delete(ref);
+    });
+  }
+  entry.users += 1;
+  return entry;
+}
+
+function release(ref, entry) {
+  entry.users -= 1;
+  if (entry.users > 0) return;
+  if (sources.get(ref) === entry) sources.delete(ref);
+  entry.promise.then((res) => res.revoke(), () => {});
+}
+
+/**
+ * useMotifSource
+ * Turns a motif reference from the store into a URL an <img> can load.
+ *
+ * - Remote URLs / data URLs pass straight through.
+ * - `idb:<id>` references are read from IndexedDB and exposed as an object
+ *   URL. All hook instances share one read and one URL per reference; it is
+ *   revoked when the last instance changes its reference or unmounts.
+ *
+ * Returns { src, meta, error }:
+ *  - src:   loadable URL, or null while resolving / on failure
+ *  - meta:  { name, width, height } for local uploads, otherwise null
+ *  - error: Error if a local reference could not be resolved
+ */
+export function useMotifSource(ref) {
+  const [state, setState] = useState(() =>
+    isLocalMotif(ref)
+      ? { src: null, meta: null, error: null }
+      : { src: ref || null, meta: null, error: null }
+  );
+
+  useEffect(() => {
+    let active = true;
+    const entry = acquire(ref);
+
+    entry.promise
+      .then((res) => {
+        if (active) setState({ src: res.url, meta: res.meta, error: null });
+      })
+      .catch((error) => {
+        if (!active) return;
+        console.error("Failed to resolve motif", error);
+        setState({ src: null, meta: null, error });
+      });
+
+    return () => {
+      active = false;
+      release(ref, entry);
+    };
+  }, [ref]);
+
+  return state;
+}
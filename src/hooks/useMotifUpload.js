@@ -0,0 +1,38 @@
+import { useCallback, useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { importMotifFile } from "../utils/motifStorage";
+/**
+ * useMotifUpload
+ * Shared upload flow for the file picker (ControlsPanel) and drag & drop
+ * onto the preview (CanvasPreview).
+ *
+ * upload(file) validates, downscales and stores the image in IndexedDB, then
+ * points the store's motif reference at it. Errors are kept in `error` (with
+ * a user-facing message) instead of being thrown.
+ */
+export function useMotifUpload() {
+  const setMotifUrl = usePlatesStore((s) => s.setMotifUrl);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const upload = useCallback(
+    async (file) => {
+      setBusy(true);
+      setError(null);
+      try {
+        const ref = await importMotifFile(file);
+        setMotifUrl(ref);
+        return true;
+      } catch (err) {
+        console.error("Motif upload failed", err);
+        setError(err);
+        return false;
+      } finally {
+        setBusy(false);
+      }
+    },
+    [setMotifUrl]
+  );
+
+  return { upload, busy, error, clearError: () => setError(null) };
+}
@@ -0,0 +1,120 @@
+import { useEffect, useRef, useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { getProfile, profileLimits } from "../utils/materialProfiles";
+/**
+ * usePlateResize
+ * Resize a plate in the preview by dragging its right edge (width) or its
+ * top edge (height).
+ *
+ * - Sizes follow the pointer in cm, snapped to whole centimetres; the height
+ *   also snaps to the heights of the neighbouring plates when close.
+ * - Clamped to the active material profile's width / height limits.
+ * - While dragging the plate changes with `{ history: false }`; releasing
+ *   records a single undo step, Escape or pointercancel restores the start.
+ * - The pointer delta is converted with the preview scale at drag start, so
+ *   the auto-fitting preview rescaling underneath doesn't feed back.
+ *
+ * The handles carry `data-no-pan`, so useFramingGestures leaves their
+ * pointers alone.
+ *
+ * Params:
+ *  - scale: current preview px-per-cm
+ *
+ * Returns:
+ *  - resizing: { id, edge } of the running drag, or null
+ *  - handleProps(idx, edge): pointer handlers for the handle of plate idx,
+ *    edge "right" | "top"
+ */
+
+/** Snap distance to a neighbour's height (px on screen). */
+const SNAP_PX = 8;
+
+export function usePlateResize(scale) {
+  const updatePlate = usePlatesStore((s) => s.updatePlate);
+  const [resizing, setResizing] = useState(null);
+
+  // Running drag: pointer, start values and the plate's neighbours' heights
+  const drag = useRef(null);
+
+  const restore = () => {
+    const d = drag.current;
+    drag.current = null;
+    setResizing(null);
+    if (d) updatePlate(d.id, d.start, { history: false });
+  };
+
+  // Escape cancels the drag
+  useEffect(() => {
+    if (!resizing) return;
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        restore();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  });
+
+  const handleProps = (idx, edge) => ({
+    "data-no-pan": true,
+    onPointerDown: (e) => {
+      if (drag.current || (e.pointerType === "mouse" && e.button !== 0)) return;
+      const { plates, materialId } = usePlatesStore.getState();
+      const plate = plates[idx];
+      if (!plate) return;
+      e.preventDefault();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      drag.current = {
+        id: plate.id,
+        edge,
+        pointerId: e.pointerId,
+        x: e.clientX,
+        y: e.clientY,
+        scale,
+        start: { widthCm: plate.widthCm, heightCm: plate.heightCm },
+        limits: profileLimits(getProfile(materialId)),
+        neighbourHeights: [plates[idx - 1], plates[idx + 1]]
+          .filter(Boolean)
+          .map((p) => p.heightCm),
+      };
+      setResizing({ id: plate.id, edge });
+    },
+    onPointerMove: (e) => {
+      const d = drag.current;
+      if (!d || e.pointerId !== d.pointerId) return;
+      const l = d.limits;
+      let patch;
+      if (d.edge === "right") {
+        const w = Math.round(d.start.widthCm + (e.clientX - d.x) / d.scale);
+        patch = { widthCm: Math.min(l.maxW, Math.max(l.minW, w)) };
+      } else {
+        // Dragging up makes the plate taller
+        const raw = d.start.heightCm - (e.clientY - d.y) / d.scale;
+        const near = d.neighbourHeights.find(
+          (h) => Math.abs(h - raw) * d.scale <= SNAP_PX
+        );
+        const h = near ?? Math.round(raw);
+        patch = { heightCm: Math.min(l.maxH, Math.max(l.minH, h)) };
+      }
+      updatePlate(d.id, patch, { history: false });
+    },
+    onPointerUp: (e) => {
+      const d = drag.current;
+      if (!d || e.pointerId !== d.pointerId) return;
+      const plate = usePlatesStore
+        .getState()
+        .plates.find((p) => p.id === d.id);
+      restore();
+      // Back to the start without history, then one recorded step
+      if (plate && (plate.widthCm !== d.start.widthCm || plate.heightCm !== d.start.heightCm)) {
+        updatePlate(d.id, { widthCm: plate.widthCm, heightCm: plate.heightCm });
+      }
+    },
+    onPointerCancel: (e) => {
+      if (e.pointerId === drag.current?.pointerId) restore();
+    },
+  });
+
+  return { resizing, handleProps };
+}
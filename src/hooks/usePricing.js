@@ -0,0 +1,40 @@
+import { useMemo } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { computeLayout } from "../utils/layoutUtils";
+import { computePrice, defaultPriceTable } from "../utils/pricing";
+import { resolveMirror } from "../utils/renderUtils";
+import { useMotifSize } from "./useMotifSize";
+/**
+ * usePricing
+ * Live price of the current layout, recomputed whenever plates, material or
+ * rate table change. The mirror surcharge applies only when the motif is
+ * actually extended for this layout: the mirror settings ask for it and the
+ * motif (useMotifSize) does not already fit.
+ *
+ * Returns { table, quote } where `quote` is the result of computePrice.
+ */
+export function usePricing() {
+  const plates = usePlatesStore((s) => s.plates);
+  const materialId = usePlatesStore((s) => s.materialId);
+  const priceTable = usePlatesStore((s) => s.priceTable);
+  const mirror = usePlatesStore((s) => s.mirror);
+  const arrangement = usePlatesStore((s) => s.arrangement);
+  const size = useMotifSize();
+
+  const table = priceTable ?? defaultPriceTable;
+
+  const quote = useMemo(
+    () =>
+      computePrice(plates, table, {
+        materialId,
+        mirrored: !!resolveMirror(
+          computeLayout(plates, arrangement),
+          mirror,
+          size ? size.w / size.h : undefined
+        ),
+      }),
+    [plates, table, materialId, mirror, arrangement, size]
+  );
+
+  return { table, quote };
+}
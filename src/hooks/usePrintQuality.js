@@ -0,0 +1,33 @@
+import { useMemo } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { useMotifSize } from "./useMotifSize";
+import { computeLayout } from "../utils/layoutUtils";
+import { assessPrintQuality } from "../utils/printQuality";
+/**
+ * usePrintQuality
+ * Effective print resolution of the current motif on every plate (see
+ * utils/printQuality), recomputed when plates, joints, motif, framing,
+ * mirror settings, rotation or thresholds change.
+ *
+ * The motif size (after rotation) comes from useMotifSize.
+ *
+ * Returns the assessment, or null while the motif size is unknown (loading,
+ * or the image failed to load).
+ */
+export function usePrintQuality() {
+  const plates = usePlatesStore((s) => s.plates);
+  const framing = usePlatesStore((s) => s.framing);
+  const mirror = usePlatesStore((s) => s.mirror);
+  const arrangement = usePlatesStore((s) => s.arrangement);
+  const thresholds = usePlatesStore((s) => s.qualityThresholds);
+  const size = useMotifSize();
+
+  return useMemo(() => {
+    if (!size) return null;
+    return assessPrintQuality(size.w, size.h, plates, computeLayout(plates, arrangement), {
+      framing,
+      mirror,
+      thresholds,
+    });
+  }, [size, plates, arrangement, framing, mirror, thresholds]);
+}
@@ -0,0 +1,111 @@
+import { useCallback, useEffect, useState } from "react";
+import { usePlatesStore } from "../store/usePlatesStore";
+import { clearShareHash, decodeShareHash } from "../utils/shareLink";
+/**
+ * useSharedLayout
+ * Hydrates the store from a shared layout link (see utils/shareLink).
+ *
+ * On load (and on `hashchange`):
+ * - If the user has no local work yet, or the link matches it, the link is
+ *   applied right away.
+ * - Otherwise the decoded layout is kept in `pending` and the UI must call
+ *   `accept()` (take the link) or `dismiss()` (keep local state).
+ *
+ * Applying goes through `loadLayout`, so it can be undone like any edit.
+ * Validation warnings / decode errors end up in `notice` for display.
+ */
+
+/** Plate geometry only (ids of plates and cutouts differ between browsers). */
+const dims = (plates) =>
+  plates.map((p) => [
+    p.widthCm,
+    p.heightCm,
+    p.gapAfterCm ?? null,
+    p.offsetYCm || 0,
+    (p.cutouts ?? []).map((c) => [c.shape, c.anchor, c.x, c.y, c.w, c.h, c.r ?? 0]),
+  ]);
+
+const sameDims = (a, b) => JSON.stringify(dims(a)) === JSON.stringify(dims(b));
+
+/** True if the state differs from a fresh install in anything but the unit. */
+function hasLocalWork(state) {
+  const initial = usePlatesStore.getInitialState();
+  return (
+    !sameDims(state.plates, initial.plates) ||
+    state.motifUrl !== initial.motifUrl ||
+    state.materialId !== initial.materialId ||
+    JSON.stringify(state.mirror) !== JSON.stringify(initial.mirror) ||
+    JSON.stringify(state.framing) !== JSON.stringify(initial.framing) ||
+    JSON.stringify(state.adjustments) !== JSON.stringify(initial.adjustments) ||
+    JSON.stringify(state.arrangement) !== JSON.stringify(initial.arrangement)
+  );
+}
+
+/** True if applying `layout` would not change anything that matters. */
+function matchesLayout(state, layout) {
+  return (
+    sameDims(state.plates, layout.plates) &&
+    (layout.motifUrl === undefined || layout.motifUrl === state.motifUrl) &&
+    (layout.materialId === undefined ||
+      layout.materialId === state.materialId) &&
+    JSON.stringify(layout.mirror) === JSON.stringify(state.mirror) &&
+    (layout.adjustments === undefined ||
+      JSON.stringify(layout.adjustments) === JSON.stringify(state.adjustments)) &&
+    JSON.stringify(layout.arrangement) === JSON.stringify(state.arrangement)
+  );
+}
+
+export function useSharedLayout() {
+  const [pending, setPending] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const handle = () => {
+      let res;
+      try {
+        res = decodeShareHash(window.location.hash);
+      } catch (err) {
+        setNotice({ error: err.message, warnings: [] });
+        clearShareHash();
+        return;
+      }
+      if (!res) return;
+
+      const state = usePlatesStore.getState();
+      if (!hasLocalWork(state) || matchesLayout(state, res.layout)) {
+        state.loadLayout(res.layout);
+        clearShareHash();
+        if (res.warnings.length) setNotice({ error: null, warnings: res.warnings });
+      } else {
+        setPending(res);
+      }
+    };
+
+    handle();
+    window.addEventListener("hashchange", handle);
+    return () => window.removeEventListener("hashchange", handle);
+  }, []);
+
+  const accept = useCallback(() => {
+    if (!pending) return;
+    usePlatesStore.getState().loadLayout(pending.layout);
+    if (pending.warnings.length) {
+      setNotice({ error: null, warnings: pending.warnings });
+    }
+    setPending(null);
+    clearShareHash();
+  }, [pending]);
+
+  const dismiss = useCallback(() => {
+    setPending(null);
+    clearShareHash();
+  }, []);
+
+  return {
+    pending,
+    notice,
+    accept,
+    dismiss,
+    clearNotice: () => setNotice(null),
+  };
+}
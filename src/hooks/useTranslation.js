@@ -0,0 +1,13 @@
+import { usePlatesStore } from "../store/usePlatesStore";
+import { t } from "../utils/i18n";
+/**
+ * useTranslation
+ * Subscribes a component to the UI language (see utils/i18n).
+ *
+ * Returns `{ t, locale }`. `t` itself reads the active locale from utils/i18n;
+ * subscribing to `locale` is what makes the component re-render on a switch.
+ */
+export function useTranslation() {
+  const locale = usePlatesStore((s) => s.locale);
+  return { t, locale };
+}
@@ -0,0 +1,101 @@
+/**
+ * history.js
+ *
+ * Undo/redo middleware for Zustand.
+ *
+ * How it works:
+ * - Wraps `set`. Whenever a call changes one of the tracked `keys`, a snapshot
+ *   of those keys (taken *before* the change) is pushed onto `past` and
+ *   `future` is cleared.
+ * - `undo()` / `redo()` swap snapshots between `past`, the live state and
+ *   `future`. Snapshots are plain objects; since the store updates immutably,
+ *   they share structure with the live state and are cheap to keep.
+ *
+ * Coalescing:
+ * - Actions may pass a third argument to `set`: `{ coalesce: 'some-key' }`.
+ *   Consecutive changes with the same key within `coalesceMs` collapse into a
+ *   single undo step (e.g. repeated commits of the same plate's width).
+ * - `{ history: false }` applies a change without recording it.
+ *
+ * Memory:
+ * - `past` and `future` are capped at `limit` entries each (oldest dropped).
+ */
+
+/**
+ * @param {Function} config - the wrapped store creator `(set, get, api) => state`
+ * @param {{ keys: string[], limit?: number, coalesceMs?: number }} options
+ */
+export const history = (config, { keys, limit = 50, coalesceMs = 1000 }) => (set, get, api) => {
+  /** Copy of the tracked slice of a state object. */
+  const snapshot = (state) => Object.fromEntries(keys.map((k) => [k, state[k]]))
+
+  /** True if any tracked key differs by reference. */
+  const changed = (a, b) => keys.some((k) => a[k] !== b[k])
+
+  // Last recorded change, used for coalescing
+  let last = { key: null, at: 0 }
+
+  const trackedSet = (partial, replace, meta) =>
+    set((state) => {
+      const next = typeof partial === 'function' ? partial(state) : partial
+      if (!next || next === state) return state
+      if (meta?.history === false) return next
+
+      const merged = { ...state, ...next }
+      if (!changed(state, merged)) return next
+
+      const now = Date.now()
+      const key = meta?.coalesce ?? null
+      const coalesce = key !== null && key === last.key && now - last.at < coalesceMs
+      last = { key, at: now }
+
+      if (coalesce) return { ...next, future: [] }
+      return {
+        ...next,
+        past: [...state.past, snapshot(state)].slice(-limit),
+        future: [],
+      }
+    }, replace)
+
+  const undo = () => {
+    last = { key: null, at: 0 }
+    set((state) => {
+      if (!state.past.length) return state
+      const prev = state.past[state.past.length - 1]
+      return {
+        ...prev,
+        past: state.past.slice(0, -1),
+        future: [snapshot(state), ...state.future].slice(0, limit),
+      }
+    })
+  }
+
+  const redo = () => {
+    last = { key: null, at: 0 }
+    set((state) => {
+      if (!state.future.length) return state
+      const [next, ...rest] = state.future
+      return {
+        ...next,
+        past: [...state.past, snapshot(state)].slice(-limit),
+        future: rest,
+      }
+    })
+  }
+
+  const clearHistory = () => {
+    last = { key: null, at: 0 }
+    set({ past: [], future: [] })
+  }
+
+  return {
+    ...config(trackedSet, get, api),
+    /** Snapshots of tracked keys, oldest first. */
+    past: [],
+    /** Snapshots available for redo, next first. */
+    future: [],
+    undo,
+    redo,
+    clearHistory,
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * migrations.js
+ *
+ * Schema version of the layout and the steps to bring older layouts up to
+ * date. One chain serves every place a layout is stored:
+ * - the persisted plates store (localStorage "plate-generator"),
+ * - the project snapshots (localStorage "plate-generator-projects"),
+ * - project files (see utils/projectFile).
+ *
+ * Adding a schema change:
+ * 1) bump SCHEMA_VERSION,
+ * 2) append a step to MIGRATIONS that turns a version N-1 layout into N.
+ * Steps only touch the layout keys they know about and keep everything else.
+ *
+ * Version history:
+ *   0: unversioned state; may still carry the `mirrorEnabled` flag.
+ *   1: `mirrorEnabled` dropped (replaced by `mirror` settings); `mirror` and
+ *      `arrangement` always complete.
+ *   2: motif `adjustments` (neutral for older layouts).
+ *   3: `motifCatalogId` of library motifs (null for older layouts).
+ */
+
+import { DEFAULT_MIRROR } from '../utils/renderUtils'
+import { DEFAULT_ARRANGEMENT } from '../utils/layoutUtils'
+import { DEFAULT_ADJUSTMENTS } from '../utils/adjustments'
+import { t } from '../utils/i18n'
+
+/** Current layout schema version. */
+export const SCHEMA_VERSION = 3
+
+/** MIGRATIONS[i] migrates a layout from version i to i + 1. */
+const MIGRATIONS = [
+  // 0 → 1
+  (layout) => {
+    const next = { ...layout }
+    // A UI flag that never affected rendering; `mirror` replaced it
+    delete next.mirrorEnabled
+    if (next.mirror) next.mirror = { ...DEFAULT_MIRROR, ...next.mirror }
+    if (next.arrangement) next.arrangement = { ...DEFAULT_ARRANGEMENT, ...next.arrangement }
+    return next
+  },
+  // 1 → 2
+  (layout) => ({ ...layout, adjustments: { ...DEFAULT_ADJUSTMENTS, ...layout.adjustments } }),
+  // 2 → 3
+  (layout) => ({ ...layout, motifCatalogId: layout.motifCatalogId ?? null }),
+]
+
+/**
+ * Bring a layout (or any object holding the layout keys, e.g. the persisted
+ * store state) from `fromVersion` to SCHEMA_VERSION.
+ *
+ * @param {object} layout
+ * @param {number} fromVersion
+ * @returns {object} migrated copy (the input is not modified)
+ */
+export function migrateLayout(layout, fromVersion) {
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new Error(t('migrations.unknownVersion', { version: String(fromVersion) }))
+  }
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(t('migrations.newer'))
+  }
+  return MIGRATIONS.slice(fromVersion).reduce((acc, step) => step(acc), { ...layout })
+}
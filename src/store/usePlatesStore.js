@@ -5,21 +5,50 @@
  *
  * Responsibilities:
  * - Store and persist the list of plates (width/height in cm).
- * - Keep the current motif image URL.
+ * - Keep the current motif reference (remote URL or `idb:<id>` for uploads), and
+ *   the article number of a motif from the built-in library (see utils/motifCatalog),
+ *   plus the user's favourite and recently used library motifs.
  * - Handle required plate operations: add, remove (except last), update, reorder.
- * - Provide unit conversion helpers (cm <-> in) for the UI.
- * - (Optional) mirrorEnabled flag to allow a UI toggle; spec requires automatic mirroring > 300 cm.
+ * - Provide unit conversion helpers (cm <-> mm / in, see utils/units) for the UI.
+ * - Mirror settings (mode, auto threshold, tiling); see utils/renderUtils.resolveMirror.
+ * - Joint gaps between plates (global width + per-plate `gapAfterCm` overrides).
+ * - Vertical alignment of plates (+ per-plate `offsetYCm`).
+ * - Per-plate cutouts for sockets/switches (`plate.cutouts`, see utils/cutoutUtils).
+ * - Undo/redo for all layout edits (see ./history.js).
+ * - Pricing inputs: the shop's rate table and the chosen material (see utils/pricing).
+ *   The material also selects the size limits (see utils/materialProfiles).
+ * - Motif framing (zoom + focal point), applied by every computeCover call.
+ * - Non-destructive motif adjustments (colour, flips, rotation; see utils/adjustments).
+ * - Print-quality thresholds (DPI) for the resolution check (see utils/printQuality).
+ * - UI language (see utils/i18n).
  *
  * Persistence:
  * - Stored in localStorage under key: "plate-generator".
+ * - Only the newest PERSISTED_HISTORY undo steps are written to storage.
+ * - Versioned with the layout schema (see ./migrations); older states are
+ *   migrated on load. Their undo steps are dropped, since the snapshots
+ *   still have the old shape.
  *
  * Notes:
  * - All dimensions are stored internally in centimeters (cm) as the source of truth.
- * - Validation ranges are enforced on "add" and in the consuming inputs on edit.
+ * - Validation ranges come from the active material profile; they are enforced
+ *   on "add" and in the consuming inputs on edit.
  */
 
 import { create } from 'zustand'
 import { persist } from 'zustand/middleware'
+import { history } from './history'
+import { SCHEMA_VERSION, migrateLayout } from './migrations'
+import { DEFAULT_FRAMING, MAX_ZOOM } from '../utils/imageUtils'
+import { DEFAULT_ADJUSTMENTS, normalizeAdjustments } from '../utils/adjustments'
+import { DEFAULT_MIRROR, MIRROR_MODES, MIRROR_THRESHOLD_LIMITS } from '../utils/renderUtils'
+import { DEFAULT_QUALITY_THRESHOLDS, MAX_DPI } from '../utils/printQuality'
+import { ALIGN_MODES, DEFAULT_ARRANGEMENT, MAX_GAP_CM } from '../utils/layoutUtils'
+import { cutoutFromPreset } from '../utils/cutoutUtils'
+import { DEFAULT_PROFILE_ID, getProfile, profileLimits } from '../utils/materialProfiles'
+import { MAX_RECENT_MOTIFS, catalogMotifUrl, getCatalogMotif } from '../utils/motifCatalog'
+import { INCH_FRACTIONS, UNITS, cmTo, roundCm, toCm } from '../utils/units'
+import { DEFAULT_LOCALE, setActiveLocale } from '../utils/i18n'
 
 /** Clamp a numeric value into [min, max]. */
 const clamp = (v, min, max) => Math.min(max, Math.max(min, v))
@@ -31,8 +60,27 @@ const clamp = (v, min, max) => Math.min(max, Math.max(min, v))
 const uuid = () =>
   (crypto?.randomUUID ? crypto.randomUUID() : String(Date.now() + Math.random()))
 
-/** Constant for cm <-> inches conversion. */
-const CM_PER_IN = 2.54
+/**
+ * State keys that make up the user's layout. These are recorded by the undo
+ * history; UI helpers and actions are not.
+ */
+export const LAYOUT_KEYS = [
+  'plates',
+  'motifUrl',
+  'motifCatalogId',
+  'framing',
+  'adjustments',
+  'unit',
+  'mirror',
+  'materialId',
+  'arrangement',
+]
+
+/** Max undo/redo steps kept in memory. */
+const HISTORY_LIMIT = 100
+
+/** Max undo/redo steps written to localStorage (keeps the blob small). */
+const PERSISTED_HISTORY = 20
 
 /**
  * Initial/default plate set.
@@ -46,57 +94,254 @@ const defaultPlates = [{ id: uuid(), widthCm: 120, heightCm: 60 }]
  */
 export const usePlatesStore = create(
   persist(
-    (set, get) => ({
+    history((set, get) => ({
       /**
        * Plates in the current configuration.
        * Each plate: { id: string, widthCm: number, heightCm: number }
-       * Constraints (spec): 1–10 plates; widths 20–300 cm; heights 30–128 cm.
+       * Constraints come from the active material profile (default glass, per
+       * spec: 1–10 plates; widths 20–300 cm; heights 30–128 cm).
        */
       plates: defaultPlates,
 
       /**
-       * The shared motif image URL (can be a remote URL or a Data URL).
+       * The shared motif reference: a remote URL, a Data URL, or `idb:<id>` for an
+       * image uploaded into IndexedDB (see utils/motifStorage). Only this short
+       * reference is persisted; uploaded blobs never go into localStorage.
        * CORS note: exporting PNG from a tainted canvas will fail for non-CORS images.
        */
       motifUrl:
         'https://rueckwand24.com/cdn/shop/files/Kuechenrueckwand-Kuechenrueckwand-Gruene-frische-Kraeuter-KR-000018-HB.jpg?v=1695288356&width=1200',
 
-      /** Update motif URL (keeps the previous value if an empty/falsey value is passed). */
-      setMotifUrl: (url) => set({ motifUrl: url || get().motifUrl }),
+      /**
+       * Update motif URL (keeps the previous value if an empty/falsey value is passed).
+       * A different motif starts with neutral framing and is no library motif.
+       */
+      setMotifUrl: (url) =>
+        set((state) =>
+          !url || url === state.motifUrl
+            ? state
+            : { motifUrl: url, motifCatalogId: null, framing: DEFAULT_FRAMING }
+        ),
+
+      /**
+       * Article number of the motif if it comes from the built-in library
+       * (see utils/motifCatalog), otherwise null.
+       */
+      motifCatalogId: null,
+
+      /**
+       * Use a library motif: sets the motif URL (neutral framing if it
+       * changes), records its article number and moves it to the front of the
+       * recently used list. Unknown ids are ignored.
+       */
+      selectCatalogMotif: (id) => {
+        const entry = getCatalogMotif(id)
+        if (!entry) return
+        const url = catalogMotifUrl(entry)
+        const state = get()
+        set({
+          motifUrl: url,
+          motifCatalogId: entry.id,
+          ...(url !== state.motifUrl && { framing: DEFAULT_FRAMING }),
+          recentMotifs: [entry.id, ...state.recentMotifs.filter((r) => r !== entry.id)].slice(
+            0,
+            MAX_RECENT_MOTIFS
+          ),
+        })
+      },
+
+      /**
+       * Favourite and recently used (newest first) library motifs, by id.
+       * User preferences, not part of the layout (no undo, shared by all projects).
+       */
+      favouriteMotifs: [],
+      toggleFavouriteMotif: (id) => {
+        const favs = get().favouriteMotifs
+        set({
+          favouriteMotifs: favs.includes(id) ? favs.filter((f) => f !== id) : [...favs, id],
+        })
+      },
+      recentMotifs: [],
+
+      /**
+       * How the motif sits in the layout (see utils/imageUtils.computeCover):
+       * - zoom: 1 = cover scale (never less), up to MAX_ZOOM
+       * - focusX/focusY: image point (0..1) placed at the layout center
+       * Continuous pan/zoom gestures coalesce into a single undo step.
+       */
+      framing: DEFAULT_FRAMING,
+      setFraming: (f) =>
+        set(
+          {
+            framing: {
+              zoom: clamp(+f.zoom || 1, 1, MAX_ZOOM),
+              focusX: clamp(+f.focusX, 0, 1),
+              focusY: clamp(+f.focusY, 0, 1),
+            },
+          },
+          false,
+          { coalesce: 'framing' }
+        ),
+      resetFraming: () => set({ framing: DEFAULT_FRAMING }),
+
+      /**
+       * Image adjustments of the motif (see utils/adjustments): brightness,
+       * contrast, saturation (percent), hue (degrees), tone, flips and
+       * rotation. Parameters only; the image itself is never changed.
+       * Slider drags coalesce into a single undo step.
+       */
+      adjustments: DEFAULT_ADJUSTMENTS,
+      setAdjustments: (patch) =>
+        set(
+          { adjustments: normalizeAdjustments({ ...get().adjustments, ...patch }) },
+          false,
+          { coalesce: `adjustments:${Object.keys(patch).sort().join(',')}` }
+        ),
+      resetAdjustments: () => set({ adjustments: DEFAULT_ADJUSTMENTS }),
+
+      /**
+       * Show the motif without adjustments in the preview (before/after
+       * comparison). UI state: not part of the undo history, not persisted.
+       */
+      showOriginal: false,
+      setShowOriginal: (on) => set({ showOriginal: !!on }),
+
+      /**
+       * Mirror settings for extending the motif beyond its own aspect ratio.
+       * The spec default is "auto": mirror when total width > 300 cm.
+       * - mode: 'off' | 'auto' | 'always' | 'vertical'
+       * - thresholdCm: width above which "auto" kicks in
+       * - tiling: 'mirror' (flip every other tile) | 'repeat'
+       */
+      mirror: DEFAULT_MIRROR,
+      setMirror: (patch) => {
+        const next = { ...get().mirror, ...patch }
+        set(
+          {
+            mirror: {
+              mode: MIRROR_MODES.includes(next.mode) ? next.mode : DEFAULT_MIRROR.mode,
+              thresholdCm: clamp(
+                roundCm(+next.thresholdCm) || DEFAULT_MIRROR.thresholdCm,
+                MIRROR_THRESHOLD_LIMITS.min,
+                MIRROR_THRESHOLD_LIMITS.max
+              ),
+              tiling: next.tiling === 'repeat' ? 'repeat' : 'mirror',
+            },
+          },
+          false,
+          { coalesce: 'mirror' }
+        )
+      },
+
+      /**
+       * Arrangement of the plates on the wall (see utils/layoutUtils):
+       * - gapCm: joint width between plates (0–5 cm); a plate's optional
+       *   `gapAfterCm` overrides it for the joint to its right
+       * - gapMode: 'through' (motif continues behind joints) | 'compress'
+       * - align: 'bottom' | 'top' | 'center'; a plate's optional `offsetYCm`
+       *   raises (> 0) or lowers (< 0) it from the aligned position
+       */
+      arrangement: DEFAULT_ARRANGEMENT,
+      setArrangement: (patch) => {
+        const next = { ...get().arrangement, ...patch }
+        set(
+          {
+            arrangement: {
+              ...next,
+              gapCm: clamp(+next.gapCm || 0, 0, MAX_GAP_CM),
+              gapMode: next.gapMode === 'compress' ? 'compress' : 'through',
+              align: ALIGN_MODES.includes(next.align) ? next.align : 'bottom',
+            },
+          },
+          false,
+          { coalesce: 'arrangement' }
+        )
+      },
 
       /**
-       * Optional: toggle for mirroring (UI extra).
-       * The spec requires automatic mirroring when total width > 300 cm; this flag
-       * can allow users to disable/enable it, if you choose to expose it in the UI.
+       * DPI thresholds for the print-quality badges. A user preference, not
+       * part of the layout (no undo, shared by all projects).
+       * Invalid pairs (minDpi > goodDpi) are ignored rather than adjusted,
+       * so one threshold never overwrites the other; the inputs validate.
        */
-      mirrorEnabled: false,
-      setMirrorEnabled: (v) => set({ mirrorEnabled: !!v }),
+      qualityThresholds: DEFAULT_QUALITY_THRESHOLDS,
+      setQualityThresholds: (patch) => {
+        const next = { ...get().qualityThresholds, ...patch }
+        const goodDpi = clamp(Math.round(+next.goodDpi) || 1, 1, MAX_DPI)
+        const minDpi = clamp(Math.round(+next.minDpi) || 1, 1, MAX_DPI)
+        if (minDpi > goodDpi) return
+        set({ qualityThresholds: { goodDpi, minDpi } })
+      },
 
       /**
-       * Active unit for UI ("cm" | "in"). Internally I always store cm.
+       * Active unit for UI ("cm" | "mm" | "in"). Internally I always store cm.
        * Use cmToUnit / unitToCm helpers to convert for display and input.
        */
       unit: 'cm',
-      setUnit: (u) => set({ unit: u === 'in' ? 'in' : 'cm' }),
+      setUnit: (u) => set({ unit: UNITS.includes(u) ? u : 'cm' }),
+
+      /**
+       * How inches are shown: 0 = decimal, 8 / 16 = fractions of that
+       * precision (see utils/units). A user preference, not part of the layout.
+       */
+      inchFraction: 16,
+      setInchFraction: (n) => set({ inchFraction: INCH_FRACTIONS.includes(+n) ? +n : 0 }),
+
+      /**
+       * UI language ("de" | "en"). Also drives number formatting and parsing
+       * (decimal comma vs point). A user preference, not part of the layout.
+       * utils/i18n keeps its own copy for non-React code; setLocale updates both.
+       */
+      locale: DEFAULT_LOCALE,
+      setLocale: (l) => set({ locale: setActiveLocale(l) }),
+
+      /**
+       * Material used for pricing (id from the rate table's `materials`) and
+       * for the size limits (see utils/materialProfiles). Switching does not
+       * touch existing plates; the UI flags the ones out of range.
+       * Part of the layout: each project remembers its material.
+       */
+      materialId: DEFAULT_PROFILE_ID,
+      setMaterialId: (id) => set({ materialId: String(id) }),
+
+      /**
+       * Shop-specific rate table loaded from a JSON file (validated by the
+       * caller), or null to use the bundled default. Not part of the undo
+       * history — it's configuration, not layout.
+       */
+      priceTable: null,
+      setPriceTable: (table) => set({ priceTable: table ?? null }),
+
+      /**
+       * Plate selected in the preview / focused in the plate list (id or
+       * null). UI state: not part of the undo history, not persisted.
+       */
+      selectedPlateId: null,
+      selectPlate: (id) => set({ selectedPlateId: id ?? null }, false, { history: false }),
 
       /** Convert a cm value to the active unit. */
-      cmToUnit: (cm) => (get().unit === 'in' ? cm / CM_PER_IN : cm),
+      cmToUnit: (cm) => cmTo(cm, get().unit),
 
       /** Convert a value in the active unit back to cm. */
-      unitToCm: (val) => (get().unit === 'in' ? val * CM_PER_IN : val),
+      unitToCm: (val) => toCm(val, get().unit),
 
       /**
        * Add a new plate (appends to the end).
-       * - Enforces 10-plate maximum.
-       * - Applies clamping to width/height (and rounds to 0.1 cm).
+       * - Enforces the active profile's plate maximum.
+       * - Missing sizes use the profile's defaults; width/height are clamped to
+       *   the profile's limits (and rounded to 0.1 cm).
        */
       addPlate: (plate = {}) =>
         set((state) => {
-          if (state.plates.length >= 10) return state
+          const profile = getProfile(state.materialId)
+          const l = profileLimits(profile)
+          if (state.plates.length >= l.maxPlates) return state
+          const w = plate.widthCm ?? profile.defaultWidthCm
+          const h = plate.heightCm ?? profile.defaultHeightCm
           const p = {
             id: uuid(),
-            widthCm: clamp(Math.round((plate.widthCm ?? 100) * 10) / 10, 20, 300),
-            heightCm: clamp(Math.round((plate.heightCm ?? 60) * 10) / 10, 30, 128),
+            widthCm: clamp(roundCm(w), l.minW, l.maxW),
+            heightCm: clamp(roundCm(h), l.minH, l.maxH),
           }
           return { plates: [...state.plates, p] }
         }),
@@ -115,23 +360,99 @@ export const usePlatesStore = create(
       /**
        * Update a plate by id with a partial patch (e.g., { widthCm } or { heightCm }).
        * - Does not clamp here; consumers (inputs) should validate before calling.
+       * - Repeated edits of the same field coalesce into one undo step; `meta`
+       *   overrides that (resizing in the preview updates with
+       *   `{ history: false }` and records only the final size).
+       */
+      updatePlate: (id, patch, meta) =>
+        set(
+          (state) => ({
+            plates: state.plates.map((p) => (p.id === id ? { ...p, ...patch } : p)),
+          }),
+          false,
+          meta ?? { coalesce: `plate:${id}:${Object.keys(patch).sort().join(',')}` }
+        ),
+
+      /**
+       * Cutouts of a plate (see utils/cutoutUtils). Like plate edits, quick
+       * successive changes of the same cutout field are one undo step.
        */
-      updatePlate: (id, patch) =>
+      addCutout: (plateId, presetId) =>
+        set((state) => ({
+          plates: state.plates.map((p) =>
+            p.id === plateId
+              ? { ...p, cutouts: [...(p.cutouts ?? []), cutoutFromPreset(presetId, uuid())] }
+              : p
+          ),
+        })),
+
+      updateCutout: (plateId, cutoutId, patch) =>
+        set(
+          (state) => ({
+            plates: state.plates.map((p) =>
+              p.id === plateId
+                ? {
+                    ...p,
+                    cutouts: (p.cutouts ?? []).map((c) =>
+                      c.id === cutoutId ? { ...c, ...patch } : c
+                    ),
+                  }
+                : p
+            ),
+          }),
+          false,
+          { coalesce: `cutout:${cutoutId}:${Object.keys(patch).sort().join(',')}` }
+        ),
+
+      removeCutout: (plateId, cutoutId) =>
         set((state) => ({
-          plates: state.plates.map((p) => (p.id === id ? { ...p, ...patch } : p)),
+          plates: state.plates.map((p) =>
+            p.id === plateId
+              ? { ...p, cutouts: (p.cutouts ?? []).filter((c) => c.id !== cutoutId) }
+              : p
+          ),
         })),
 
       /**
        * Reorder plates: move an item from index `from` to index `to`.
-       * - Used by both DnD and arrow buttons in the UI.
+       * - Used by DnD, the arrow buttons and keyboard reordering in the UI.
+       * - `meta` is passed to the history middleware; keyboard reordering
+       *   moves step by step with `{ history: false }` and records only the
+       *   final move.
        */
-      movePlate: (from, to) =>
-        set((state) => {
-          const arr = state.plates.slice()
-          if (from < 0 || from >= arr.length || to < 0 || to >= arr.length) return state
-          const [item] = arr.splice(from, 1)
-          arr.splice(to, 0, item)
-          return { plates: arr }
+      movePlate: (from, to, meta) =>
+        set(
+          (state) => {
+            const arr = state.plates.slice()
+            if (from < 0 || from >= arr.length || to < 0 || to >= arr.length) return state
+            const [item] = arr.splice(from, 1)
+            arr.splice(to, 0, item)
+            return { plates: arr }
+          },
+          false,
+          meta
+        ),
+
+      /**
+       * Replace the layout in one undoable step (shared links, imports).
+       * - Only keys present in `layout` are applied.
+       * - Plates (and their cutouts) get fresh ids; callers validate dimensions
+       *   beforehand.
+       */
+      loadLayout: (layout) =>
+        set(() => {
+          const next = {}
+          for (const k of LAYOUT_KEYS) {
+            if (layout[k] !== undefined) next[k] = layout[k]
+          }
+          if (next.plates) {
+            next.plates = next.plates.map((p) => ({
+              ...p,
+              id: uuid(),
+              ...(p.cutouts && { cutouts: p.cutouts.map((c) => ({ ...c, id: uuid() })) }),
+            }))
+          }
+          return next
         }),
 
       /**
@@ -140,12 +461,28 @@ export const usePlatesStore = create(
        * If you want a fresh id on reset, replace with a factory (e.g., [{ id: uuid(), ... }]).
        */
       reset: () => ({ plates: defaultPlates }),
-    }),
+    }), { keys: LAYOUT_KEYS, limit: HISTORY_LIMIT }),
     {
       name: 'plate-generator', // localStorage key
-      // You can add versioning/migrations here if the schema evolves:
-      // version: 1,
-      // migrate: (persistedState, version) => persistedState,
+      // Cap persisted undo steps; functions are dropped by JSON anyway.
+      // UI state starts fresh on every load.
+      partialize: (state) => ({
+        ...state,
+        showOriginal: false,
+        selectedPlateId: null,
+        past: state.past.slice(-PERSISTED_HISTORY),
+        future: state.future.slice(0, PERSISTED_HISTORY),
+      }),
+      version: SCHEMA_VERSION,
+      migrate: (persistedState, version) => ({
+        ...migrateLayout(persistedState, version),
+        past: [],
+        future: [],
+      }),
+      // Sync the restored language into utils/i18n
+      onRehydrateStorage: () => (state) => {
+        if (state) setActiveLocale(state.locale)
+      },
     }
   )
 )
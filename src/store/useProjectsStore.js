@@ -0,0 +1,263 @@
+/**
+ * useProjectsStore.js
+ *
+ * Named projects (saved configurations) on top of usePlatesStore.
+ *
+ * Model:
+ * - usePlatesStore always holds the *live* layout of the active project.
+ * - This store keeps the list of projects. Each entry has its own snapshot of
+ *   the layout keys (plates, motif, unit, mirror settings), a last-modified
+ *   timestamp and a small JPEG thumbnail.
+ * - The active project's snapshot is written back whenever the user switches
+ *   away from it (or duplicates it), so the live store stays the single source
+ *   of truth while editing.
+ *
+ * Persistence:
+ * - Stored in localStorage under key: "plate-generator-projects".
+ * - Versioned with the layout schema; every snapshot is migrated on load
+ *   (see ./migrations).
+ * - Uploaded motifs live in IndexedDB (utils/motifStorage). Once no project,
+ *   live layout or undo step references one any more, it is deleted there
+ *   (shortly after the change, see scheduleMotifPrune).
+ */
+
+import { create } from 'zustand'
+import { persist } from 'zustand/middleware'
+import { LAYOUT_KEYS, usePlatesStore } from './usePlatesStore'
+import { SCHEMA_VERSION, migrateLayout } from './migrations'
+import { isLocalMotif, pruneLocalMotifs } from '../utils/motifStorage'
+import { t } from '../utils/i18n'
+
+/** Same helper as in usePlatesStore. */
+const uuid = () =>
+  (crypto?.randomUUID ? crypto.randomUUID() : String(Date.now() + Math.random()))
+
+/** Copy the layout keys out of a plates-store state. */
+export const pickLayout = (state) =>
+  Object.fromEntries(LAYOUT_KEYS.map((k) => [k, state[k]]))
+
+/** Build a fresh project entry. */
+const makeProject = (name, layout) => ({
+  id: uuid(),
+  name,
+  updatedAt: Date.now(),
+  thumbnail: null,
+  layout,
+})
+
+/**
+ * Set while a project switch rewrites usePlatesStore, so that write is not
+ * mistaken for a user edit (see the subscription at the bottom).
+ */
+let switching = false
+
+export const useProjectsStore = create(
+  persist(
+    (set, get) => ({
+      /** All projects, in creation order. */
+      projects: [],
+
+      /** Id of the project currently loaded into usePlatesStore. */
+      activeId: null,
+
+      /**
+       * Create a new project with a default layout and switch to it.
+       * The default layout is the plates store's initial state.
+       */
+      createProject: (name) => {
+        const initial = pickLayout(usePlatesStore.getInitialState())
+        const project = makeProject(name?.trim() || nextName(get().projects), initial)
+        set((state) => ({ projects: [...state.projects, project] }))
+        get().switchProject(project.id)
+        return project.id
+      },
+
+      /**
+       * Add a project from an imported layout (see utils/projectFile) and
+       * switch to it. Keys missing in `layout` take their default values;
+       * plates and cutouts get fresh ids.
+       */
+      importProject: (name, layout) => {
+        const initial = pickLayout(usePlatesStore.getInitialState())
+        const plates = layout.plates.map((p) => ({
+          ...p,
+          id: uuid(),
+          ...(p.cutouts && { cutouts: p.cutouts.map((c) => ({ ...c, id: uuid() })) }),
+        }))
+        const project = makeProject(name?.trim() || nextName(get().projects), {
+          ...initial,
+          ...layout,
+          plates,
+        })
+        set((state) => ({ projects: [...state.projects, project] }))
+        get().switchProject(project.id)
+        return project.id
+      },
+
+      /** Rename a project (empty names are ignored). */
+      renameProject: (id, name) => {
+        const trimmed = (name ?? '').trim()
+        if (!trimmed) return
+        set((state) => ({
+          projects: state.projects.map((p) =>
+            p.id === id ? { ...p, name: trimmed, updatedAt: Date.now() } : p
+          ),
+        }))
+      },
+
+      /** Copy a project (including the live state if it's the active one). */
+      duplicateProject: (id) => {
+        get().saveActive()
+        const src = get().projects.find((p) => p.id === id)
+        if (!src) return null
+        const copy = {
+          ...makeProject(t('projects.copyName', { name: src.name }), src.layout),
+          thumbnail: src.thumbnail,
+        }
+        set((state) => {
+          const i = state.projects.findIndex((p) => p.id === id)
+          const projects = state.projects.slice()
+          projects.splice(i + 1, 0, copy)
+          return { projects }
+        })
+        return copy.id
+      },
+
+      /**
+       * Delete a project.
+       * - Guard: at least one project must remain.
+       * - Deleting the active project switches to its neighbour first.
+       */
+      deleteProject: (id) => {
+        const { projects, activeId } = get()
+        if (projects.length <= 1) return
+        if (id === activeId) {
+          const i = projects.findIndex((p) => p.id === id)
+          const next = projects[i + 1] ?? projects[i - 1]
+          get().switchProject(next.id)
+        }
+        set((state) => ({ projects: state.projects.filter((p) => p.id !== id) }))
+      },
+
+      /**
+       * Save the live layout into the active project, then load another one.
+       * Keys the snapshot lacks (older snapshots) take their default values,
+       * never the previous project's. The undo history is cleared: it belongs
+       * to the previous project.
+       */
+      switchProject: (id) => {
+        const target = get().projects.find((p) => p.id === id)
+        if (!target || id === get().activeId) return
+        get().saveActive()
+
+        switching = true
+        try {
+          usePlatesStore.setState({
+            ...pickLayout(usePlatesStore.getInitialState()),
+            ...target.layout,
+          })
+          usePlatesStore.getState().clearHistory()
+        } finally {
+          switching = false
+        }
+        set({ activeId: id })
+      },
+
+      /** Write the live layout into the active project's snapshot. */
+      saveActive: () => {
+        const { activeId } = get()
+        if (!activeId) return
+        const layout = pickLayout(usePlatesStore.getState())
+        set((state) => ({
+          projects: state.projects.map((p) => (p.id === activeId ? { ...p, layout } : p)),
+        }))
+      },
+
+      /** Mark the active project as modified now. */
+      touchActive: () => {
+        const { activeId } = get()
+        set((state) => ({
+          projects: state.projects.map((p) =>
+            p.id === activeId ? { ...p, updatedAt: Date.now() } : p
+          ),
+        }))
+      },
+
+      /** Store a rendered thumbnail (JPEG data URL) for a project. */
+      setThumbnail: (id, thumbnail) =>
+        set((state) => ({
+          projects: state.projects.map((p) => (p.id === id ? { ...p, thumbnail } : p)),
+        })),
+    }),
+    {
+      name: 'plate-generator-projects', // localStorage key
+      version: SCHEMA_VERSION,
+      migrate: (persistedState, version) => ({
+        ...persistedState,
+        projects: (persistedState?.projects ?? []).map((p) => ({
+          ...p,
+          layout: migrateLayout(p.layout, version),
+        })),
+      }),
+    }
+  )
+)
+
+/** "Projekt N" (in the UI language) with the first N not already taken. */
+function nextName(projects) {
+  const names = new Set(projects.map((p) => p.name))
+  let n = projects.length + 1
+  while (names.has(t('projects.defaultName', { n }))) n++
+  return t('projects.defaultName', { n })
+}
+
+/**
+ * Bootstrapping: the first time the app runs (or after upgrading from the
+ * single-layout version) adopt the existing layout as "Projekt 1".
+ */
+if (!useProjectsStore.getState().projects.length) {
+  const project = makeProject(nextName([]), pickLayout(usePlatesStore.getState()))
+  useProjectsStore.setState({ projects: [project], activeId: project.id })
+}
+
+/** Any layout edit bumps the active project's last-modified timestamp. */
+usePlatesStore.subscribe((state, prev) => {
+  if (switching) return
+  if (LAYOUT_KEYS.some((k) => state[k] !== prev[k])) {
+    useProjectsStore.getState().touchActive()
+  }
+})
+
+/** Pause after the last change before uploaded motifs are cleaned up. */
+const MOTIF_PRUNE_DELAY_MS = 5000
+
+/** Every uploaded-motif reference still in use: projects, live layout, undo steps. */
+function localMotifRefs() {
+  const { motifUrl, past, future } = usePlatesStore.getState()
+  return [
+    motifUrl,
+    ...past.map((s) => s.motifUrl),
+    ...future.map((s) => s.motifUrl),
+    ...useProjectsStore.getState().projects.map((p) => p.layout.motifUrl),
+  ].filter(isLocalMotif)
+}
+
+let pruneTimer = null
+
+/** Delete unreferenced uploads from IndexedDB after a pause in editing. */
+function scheduleMotifPrune() {
+  clearTimeout(pruneTimer)
+  pruneTimer = setTimeout(() => {
+    pruneLocalMotifs(localMotifRefs()).catch((err) => console.error(err))
+  }, MOTIF_PRUNE_DELAY_MS)
+}
+
+scheduleMotifPrune()
+usePlatesStore.subscribe((state, prev) => {
+  if (state.motifUrl !== prev.motifUrl || state.past !== prev.past || state.future !== prev.future) {
+    scheduleMotifPrune()
+  }
+})
+useProjectsStore.subscribe((state, prev) => {
+  if (state.projects !== prev.projects) scheduleMotifPrune()
+})
@@ -0,0 +1,233 @@
+/**
+ * adjustments.js
+ *
+ * Non-destructive image adjustments of the motif, stored as parameters in
+ * usePlatesStore (`adjustments`); the source image itself never changes.
+ *
+ * - Orientation (horizontal / vertical flip, 90° steps clockwise) is applied
+ *   first, before the mirror extension (see renderJobs), so mirroring,
+ *   framing and the print-quality check all work on the turned image.
+ *   Flips act on the image as shown, i.e. after the rotation.
+ * - Colour (brightness, contrast, saturation, hue, grayscale / sepia) is one
+ *   CSS filter string (adjustmentFilter): the preview sets it as the motif's
+ *   CSS `filter`, the render pipeline draws the motif through `ctx.filter`
+ *   with the same string. Where canvas filters are unsupported, the same
+ *   filter functions are applied per pixel, using the matrices of the
+ *   Filter Effects spec (https://www.w3.org/TR/filter-effects-1/).
+ */
+
+import { createCanvas } from './imageUtils'
+import { t } from './i18n'
+
+/** Tone presets applied after the colour sliders. */
+export const TONES = ['none', 'grayscale', 'sepia']
+
+/** Rotation steps in degrees (clockwise). */
+export const ROTATIONS = [0, 90, 180, 270]
+
+/** Slider ranges: percent (100 = unchanged) and degrees for hue. */
+export const ADJUSTMENT_LIMITS = {
+  brightness: { min: 0, max: 200 },
+  contrast: { min: 0, max: 200 },
+  saturation: { min: 0, max: 200 },
+  hue: { min: -180, max: 180 },
+}
+
+/** Neutral adjustments: the motif as uploaded. */
+export const DEFAULT_ADJUSTMENTS = {
+  brightness: 100,
+  contrast: 100,
+  saturation: 100,
+  hue: 0,
+  tone: 'none',
+  flipX: false,
+  flipY: false,
+  rotation: 0,
+}
+
+/** Clamp a numeric value into [min, max]. */
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v))
+
+/**
+ * Complete and sanitize adjustments (missing fields take their defaults,
+ * numbers are rounded and clamped, rotation snaps to a 90° step).
+ *
+ * @param {object} [a]
+ * @returns {typeof DEFAULT_ADJUSTMENTS}
+ */
+export function normalizeAdjustments(a = {}) {
+  const next = { ...DEFAULT_ADJUSTMENTS, ...a }
+  const out = {}
+  for (const [key, { min, max }] of Object.entries(ADJUSTMENT_LIMITS)) {
+    const v = Math.round(+next[key])
+    out[key] = Number.isFinite(v) ? clamp(v, min, max) : DEFAULT_ADJUSTMENTS[key]
+  }
+  const rotation = ((Math.round(+next.rotation / 90) * 90) % 360 + 360) % 360
+  return {
+    ...out,
+    tone: TONES.includes(next.tone) ? next.tone : 'none',
+    flipX: !!next.flipX,
+    flipY: !!next.flipY,
+    rotation: ROTATIONS.includes(rotation) ? rotation : 0,
+  }
+}
+
+/** True if the adjustments change colours. */
+export const hasColourAdjustments = (a = DEFAULT_ADJUSTMENTS) =>
+  a.brightness !== 100 ||
+  a.contrast !== 100 ||
+  a.saturation !== 100 ||
+  a.hue !== 0 ||
+  a.tone !== 'none'
+
+/** True if the adjustments flip or rotate the image. */
+export const hasOrientation = (a = DEFAULT_ADJUSTMENTS) => !!(a.flipX || a.flipY || a.rotation)
+
+/** True if the adjustments change nothing. */
+export const isNeutralAdjustments = (a) => !hasColourAdjustments(a) && !hasOrientation(a)
+
+/**
+ * The colour adjustments as a CSS filter (also valid for `ctx.filter`).
+ *
+ * @param {object} [a]
+ * @returns {string} 'none' when neutral
+ */
+export function adjustmentFilter(a = DEFAULT_ADJUSTMENTS) {
+  const parts = []
+  if (a.brightness !== 100) parts.push(`brightness(${a.brightness / 100})`)
+  if (a.contrast !== 100) parts.push(`contrast(${a.contrast / 100})`)
+  if (a.saturation !== 100) parts.push(`saturate(${a.saturation / 100})`)
+  if (a.hue !== 0) parts.push(`hue-rotate(${a.hue}deg)`)
+  if (a.tone !== 'none') parts.push(`${a.tone}(1)`)
+  return parts.length ? parts.join(' ') : 'none'
+}
+
+/** Cache key of the orientation ('' when unchanged). */
+export const orientationKey = (a = DEFAULT_ADJUSTMENTS) =>
+  hasOrientation(a) ? `r${a.rotation}${a.flipX ? 'x' : ''}${a.flipY ? 'y' : ''}` : ''
+
+/**
+ * Pixel size of an image after orientation (90° / 270° swap the sides).
+ *
+ * @returns {{ w:number, h:number }}
+ */
+export function orientedSize(w, h, a = DEFAULT_ADJUSTMENTS) {
+  return a.rotation % 180 ? { w: h, h: w } : { w, h }
+}
+
+/**
+ * Draw the image rotated and flipped.
+ *
+ * @param {ImageBitmap|HTMLImageElement} img
+ * @param {object} a - adjustments
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function orientMotif(img, a) {
+  const { w, h } = orientedSize(img.width, img.height, a)
+  const canvas = createCanvas(w, h)
+  const ctx = canvas.getContext('2d')
+  if (!ctx) throw new Error(t('image.errors.canvas'))
+  ctx.translate(w / 2, h / 2)
+  // Flip what is shown: the flip is applied after the rotation
+  ctx.scale(a.flipX ? -1 : 1, a.flipY ? -1 : 1)
+  ctx.rotate((a.rotation * Math.PI) / 180)
+  ctx.drawImage(img, -img.width / 2, -img.height / 2)
+  return canvas
+}
+
+/**
+ * The filter functions of adjustmentFilter as affine colour steps
+ * ({ m: 3×3 matrix, b: offset in 0..255 }), applied in order with clamping
+ * in between, like chained filter primitives.
+ */
+function colourSteps(a) {
+  const steps = []
+  const scale = (k, b = 0) => ({ m: [k, 0, 0, 0, k, 0, 0, 0, k], b: [b, b, b] })
+  if (a.brightness !== 100) steps.push(scale(a.brightness / 100))
+  if (a.contrast !== 100) {
+    const c = a.contrast / 100
+    steps.push(scale(c, 255 * (0.5 - 0.5 * c)))
+  }
+  if (a.saturation !== 100) {
+    const s = a.saturation / 100
+    steps.push({
+      m: [
+        0.213 + 0.787 * s, 0.715 - 0.715 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 + 0.285 * s, 0.072 - 0.072 * s,
+        0.213 - 0.213 * s, 0.715 - 0.715 * s, 0.072 + 0.928 * s,
+      ],
+      b: [0, 0, 0],
+    })
+  }
+  if (a.hue !== 0) {
+    const rad = (a.hue * Math.PI) / 180
+    const cos = Math.cos(rad)
+    const sin = Math.sin(rad)
+    steps.push({
+      m: [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.14, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072,
+      ],
+      b: [0, 0, 0],
+    })
+  }
+  if (a.tone === 'grayscale') {
+    const row = [0.2126, 0.7152, 0.0722]
+    steps.push({ m: [...row, ...row, ...row], b: [0, 0, 0] })
+  } else if (a.tone === 'sepia') {
+    steps.push({
+      m: [0.393, 0.769, 0.189, 0.349, 0.686, 0.168, 0.272, 0.534, 0.131],
+      b: [0, 0, 0],
+    })
+  }
+  return steps
+}
+
+/** Apply colourSteps to RGBA pixels in place. */
+function applyColourSteps(data, steps) {
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i]
+    let g = data[i + 1]
+    let b = data[i + 2]
+    for (const { m, b: o } of steps) {
+      const nr = m[0] * r + m[1] * g + m[2] * b + o[0]
+      const ng = m[3] * r + m[4] * g + m[5] * b + o[1]
+      const nb = m[6] * r + m[7] * g + m[8] * b + o[2]
+      r = clamp(nr, 0, 255)
+      g = clamp(ng, 0, 255)
+      b = clamp(nb, 0, 255)
+    }
+    // Uint8ClampedArray rounds
+    data[i] = r
+    data[i + 1] = g
+    data[i + 2] = b
+  }
+}
+
+/**
+ * Draw the image with the colour adjustments applied.
+ *
+ * @param {ImageBitmap|HTMLImageElement} img
+ * @param {object} a - adjustments
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function applyColourAdjustments(img, a) {
+  const canvas = createCanvas(img.width, img.height)
+  const ctx = canvas.getContext('2d')
+  if (!ctx) throw new Error(t('image.errors.canvas'))
+
+  // Supported canvas filters read back as a string ('none' by default)
+  if (typeof ctx.filter === 'string') {
+    ctx.filter = adjustmentFilter(a)
+    ctx.drawImage(img, 0, 0)
+    ctx.filter = 'none'
+    return canvas
+  }
+
+  ctx.drawImage(img, 0, 0)
+  const pixels = ctx.getImageData(0, 0, canvas.width, canvas.height)
+  applyColourSteps(pixels.data, colourSteps(a))
+  ctx.putImageData(pixels, 0, 0)
+  return canvas
+}
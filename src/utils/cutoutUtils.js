@@ -0,0 +1,194 @@
+/**
+ * cutoutUtils.js
+ *
+ * Cutouts (holes) in a plate — sockets, switches, extractor hoods.
+ *
+ * A cutout is stored on its plate (`plate.cutouts`) as:
+ *   {
+ *     id,
+ *     shape:  'rect' | 'rounded' | 'circle',
+ *     anchor: 'bottom-left' | 'bottom-right' | 'top-left' | 'top-right',
+ *     x, y:   distance (cm) from the anchor corner's two edges to the
+ *             cutout's nearest edges
+ *     w, h:   size in cm (a circle uses w as diameter; h is ignored)
+ *     r:      corner radius in cm ('rounded' only)
+ *   }
+ *
+ * Measuring from a chosen corner matches how installers measure on site
+ * (e.g. "20 cm from the worktop, 35 cm from the right end").
+ */
+
+import { t } from './i18n'
+
+/** Shapes offered in the editor. */
+export const CUTOUT_SHAPES = ['rect', 'rounded', 'circle']
+
+/** Reference corners. */
+export const CUTOUT_ANCHORS = ['bottom-left', 'bottom-right', 'top-left', 'top-right']
+
+/** Minimum distance (cm) between a cutout and any plate edge. */
+export const MIN_EDGE_DISTANCE_CM = 5
+
+/** Smallest cutout size (cm). */
+export const MIN_CUTOUT_CM = 1
+
+/**
+ * Presets for common installations (sizes in cm, incl. tolerance).
+ * Flush-mounted boxes need a Ø 68 mm hole; frames of multiple sockets are
+ * cut as one rounded rectangle. Labels: i18n key `cutout.presets.<id>`.
+ */
+export const CUTOUT_PRESETS = [
+  { id: 'socket-single', shape: 'circle', w: 6.8, h: 6.8 },
+  { id: 'socket-double', shape: 'rounded', w: 15.2, h: 8.1, r: 1 },
+  { id: 'socket-triple', shape: 'rounded', w: 22.3, h: 8.1, r: 1 },
+  { id: 'switch-square', shape: 'rect', w: 8.1, h: 8.1 },
+  { id: 'hood', shape: 'rect', w: 30, h: 12 },
+]
+
+/**
+ * New cutout from a preset id, anchored bottom-left at the minimum edge
+ * distance.
+ *
+ * @param {string} presetId
+ * @param {string} id - unique id for the cutout
+ * @returns {object} cutout
+ */
+export function cutoutFromPreset(presetId, id) {
+  const preset = CUTOUT_PRESETS.find((p) => p.id === presetId) ?? CUTOUT_PRESETS[0]
+  return {
+    id,
+    shape: preset.shape,
+    anchor: 'bottom-left',
+    x: MIN_EDGE_DISTANCE_CM,
+    y: MIN_EDGE_DISTANCE_CM,
+    w: preset.w,
+    h: preset.shape === 'circle' ? preset.w : preset.h,
+    r: preset.r ?? 0,
+  }
+}
+
+/** Width/height actually occupied (a circle is w × w). */
+const extent = (c) => ({ w: c.w, h: c.shape === 'circle' ? c.w : c.h })
+
+/**
+ * Bounding box of a cutout in plate coordinates (cm, origin top-left, y down).
+ *
+ * @param {{ widthCm:number, heightCm:number }} plate
+ * @param {object} c - cutout
+ * @returns {{ x:number, y:number, w:number, h:number }}
+ */
+export function cutoutRect(plate, c) {
+  const { w, h } = extent(c)
+  const right = c.anchor === 'bottom-right' || c.anchor === 'top-right'
+  const bottom = c.anchor === 'bottom-left' || c.anchor === 'bottom-right'
+  return {
+    x: right ? plate.widthCm - c.x - w : c.x,
+    y: bottom ? plate.heightCm - c.y - h : c.y,
+    w,
+    h,
+  }
+}
+
+/**
+ * Check every cutout of a plate. Returns one message (in the UI language)
+ * per problem:
+ * - the cutout must lie inside the plate
+ * - it must keep `minEdgeCm` from every edge
+ * - it must not overlap another cutout
+ *
+ * @param {{ widthCm:number, heightCm:number, cutouts?:Array }} plate
+ * @param {number} [minEdgeCm]
+ * @returns {Array<{ id:string, message:string }>}
+ */
+export function validateCutouts(plate, minEdgeCm = MIN_EDGE_DISTANCE_CM) {
+  const list = plate.cutouts ?? []
+  const rects = list.map((c) => cutoutRect(plate, c))
+  const problems = []
+
+  list.forEach((c, i) => {
+    const r = rects[i]
+    const n = i + 1
+    if (r.w < MIN_CUTOUT_CM || r.h < MIN_CUTOUT_CM) {
+      problems.push({ id: c.id, message: t('cutout.errors.tooSmall', { n, min: MIN_CUTOUT_CM }) })
+    }
+    const edge = Math.min(r.x, r.y, plate.widthCm - r.x - r.w, plate.heightCm - r.y - r.h)
+    if (edge < 0) {
+      problems.push({ id: c.id, message: t('cutout.errors.outside', { n }) })
+    } else if (edge < minEdgeCm) {
+      problems.push({
+        id: c.id,
+        message: t('cutout.errors.edge', { n, edge: Math.round(edge * 10) / 10, min: minEdgeCm }),
+      })
+    }
+    for (let j = 0; j < i; j++) {
+      const o = rects[j]
+      const overlaps = r.x < o.x + o.w && o.x < r.x + r.w && r.y < o.y + o.h && o.y < r.y + r.h
+      if (overlaps) {
+        problems.push({ id: c.id, message: t('cutout.errors.overlap', { n, other: j + 1 }) })
+      }
+    }
+  })
+
+  return problems
+}
+
+/**
+ * Add the outline of a cutout to the current path (no beginPath), so several
+ * cutouts can be filled or stroked at once.
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {object} c - cutout
+ * @param {{ x:number, y:number, w:number, h:number }} rect - in canvas px
+ * @param {number} s - px per cm (scales the corner radius)
+ */
+export function traceCutout(ctx, c, rect, s) {
+  const { x, y, w, h } = rect
+  if (c.shape === 'circle') {
+    ctx.moveTo(x + w, y + h / 2)
+    ctx.arc(x + w / 2, y + h / 2, w / 2, 0, Math.PI * 2)
+    return
+  }
+  const radius = c.shape === 'rounded' ? Math.min((c.r || 0) * s, w / 2, h / 2) : 0
+  ctx.moveTo(x + radius, y)
+  ctx.arcTo(x + w, y, x + w, y + h, radius)
+  ctx.arcTo(x + w, y + h, x, y + h, radius)
+  ctx.arcTo(x, y + h, x, y, radius)
+  ctx.arcTo(x, y, x + w, y, radius)
+  ctx.closePath()
+}
+
+/**
+ * Punch all cutouts of a plate into a canvas: fill them with `fill` (null
+ * makes them transparent) and, if given, stroke their contour (e.g. as a cut
+ * line for production).
+ *
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ widthCm:number, heightCm:number, cutouts?:Array }} plate
+ * @param {number} originX - canvas px of the plate's top-left corner
+ * @param {number} originY
+ * @param {number} s - px per cm
+ * @param {{ fill:string|null, stroke?:string, lineWidth?:number }} style
+ */
+export function drawCutouts(ctx, plate, originX, originY, s, { fill, stroke, lineWidth = 1 }) {
+  if (!plate.cutouts?.length) return
+  ctx.save()
+  ctx.beginPath()
+  for (const c of plate.cutouts) {
+    const r = cutoutRect(plate, c)
+    traceCutout(ctx, c, { x: originX + r.x * s, y: originY + r.y * s, w: r.w * s, h: r.h * s }, s)
+  }
+  if (fill) {
+    ctx.fillStyle = fill
+    ctx.fill()
+  } else {
+    ctx.globalCompositeOperation = 'destination-out'
+    ctx.fill()
+    ctx.globalCompositeOperation = 'source-over'
+  }
+  if (stroke) {
+    ctx.strokeStyle = stroke
+    ctx.lineWidth = lineWidth
+    ctx.stroke()
+  }
+  ctx.restore()
+}
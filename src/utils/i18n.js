@@ -0,0 +1,101 @@
+/**
+ * i18n.js
+ *
+ * Translation layer: message catalogs, the active locale and locale-aware
+ * number/date formatting.
+ *
+ * Catalogs (src/data/i18n/<locale>.json) are nested objects; a key is the
+ * dot path, e.g. t('controls.addPlate'). Placeholders use `{name}`.
+ * Plurals are objects with `one` / `other`, chosen by the `count` param:
+ *   "plates": { "one": "{count} Platte", "other": "{count} Platten" }
+ *
+ * The active locale lives here (not only in the store) so plain utilities —
+ * validation messages, PDF labels, number parsing — can translate without
+ * importing the store. The store keeps it in sync (see usePlatesStore.locale);
+ * components re-render through useTranslation.
+ *
+ * Missing keys fall back to German, then to the key itself.
+ */
+
+import de from '../data/i18n/de.json'
+import en from '../data/i18n/en.json'
+
+const CATALOGS = { de, en }
+
+/** Supported locales, in switcher order. */
+export const LOCALES = ['de', 'en']
+
+/** BCP 47 tags for Intl formatting. */
+const LOCALE_TAGS = { de: 'de-DE', en: 'en-US' }
+
+/** Browser language if supported, otherwise German. */
+export const DEFAULT_LOCALE =
+  typeof navigator !== 'undefined' && navigator.language?.toLowerCase().startsWith('en')
+    ? 'en'
+    : 'de'
+
+let active = DEFAULT_LOCALE
+
+/** Set the active locale (unknown values fall back to the default). */
+export function setActiveLocale(locale) {
+  active = LOCALES.includes(locale) ? locale : DEFAULT_LOCALE
+  if (typeof document !== 'undefined') document.documentElement.lang = active
+  return active
+}
+
+/** The active locale. */
+export const getActiveLocale = () => active
+
+const lookup = (catalog, key) =>
+  key.split('.').reduce((node, part) => (node == null ? node : node[part]), catalog)
+
+/**
+ * Format a number for display in the active locale.
+ *
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions} [opts] - default: up to 2 fraction digits
+ * @returns {string}
+ */
+export function formatNumber(value, opts = { maximumFractionDigits: 2 }) {
+  return value.toLocaleString(LOCALE_TAGS[active], opts)
+}
+
+/**
+ * Format a timestamp (date + time, short) in the active locale.
+ *
+ * @param {number|Date} ts
+ * @param {Intl.DateTimeFormatOptions} [opts]
+ * @returns {string}
+ */
+export function formatDate(ts, opts = { dateStyle: 'short', timeStyle: 'short' }) {
+  return new Date(ts).toLocaleString(LOCALE_TAGS[active], opts)
+}
+
+/** Decimal and grouping separators of the active locale. */
+export function numberSeparators() {
+  const parts = new Intl.NumberFormat(LOCALE_TAGS[active]).formatToParts(12345.6)
+  return {
+    decimal: parts.find((p) => p.type === 'decimal')?.value ?? '.',
+    group: parts.find((p) => p.type === 'group')?.value ?? ',',
+  }
+}
+
+/**
+ * Translate a key. Numeric params are formatted for the locale.
+ *
+ * @param {string} key - dot path into the catalog
+ * @param {object} [params] - placeholder values; `count` selects a plural form
+ * @returns {string}
+ */
+export function t(key, params = {}) {
+  let msg = lookup(CATALOGS[active], key) ?? lookup(CATALOGS.de, key) ?? key
+  if (msg && typeof msg === 'object') {
+    const rule = new Intl.PluralRules(LOCALE_TAGS[active]).select(params.count ?? 0)
+    msg = msg[rule] ?? msg.other
+  }
+  return String(msg).replace(/\{(\w+)\}/g, (m, name) => {
+    const v = params[name]
+    if (v === undefined) return m
+    return typeof v === 'number' ? formatNumber(v) : String(v)
+  })
+}
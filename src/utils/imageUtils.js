@@ -3,7 +3,7 @@
  *
  * Utilities for loading images and computing how to map them into a
  * virtual canvas using a CSS-like “cover” strategy, plus a helper to
- * mirror-extend an image horizontally for ultra-wide layouts.
+ * mirror-extend an image horizontally (or vertically) for extreme layouts.
  *
  * Notes / Best Practices:
  * - CORS: Using `crossOrigin = 'anonymous'` + proper server headers is
@@ -12,10 +12,16 @@
  * - Errors: Don’t assign `onerror` twice. Keep one handler to reject with
  *   a useful error message.
  * - Safety: Guard against zero / invalid dimensions to avoid NaN/Infinity.
- * - Performance: For very large images you may consider `createImageBitmap`
- *   and/or `OffscreenCanvas` when available (not used here to keep it simple).
+ * - Performance: the render pipeline decodes with `createImageBitmap` and
+ *   draws on `OffscreenCanvas` inside a Web Worker (see renderJobs /
+ *   renderClient). The canvas helpers below therefore work both in a worker
+ *   (no `document`) and on the main thread.
+ * - Error messages are in the UI language (utils/i18n); they can reach the
+ *   user, e.g. as an upload error.
  */
 
+import { t } from './i18n'
+
 /**
  * Load an image and resolve with the HTMLImageElement when ready.
  * The returned <img> is safe to draw to canvas if the server provides CORS headers.
@@ -34,94 +40,295 @@ export function loadImage(url) {
     img.onload = () => resolve(img)
     img.onerror = (e) => {
       // Provide a clear error (avoid assigning onerror twice).
-      const msg = e?.message || (e?.error && String(e.error)) || 'unknown error'
-      reject(new Error(`Failed to load image: ${url} ${msg ? `(${msg})` : ''}`))
+      const reason = e?.message || (e?.error && String(e.error)) || t('image.errors.unknown')
+      reject(new Error(t('image.errors.load', { url, reason })))
     }
 
     img.src = url
   })
 }
 
+/**
+ * Fetch and decode an image into an ImageBitmap. Works in workers, where
+ * there is no <img>. Same CORS rules as loadImage: remote images need CORS
+ * headers; data: and blob: URLs always work.
+ *
+ * @param {string} url - Image URL, data URL or object URL
+ * @returns {Promise<ImageBitmap>}
+ */
+export async function loadBitmap(url) {
+  let res
+  try {
+    res = await fetch(url, { mode: 'cors', referrerPolicy: 'no-referrer' })
+  } catch (e) {
+    throw new Error(t('image.errors.load', { url, reason: e?.message || t('image.errors.network') }))
+  }
+  if (!res.ok) throw new Error(t('image.errors.load', { url, reason: `HTTP ${res.status}` }))
+  return createImageBitmap(await res.blob())
+}
+
+/**
+ * Create a canvas: an OffscreenCanvas inside workers, an HTMLCanvasElement
+ * on the main thread.
+ *
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createCanvas(width, height) {
+  if (typeof document === 'undefined') return new OffscreenCanvas(width, height)
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+/**
+ * Encode a canvas from createCanvas (either kind) as a Blob.
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+ * @param {string} [type='image/png']
+ * @param {number} [quality] - JPEG / WebP quality 0..1
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type = 'image/png', quality) {
+  if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type, quality })
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((b) => (b ? resolve(b) : reject(new Error(t('image.errors.encode')))), type, quality)
+  )
+}
+
+/** Read a Blob as a data URL. */
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
+
+/** Neutral framing: cover scale, centered. */
+export const DEFAULT_FRAMING = { zoom: 1, focusX: 0.5, focusY: 0.5 }
+
+/** Upper zoom limit relative to cover scale. */
+export const MAX_ZOOM = 8
+
 /**
  * Compute CSS-like “cover” mapping for an image inside a target canvas.
- * That is, scale the image so it fully covers the canvas, and center-crop.
+ * That is, scale the image so it fully covers the canvas, and crop.
+ *
+ * Framing (optional):
+ * - zoom:   multiplier on top of the cover scale (clamped to 1..MAX_ZOOM, so the
+ *           image never gets smaller than the canvas)
+ * - focusX/focusY: point of the image (0..1 fractions) to place at the canvas
+ *           center. The offset is clamped so the image always covers the canvas;
+ *           the default (0.5, 0.5) is the classic center crop.
  *
  * @param {number} imgW - intrinsic image width in px
  * @param {number} imgH - intrinsic image height in px
  * @param {number} canvasW - target canvas width (virtual units, e.g., cm)
  * @param {number} canvasH - target canvas height (virtual units)
+ * @param {{ zoom?:number, focusX?:number, focusY?:number }} [framing]
  * @returns {{ scaledW:number, scaledH:number, offsetX:number, offsetY:number, scale:number }}
  */
-export function computeCover(imgW, imgH, canvasW, canvasH) {
+export function computeCover(imgW, imgH, canvasW, canvasH, framing = DEFAULT_FRAMING) {
   // Defensive guards to avoid division by zero / NaN
   const iw = Math.max(1, imgW | 0)
   const ih = Math.max(1, imgH | 0)
   const cw = Math.max(1, +canvasW || 0)
   const ch = Math.max(1, +canvasH || 0)
 
-  const scale = Math.max(cw / iw, ch / ih)
+  const zoom = Math.min(MAX_ZOOM, Math.max(1, +framing?.zoom || 1))
+  const fx = Number.isFinite(framing?.focusX) ? framing.focusX : 0.5
+  const fy = Number.isFinite(framing?.focusY) ? framing.focusY : 0.5
+
+  const scale = Math.max(cw / iw, ch / ih) * zoom
   const scaledW = iw * scale
   const scaledH = ih * scale
-  // Center the image within the canvas (excess over target becomes offset)
-  const offsetX = (scaledW - cw) / 2
-  const offsetY = (scaledH - ch) / 2
+  // Put the focus point at the canvas center, but never uncover the canvas
+  const offsetX = Math.min(scaledW - cw, Math.max(0, fx * scaledW - cw / 2))
+  const offsetY = Math.min(scaledH - ch, Math.max(0, fy * scaledH - ch / 2))
   return { scaledW, scaledH, offsetX, offsetY, scale }
 }
 
+/**
+ * Express a cover mapping back as framing. Focus values outside the reachable
+ * range are pulled in, so panning past an edge doesn't build up "slack".
+ */
+function framingFromCover(cover, zoom, cw, ch) {
+  return {
+    zoom,
+    focusX: (cover.offsetX + cw / 2) / cover.scaledW,
+    focusY: (cover.offsetY + ch / 2) / cover.scaledH,
+  }
+}
+
+/**
+ * Pan: move the image by (dxCm, dyCm) in canvas units (positive = image moves
+ * right/down, like dragging it).
+ *
+ * @returns {{ zoom:number, focusX:number, focusY:number }}
+ */
+export function panFraming(framing, imgW, imgH, canvasW, canvasH, dxCm, dyCm) {
+  const cover = computeCover(imgW, imgH, canvasW, canvasH, framing)
+  const zoom = Math.min(MAX_ZOOM, Math.max(1, +framing?.zoom || 1))
+  const moved = computeCover(imgW, imgH, canvasW, canvasH, {
+    zoom,
+    focusX: (cover.offsetX - dxCm + canvasW / 2) / cover.scaledW,
+    focusY: (cover.offsetY - dyCm + canvasH / 2) / cover.scaledH,
+  })
+  return framingFromCover(moved, zoom, canvasW, canvasH)
+}
+
+/**
+ * Zoom by `factor` while keeping the image point under (atXCm, atYCm) fixed
+ * (cursor or pinch center). Zoom is clamped to 1..MAX_ZOOM.
+ *
+ * @returns {{ zoom:number, focusX:number, focusY:number }}
+ */
+export function zoomFraming(framing, imgW, imgH, canvasW, canvasH, factor, atXCm, atYCm) {
+  const cover = computeCover(imgW, imgH, canvasW, canvasH, framing)
+  const zoom = Math.min(MAX_ZOOM, Math.max(1, (+framing?.zoom || 1) * factor))
+  // Image fraction under the anchor before zooming
+  const u = (atXCm + cover.offsetX) / cover.scaledW
+  const v = (atYCm + cover.offsetY) / cover.scaledH
+  const k = zoom / Math.max(1, +framing?.zoom || 1)
+  const scaledW = cover.scaledW * k
+  const scaledH = cover.scaledH * k
+  const next = computeCover(imgW, imgH, canvasW, canvasH, {
+    zoom,
+    focusX: (u * scaledW - atXCm + canvasW / 2) / scaledW,
+    focusY: (v * scaledH - atYCm + canvasH / 2) / scaledH,
+  })
+  return framingFromCover(next, zoom, canvasW, canvasH)
+}
+
 /**
  * Mirror-extend an image horizontally until at least `targetWidth` is reached.
  * The pattern alternates normal and horizontally flipped tiles to create a
- * seamless extension. Returns a JPEG data URL of the extended strip.
+ * seamless extension. Returns the canvas holding the extended strip; the
+ * caller encodes it (the pipeline stores it as JPEG, see renderJobs).
+ *
+ * Options:
+ * - tiling: 'mirror' (default) flips every other tile; 'repeat' tiles the
+ *   image unchanged (visible seams, but no mirrored text/objects).
+ * - vertical: extend downwards instead of sideways (for tall layouts). Then
+ *   `targetWidth` / `maxWidth` are measured along the vertical axis and odd
+ *   tiles are flipped vertically.
  *
  * Caveats:
  * - If the source image is cross-origin without proper CORS headers, the
- *   resulting canvas becomes “tainted” and `toDataURL` may throw.
+ *   resulting canvas becomes “tainted” and encoding it may throw.
  * - `maxWidth` caps the resulting bitmap size to avoid memory issues.
  *
- * @param {HTMLImageElement} img - Loaded image element
- * @param {number} targetWidth - Desired minimum output width in px
- * @param {number} [maxWidth=8192] - Safety cap on output width in px
- * @returns {string} dataURL - JPEG data URL of the mirrored strip
+ * @param {HTMLImageElement|ImageBitmap} img - Loaded image
+ * @param {number} targetWidth - Desired minimum output length in px (along the extension axis)
+ * @param {number} [maxWidth=8192] - Safety cap on output length in px
+ * @param {{ tiling?: 'mirror'|'repeat', vertical?: boolean }} [options]
+ * @returns {HTMLCanvasElement|OffscreenCanvas} the mirrored strip
  */
-export function mirrorExtendHorizontal(img, targetWidth, maxWidth = 8192) {
-  // Intrinsic single-tile width (one “unit” we’ll repeat/flip)
-  const unit = Math.max(1, img.width | 0)
-  const height = Math.max(1, img.height | 0)
+export function mirrorExtendHorizontal(
+  img,
+  targetWidth,
+  maxWidth = 8192,
+  { tiling = 'mirror', vertical = false } = {}
+) {
+  // Intrinsic single-tile size (one “unit” we’ll repeat/flip)
+  const tileW = Math.max(1, img.width | 0)
+  const tileH = Math.max(1, img.height | 0)
+  const unit = vertical ? tileH : tileW
 
-  // Number of tiles needed to reach the target width, clamped by maxWidth
+  // Number of tiles needed to reach the target length, clamped by maxWidth
   const layers = Math.min(
     Math.max(1, Math.ceil((+targetWidth || 0) / unit)),
     Math.max(1, Math.floor(maxWidth / unit))
   )
 
-  const width = Math.max(unit, layers * unit)
+  const length = Math.max(unit, layers * unit)
 
-  // Create a scratch canvas; use OffscreenCanvas when you control the environment
-  const canvas = document.createElement('canvas')
-  canvas.width = width
-  canvas.height = height
+  // Scratch canvas (OffscreenCanvas in the render worker)
+  const canvas = createCanvas(vertical ? tileW : length, vertical ? length : tileH)
   const ctx = canvas.getContext('2d')
   if (!ctx) {
     // Extremely unlikely in modern browsers, but fail fast with a clear message.
-    throw new Error('2D canvas context not available')
+    throw new Error(t('image.errors.canvas'))
   }
 
-  // Tile horizontally, flipping every other tile for a mirrored look
+  // Tile along the axis, flipping every other tile for a mirrored look
   for (let i = 0; i < layers; i++) {
-    const x = i * unit
-    if (i % 2 === 0) {
-      // Even tiles: draw as-is
-      ctx.drawImage(img, x, 0, unit, height)
-    } else {
+    const x = vertical ? 0 : i * unit
+    const y = vertical ? i * unit : 0
+    if (i % 2 === 0 || tiling === 'repeat') {
+      // Even tiles (or plain repeat): draw as-is
+      ctx.drawImage(img, x, y, tileW, tileH)
+    } else if (!vertical) {
       // Odd tiles: mirror horizontally
       ctx.save()
       ctx.translate(x + unit, 0) // move origin to the right edge of this tile
       ctx.scale(-1, 1)           // flip horizontally
-      ctx.drawImage(img, 0, 0, unit, height)
+      ctx.drawImage(img, 0, 0, tileW, tileH)
       ctx.restore()
+    } else {
+      // Odd tiles: mirror vertically
+      ctx.save()
+      ctx.translate(0, y + unit) // move origin to the bottom edge of this tile
+      ctx.scale(1, -1)           // flip vertically
+      ctx.drawImage(img, 0, 0, tileW, tileH)
+      ctx.restore()
+    }
+  }
+
+  return canvas
+}
+
+/**
+ * Downscale an image blob so its longest edge is at most `maxEdge` px.
+ * Small images are returned untouched (same blob) to avoid recompression.
+ *
+ * Notes:
+ * - PNG/WebP keep their type (transparency); everything else becomes JPEG.
+ * - Uses `createImageBitmap` when available; falls back to an <img> element.
+ *
+ * @param {Blob} blob - source image (e.g. a File from an upload)
+ * @param {number} maxEdge - maximum width/height in px
+ * @returns {Promise<{ blob: Blob, width: number, height: number }>}
+ */
+export async function downscaleImage(blob, maxEdge) {
+  let source
+  let release = () => {}
+  if (typeof createImageBitmap === 'function') {
+    source = await createImageBitmap(blob)
+    release = () => source.close?.()
+  } else {
+    const url = URL.createObjectURL(blob)
+    try {
+      source = await loadImage(url)
+    } finally {
+      URL.revokeObjectURL(url)
     }
   }
 
-  // Quality 0.92 strikes a balance; tweak if you need smaller/bigger output.
-  return canvas.toDataURL('image/jpeg', 0.92)
+  try {
+    const w = source.width
+    const h = source.height
+    if (!w || !h) throw new Error(t('image.errors.noSize'))
+
+    const factor = Math.min(1, maxEdge / Math.max(w, h))
+    if (factor === 1) return { blob, width: w, height: h }
+
+    const width = Math.max(1, Math.round(w * factor))
+    const height = Math.max(1, Math.round(h * factor))
+    const canvas = createCanvas(width, height)
+    const ctx = canvas.getContext('2d')
+    if (!ctx) throw new Error(t('image.errors.canvas'))
+    ctx.imageSmoothingQuality = 'high'
+    ctx.drawImage(source, 0, 0, width, height)
+
+    const type = blob.type === 'image/png' || blob.type === 'image/webp' ? blob.type : 'image/jpeg'
+    const out = await canvasToBlob(canvas, type, 0.92)
+    return { blob: out, width, height }
+  } finally {
+    release()
+  }
 }
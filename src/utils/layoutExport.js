@@ -0,0 +1,245 @@
+/**
+ * layoutExport.js
+ *
+ * The preview's image export (ExportDialog): the whole layout as one image
+ * at a chosen density, as PNG, JPEG or WebP, on the studio background or
+ * transparent, with or without plate shadows and outlines.
+ *
+ * Size:
+ * - PNG has no practical size limit here: when the image exceeds the
+ *   browser's canvas limits it is rendered in tiles (renderUtils.renderLayout
+ *   with a region) and stream-encoded row by row (png.encodePngRows).
+ * - JPEG and WebP can only be encoded from a single canvas, so their density
+ *   is lowered until the image fits (WebP additionally caps each edge at
+ *   16383 px); the plan reports that as `reduced`.
+ * - The file size is estimated by encoding a sample tile at the target
+ *   density and scaling its bytes per pixel to the full image.
+ *
+ * The functions here run inside the render worker (see renderJobs).
+ */
+
+import { canvasToBlob } from './imageUtils'
+import { renderLayout } from './renderUtils'
+import { MAX_CANVAS_AREA, MAX_CANVAS_EDGE } from './printExport'
+import { encodePngRows, withPngDpi } from './png'
+import { CM_PER_IN } from './units'
+
+/** Output formats offered in the UI. */
+export const EXPORT_FORMATS = ['png', 'jpeg', 'webp']
+
+/** MIME type and file extension per format. */
+export const EXPORT_MIME = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' }
+export const EXPORT_EXT = { png: 'png', jpeg: 'jpg', webp: 'webp' }
+
+/** Density units: pixels per centimetre or dots per inch. */
+export const DENSITY_UNITS = ['pxcm', 'dpi']
+
+/** Accepted density range per unit. */
+export const DENSITY_LIMITS = { pxcm: { min: 1, max: 240 }, dpi: { min: 10, max: 600 } }
+
+/** Dialog defaults: the former fixed export (8 px/cm PNG, studio look). */
+export const DEFAULT_EXPORT_OPTIONS = {
+  densityUnit: 'pxcm',
+  density: 8,
+  format: 'png',
+  quality: 0.92,
+  background: 'studio',
+  shadow: true,
+  border: true,
+}
+
+/** Largest export in pixels (about 2 GB of raw pixels while encoding). */
+export const MAX_EXPORT_PIXELS = 500 * 1000 * 1000
+
+/** WebP's own limit per edge. */
+const WEBP_MAX_EDGE = 16383
+
+/** Tile width and pixels per strip when rendering in tiles. */
+const TILE_EDGE = 4096
+const STRIP_PIXELS = 16 * 1024 * 1024
+
+/** Edge of the sample tile for the size estimate (px). */
+const SAMPLE_EDGE = 512
+
+/** Density of the options in px per cm. */
+export const toPxPerCm = ({ densityUnit, density }) =>
+  densityUnit === 'dpi' ? density / CM_PER_IN : density
+
+const sizeAt = (layout, pxPerCm) => ({
+  width: Math.max(1, Math.round(layout.totalW * pxPerCm)),
+  height: Math.max(1, Math.round(layout.maxH * pxPerCm)),
+})
+
+/**
+ * Pixel size and rendering strategy of an export.
+ *
+ * @param {{ totalW:number, maxH:number }} layout - from computeLayout
+ * @param {object} opts - see DEFAULT_EXPORT_OPTIONS
+ * @returns {{ pxPerCm:number, width:number, height:number, tiled:boolean,
+ *   reduced:boolean, tooLarge:boolean }}
+ *   reduced: density lowered to fit (JPEG / WebP); tooLarge: above MAX_EXPORT_PIXELS
+ */
+export function planExport(layout, opts) {
+  let pxPerCm = toPxPerCm(opts)
+  let { width, height } = sizeAt(layout, pxPerCm)
+  const fits = (w, h, edge) => w <= edge && h <= edge && w * h <= MAX_CANVAS_AREA
+
+  if (opts.format === 'png') {
+    return {
+      pxPerCm,
+      width,
+      height,
+      tiled: !fits(width, height, MAX_CANVAS_EDGE),
+      reduced: false,
+      tooLarge: width * height > MAX_EXPORT_PIXELS,
+    }
+  }
+
+  const edge = opts.format === 'webp' ? WEBP_MAX_EDGE : MAX_CANVAS_EDGE
+  const reduced = !fits(width, height, edge)
+  if (reduced) {
+    const k = Math.min(edge / width, edge / height, Math.sqrt(MAX_CANVAS_AREA / (width * height)))
+    pxPerCm *= k
+    ;({ width, height } = sizeAt(layout, pxPerCm))
+    // Rounding may overshoot a limit by a pixel
+    while (!fits(width, height, edge)) {
+      pxPerCm *= 0.999
+      ;({ width, height } = sizeAt(layout, pxPerCm))
+    }
+  }
+  return { pxPerCm, width, height, tiled: false, reduced, tooLarge: false }
+}
+
+/**
+ * Stamp a resolution into a JPEG's JFIF header (APP0), if it has one.
+ * Canvas JPEGs carry an aspect ratio only, which print tools read as 72 DPI.
+ */
+async function withJpegDpi(blob, dpi) {
+  const bytes = new Uint8Array(await blob.arrayBuffer())
+  const isJfif =
+    bytes[2] === 0xff && bytes[3] === 0xe0 && String.fromCharCode(...bytes.subarray(6, 10)) === 'JFIF'
+  if (!isJfif) return blob
+  const view = new DataView(bytes.buffer)
+  const d = Math.min(0xffff, Math.round(dpi))
+  bytes[13] = 1 // units: dots per inch
+  view.setUint16(14, d)
+  view.setUint16(16, d)
+  return new Blob([bytes], { type: blob.type })
+}
+
+/** Encode one canvas in the chosen format (error if the browser can't). */
+async function encodeCanvas(canvas, opts) {
+  const mime = EXPORT_MIME[opts.format]
+  const blob = await canvasToBlob(canvas, mime, opts.quality)
+  // Unsupported types silently fall back to PNG
+  if (blob.type !== mime) {
+    throw Object.assign(new Error(`${mime} encoding not supported`), { name: 'NotSupportedError' })
+  }
+  return blob
+}
+
+/** renderLayout options for a plan. */
+const renderOpts = (plan, opts) => ({
+  pxPerCm: plan.pxPerCm,
+  framing: opts.framing,
+  background: opts.format === 'jpeg' ? 'studio' : opts.background,
+  shadow: opts.shadow,
+  border: opts.border,
+})
+
+/**
+ * RGBA rows [y, y + count) of the full image, rendered tile by tile.
+ */
+function readRows(img, plates, layout, plan, base, y, count) {
+  const rows = new Uint8ClampedArray(plan.width * count * 4)
+  for (let x = 0; x < plan.width; x += TILE_EDGE) {
+    const width = Math.min(TILE_EDGE, plan.width - x)
+    const tile = renderLayout(img, plates, layout, { ...base, region: { x, y, width, height: count } })
+    const data = tile.getContext('2d').getImageData(0, 0, width, count).data
+    tile.width = tile.height = 0
+    for (let r = 0; r < count; r++) {
+      rows.set(data.subarray(r * width * 4, (r + 1) * width * 4), (r * plan.width + x) * 4)
+    }
+  }
+  return rows
+}
+
+/**
+ * Render and encode the export.
+ *
+ * @param {ImageBitmap|HTMLImageElement} img - decoded motif, as in the preview
+ * @param {Array} plates
+ * @param {object} layout - from computeLayout
+ * @param {object} opts - see DEFAULT_EXPORT_OPTIONS, plus `framing`
+ * @param {(done:number, total:number) => void} [onProgress] - rows done (tiled PNG)
+ * @returns {Promise<{ blob:Blob, width:number, height:number, pxPerCm:number,
+ *   tiled:boolean, reduced:boolean }>}
+ */
+export async function renderLayoutExport(img, plates, layout, opts, onProgress = () => {}) {
+  const plan = planExport(layout, opts)
+  if (plan.tooLarge) throw new Error(`Export too large: ${plan.width} × ${plan.height} px`)
+  const base = renderOpts(plan, opts)
+  const dpi = plan.pxPerCm * CM_PER_IN
+
+  let blob
+  if (plan.tiled) {
+    blob = await encodePngRows({
+      width: plan.width,
+      height: plan.height,
+      alpha: base.background === 'transparent',
+      dpi,
+      stripHeight: Math.min(TILE_EDGE, Math.max(1, Math.floor(STRIP_PIXELS / plan.width))),
+      readRows: async (y, count) => {
+        const rows = readRows(img, plates, layout, plan, base, y, count)
+        onProgress(y + count, plan.height)
+        return rows
+      },
+    })
+  } else {
+    const region = { x: 0, y: 0, width: plan.width, height: plan.height }
+    const canvas = renderLayout(img, plates, layout, { ...base, region })
+    blob = await encodeCanvas(canvas, opts)
+    canvas.width = canvas.height = 0
+    if (opts.format === 'png') blob = await withPngDpi(blob, dpi)
+    else if (opts.format === 'jpeg') blob = await withJpegDpi(blob, dpi)
+  }
+
+  const { pxPerCm, width, height, tiled, reduced } = plan
+  return { blob, pxPerCm, width, height, tiled, reduced }
+}
+
+/**
+ * Plan plus estimated file size: a sample from the middle of the image is
+ * encoded the same way as the export, its bytes per pixel scaled up.
+ *
+ * @returns {Promise<object>} planExport result plus `bytes`
+ */
+export async function estimateLayoutExport(img, plates, layout, opts) {
+  const plan = planExport(layout, opts)
+  const base = renderOpts(plan, opts)
+  const width = Math.min(SAMPLE_EDGE, plan.width)
+  const height = Math.min(SAMPLE_EDGE, plan.height)
+  const region = {
+    x: Math.floor((plan.width - width) / 2),
+    y: Math.floor((plan.height - height) / 2),
+    width,
+    height,
+  }
+
+  let sample
+  if (plan.tiled) {
+    sample = await encodePngRows({
+      width,
+      height,
+      alpha: base.background === 'transparent',
+      stripHeight: height,
+      readRows: async () => {
+        const tile = renderLayout(img, plates, layout, { ...base, region })
+        return tile.getContext('2d').getImageData(0, 0, width, height).data
+      },
+    })
+  } else {
+    sample = await encodeCanvas(renderLayout(img, plates, layout, { ...base, region }), opts)
+  }
+  return { ...plan, bytes: Math.round((sample.size / (width * height)) * plan.width * plan.height) }
+}
@@ -0,0 +1,118 @@
+/**
+ * layoutUtils.js
+ *
+ * Geometry of a plate layout in "virtual space" (centimeters).
+ *
+ * Shared by the live preview, the PNG export and project thumbnails so every
+ * consumer places plates (and therefore the motif) identically.
+ */
+
+/**
+ * Layout-level arrangement settings (part of the stored layout).
+ *
+ * - gapCm:   joint width between neighbouring plates (a plate's `gapAfterCm`
+ *            overrides it for the joint to its right)
+ * - gapMode: 'through'  — the motif continues behind the joint, so the strip
+ *                         under the joint is lost (like cutting a print)
+ *            'compress' — the motif ignores joints; plates show adjacent
+ *                         motif strips as if they were edge to edge
+ * - align:   vertical alignment of plates of different heights:
+ *            'bottom' (common baseline), 'top' (e.g. under wall cabinets)
+ *            or 'center'. A plate's `offsetYCm` then raises (> 0) or
+ *            lowers (< 0) it from that position.
+ */
+export const DEFAULT_ARRANGEMENT = { gapCm: 0, gapMode: 'through', align: 'bottom' }
+
+/** Alignment modes (see DEFAULT_ARRANGEMENT). */
+export const ALIGN_MODES = ['bottom', 'top', 'center']
+
+/** Widest joint between two plates (cm). */
+export const MAX_GAP_CM = 5
+
+/** Largest vertical plate offset up or down (cm). */
+export const MAX_OFFSET_Y_CM = 100
+
+/** Joint width after plate `i` (none after the last plate). */
+const jointAfter = (plates, i, gapCm) =>
+  i < plates.length - 1 ? Math.max(0, plates[i].gapAfterCm ?? gapCm) : 0
+
+/**
+ * Compute the virtual canvas and the position of every plate.
+ *
+ * - totalW: physical width of the wall incl. joints
+ * - maxH:   height of the virtual canvas: from the lowest plate bottom to the
+ *           highest plate top (= max plate height without offsets)
+ * - motifW / motifH: size of the area the motif is "covered" onto. Equals
+ *   totalW × maxH, except with gapMode 'compress' where joints are left out.
+ * - gaps[i]: joint width between plate i and i + 1; gapMode / align as configured
+ * - offsets[i]: { x0, y0 } top-left corner of plate i in cm, and
+ *   { mx0, my0 } the same corner in motif space
+ *
+ * @param {Array<{ widthCm:number, heightCm:number, gapAfterCm?:number, offsetYCm?:number }>} plates
+ * @param {{ gapCm?:number, gapMode?:'through'|'compress', align?:string }} [arrangement]
+ * @returns {{
+ *   totalW:number, maxH:number, motifW:number, motifH:number,
+ *   gaps:number[], gapMode:string, align:string,
+ *   offsets:Array<{ x0:number, y0:number, mx0:number, my0:number }>
+ * }}
+ */
+export function computeLayout(plates, arrangement = DEFAULT_ARRANGEMENT) {
+  const gapCm = Math.max(0, +arrangement?.gapCm || 0)
+  const compress = arrangement?.gapMode === 'compress'
+  const gaps = plates.slice(0, -1).map((_, i) => jointAfter(plates, i, gapCm))
+
+  // Vertical placement, measured upwards from the common baseline
+  const tallest = plates.reduce((m, p) => Math.max(m, p.heightCm), 0)
+  const align = ALIGN_MODES.includes(arrangement?.align) ? arrangement.align : 'bottom'
+  const bottoms = plates.map((p) => {
+    const base =
+      align === 'top'
+        ? tallest - p.heightCm
+        : align === 'center'
+          ? (tallest - p.heightCm) / 2
+          : 0
+    return base + (+p.offsetYCm || 0)
+  })
+  const lowest = plates.length ? Math.min(...bottoms) : 0
+  const highest = plates.reduce((m, p, i) => Math.max(m, bottoms[i] + p.heightCm), lowest)
+  const maxH = highest - lowest
+
+  let x = 0
+  let mx = 0
+  const offsets = plates.map((p, i) => {
+    const y0 = highest - (bottoms[i] + p.heightCm)
+    const off = { x0: x, y0, mx0: compress ? mx : x, my0: y0 }
+    x += p.widthCm + (gaps[i] ?? 0)
+    mx += p.widthCm
+    return off
+  })
+
+  return {
+    totalW: x,
+    maxH,
+    motifW: compress ? mx : x,
+    motifH: maxH,
+    gaps,
+    gapMode: compress ? 'compress' : 'through',
+    align,
+    offsets,
+  }
+}
+
+/**
+ * Key figures of a layout for quotes and spec sheets.
+ *
+ * @param {Array<{ widthCm:number, heightCm:number }>} plates
+ * @param {object} [layout] - from computeLayout; defaults to edge-to-edge plates
+ * @returns {{ count:number, totalW:number, maxH:number, areaM2:number, plateAreasM2:number[] }}
+ */
+export function summarizeLayout(plates, layout = computeLayout(plates)) {
+  const plateAreasM2 = plates.map((p) => (p.widthCm * p.heightCm) / 10000)
+  return {
+    count: plates.length,
+    totalW: layout.totalW,
+    maxH: layout.maxH,
+    areaM2: plateAreasM2.reduce((a, b) => a + b, 0),
+    plateAreasM2,
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * materialProfiles.js
+ *
+ * Material profiles: the size constraints and defaults of each plate
+ * material (see src/data/materialProfiles.json).
+ *
+ * Profile:
+ * {
+ *   "id": "glass",              // same ids as the rate table's materials
+ *   "name": "ESG-Glas",
+ *   "thicknessMm": 6,
+ *   "minWidthCm": 20, "maxWidthCm": 300,
+ *   "minHeightCm": 30, "maxHeightCm": 128,
+ *   "maxPlates": 10,
+ *   "defaultWidthCm": 100, "defaultHeightCm": 60   // size of a newly added plate
+ * }
+ *
+ * Display names are translated via the i18n key `materials.<id>`; `name` is
+ * the fallback for profiles without one.
+ *
+ * The active profile is the layout's `materialId`; every size validation
+ * (store, inputs, shared links, wall split) reads its limits from here.
+ */
+
+import profileData from '../data/materialProfiles.json'
+import { t } from './i18n'
+
+/** All profiles, in display order. */
+export const MATERIAL_PROFILES = profileData.profiles
+
+/** Profile used for new layouts and unknown ids. */
+export const DEFAULT_PROFILE_ID = profileData.defaultId
+
+/**
+ * Look up a profile; falls back to the default profile.
+ *
+ * @param {string} id
+ * @returns {object} profile
+ */
+export function getProfile(id) {
+  return (
+    MATERIAL_PROFILES.find((p) => p.id === id) ??
+    MATERIAL_PROFILES.find((p) => p.id === DEFAULT_PROFILE_ID)
+  )
+}
+
+/** Display label incl. thickness, e.g. "ESG-Glas 6 mm". */
+export function profileLabel(profile) {
+  const key = `materials.${profile.id}`
+  const name = t(key)
+  return `${name === key ? profile.name : name} ${profile.thicknessMm} mm`
+}
+
+/**
+ * Limits of a profile in the compact form used by clamping code.
+ *
+ * @param {object} profile
+ * @returns {{ minW:number, maxW:number, minH:number, maxH:number, maxPlates:number }}
+ */
+export function profileLimits(profile) {
+  return {
+    minW: profile.minWidthCm,
+    maxW: profile.maxWidthCm,
+    minH: profile.minHeightCm,
+    maxH: profile.maxHeightCm,
+    maxPlates: profile.maxPlates,
+  }
+}
+
+/**
+ * Check existing plates against a profile (e.g. after switching material).
+ *
+ * @param {Array<{ widthCm:number, heightCm:number }>} plates
+ * @param {object} profile
+ * @returns {{ plates: Array<string[]>, tooMany: boolean }}
+ *   plates[i]: messages (UI language) for plate i (empty if it fits);
+ *   tooMany: more plates than the profile allows
+ */
+export function checkPlatesAgainstProfile(plates, profile) {
+  const l = profileLimits(profile)
+  return {
+    plates: plates.map((p) => {
+      const issues = []
+      if (p.widthCm < l.minW || p.widthCm > l.maxW) {
+        issues.push(t('profile.widthOutOfRange', { value: p.widthCm, min: l.minW, max: l.maxW }))
+      }
+      if (p.heightCm < l.minH || p.heightCm > l.maxH) {
+        issues.push(t('profile.heightOutOfRange', { value: p.heightCm, min: l.minH, max: l.maxH }))
+      }
+      return issues
+    }),
+    tooMany: plates.length > l.maxPlates,
+  }
+}
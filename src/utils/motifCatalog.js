@@ -0,0 +1,109 @@
+/**
+ * motifCatalog.js
+ *
+ * Built-in motif library: the shop's own motifs, listed in a local manifest
+ * (see src/data/motifCatalog.json) and shown by the motif gallery.
+ *
+ * Entry:
+ * {
+ *   "id": "KR-000018",           // the shop's article number
+ *   "title": "Grüne frische Kräuter",
+ *   "category": "plants",        // id from `categories`
+ *   "tags": ["Kräuter", "herbs"], // extra search terms (any language)
+ *   "width": 1200, "height": 462, // native resolution in px
+ *   "url": "motif.webp",          // image, relative to the app's base URL or absolute
+ *   "thumbnail": "motif.webp"     // small preview for the gallery, same rules
+ * }
+ *
+ * Titles are translated via the i18n key `catalog.motifs.<id>`, category
+ * names via `catalog.categories.<id>`; `title` / `name` are the fallbacks.
+ *
+ * A layout that uses a catalog motif records its id (`motifCatalogId`), so
+ * quotes, PDFs and print files can name the article number.
+ */
+
+import catalogData from '../data/motifCatalog.json'
+import { t } from './i18n'
+
+/** All categories, in display order. */
+export const MOTIF_CATEGORIES = catalogData.categories
+
+/** All catalog motifs, in display order. */
+export const MOTIF_CATALOG = catalogData.motifs
+
+/** Length of the "recently used" list. */
+export const MAX_RECENT_MOTIFS = 8
+
+/**
+ * Look up a catalog motif.
+ *
+ * @param {string} id
+ * @returns {object|null} entry, or null for unknown ids
+ */
+export function getCatalogMotif(id) {
+  return MOTIF_CATALOG.find((m) => m.id === id) ?? null
+}
+
+/** Resolve a manifest path against the app's base URL. */
+const resolveAsset = (path) =>
+  new URL(path, new URL(import.meta.env.BASE_URL, window.location.href)).href
+
+/** Absolute image URL of an entry (what the layout stores as `motifUrl`). */
+export const catalogMotifUrl = (entry) => resolveAsset(entry.url)
+
+/** Absolute thumbnail URL of an entry (falls back to the image). */
+export const catalogThumbnailUrl = (entry) => resolveAsset(entry.thumbnail ?? entry.url)
+
+/** Translated title of an entry. */
+export function motifTitle(entry) {
+  const key = `catalog.motifs.${entry.id}`
+  const title = t(key)
+  return title === key ? entry.title : title
+}
+
+/** Translated name of a category. */
+export function categoryLabel(category) {
+  const key = `catalog.categories.${category.id}`
+  const name = t(key)
+  return name === key ? category.name : name
+}
+
+/** Lower-case, accent-free form for matching ("Kräuter" → "krauter"). */
+const fold = (s) =>
+  String(s)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+
+/**
+ * Filter the catalog.
+ *
+ * Every word of the query has to occur in the entry's title (translated or
+ * not), article number, tags or category name.
+ *
+ * @param {string} query
+ * @param {object} [options]
+ * @param {string} [options.category] - only this category
+ * @param {string[]} [options.ids] - only these ids, in this order (favourites, recents)
+ * @returns {object[]} matching entries
+ */
+export function searchMotifs(query, { category, ids } = {}) {
+  const words = fold(query).split(/\s+/).filter(Boolean)
+  const pool = ids ? ids.map(getCatalogMotif).filter(Boolean) : MOTIF_CATALOG
+
+  return pool.filter((entry) => {
+    if (category && entry.category !== category) return false
+    if (!words.length) return true
+    const cat = MOTIF_CATEGORIES.find((c) => c.id === entry.category)
+    const haystack = fold(
+      [
+        entry.title,
+        motifTitle(entry),
+        entry.id,
+        ...(entry.tags ?? []),
+        ...(cat ? [cat.name, categoryLabel(cat)] : []),
+      ].join(' ')
+    )
+    return words.every((w) => haystack.includes(w))
+  })
+}
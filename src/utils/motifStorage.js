@@ -0,0 +1,257 @@
+/**
+ * motifStorage.js
+ *
+ * IndexedDB-backed storage for motif images uploaded from the user's device.
+ *
+ * Why not localStorage:
+ * - The Zustand store is persisted as one JSON blob in localStorage, which is
+ *   limited to a few MB. A pasted data URL of a photo fills that quickly.
+ * - Blobs in IndexedDB are stored natively (no base64 overhead) and can be
+ *   turned into same-origin object URLs, so canvas export never gets tainted.
+ *
+ * Reference format:
+ * - The store only keeps a short reference string: `idb:<id>`.
+ * - Use `resolveMotifUrl(ref)` (or the `useMotifSource` hook) to turn any
+ *   reference — local or remote — into something an <img> can load.
+ *
+ * Cleanup:
+ * - Uploading the same file again reuses its record (matched by a SHA-256
+ *   hash of the file's bytes).
+ * - Records nobody references any more (replaced motif, deleted project, undo
+ *   step dropped) are removed by `pruneLocalMotifs`, which the projects store
+ *   calls with every reference it still knows about.
+ */
+
+import { downscaleImage } from './imageUtils'
+import { t } from './i18n'
+
+const DB_NAME = 'plate-generator'
+const DB_VERSION = 2
+const STORE = 'motifs'
+
+/** Prefix marking a motif reference that lives in IndexedDB. */
+export const LOCAL_MOTIF_PREFIX = 'idb:'
+
+/** MIME types accepted for uploads (what every modern browser can decode). */
+export const ACCEPTED_MOTIF_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+
+/** Upload size limit before any processing (bytes). */
+export const MAX_MOTIF_BYTES = 30 * 1024 * 1024
+
+/** Longest edge (px) kept after downscaling; larger photos are resized. */
+export const MAX_MOTIF_EDGE = 6000
+
+/**
+ * Records this young are never pruned: an upload is stored before the layout
+ * references it.
+ */
+const PRUNE_GRACE_MS = 60 * 1000
+
+/** Simple id helper (same approach as the store's uuid). */
+const uuid = () =>
+  (crypto?.randomUUID ? crypto.randomUUID() : String(Date.now() + Math.random()))
+
+let dbPromise = null
+
+/**
+ * Open (and lazily create) the database. The promise is cached so all callers
+ * share one connection.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error(t('motif.errors.noStorage')))
+      return
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const db = req.result
+      const store = db.objectStoreNames.contains(STORE)
+        ? req.transaction.objectStore(STORE)
+        : db.createObjectStore(STORE, { keyPath: 'id' })
+      // Version 2: content hash for reusing records of the same file
+      if (!store.indexNames.contains('hash')) store.createIndex('hash', 'hash')
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+  // Allow a later retry if opening failed (e.g. private mode quirks)
+  dbPromise.catch(() => {
+    dbPromise = null
+  })
+  return dbPromise
+}
+
+/**
+ * Run a single request against the motif object store.
+ *
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} fn
+ * @returns {Promise<any>} the request result
+ */
+async function withStore(mode, fn) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode)
+    const req = fn(tx.objectStore(STORE))
+    tx.oncomplete = () => resolve(req.result)
+    tx.onerror = () => reject(tx.error || req.error)
+    tx.onabort = () => reject(tx.error || new Error(t('motif.errors.storage')))
+  })
+}
+
+/** True if `ref` points into IndexedDB rather than at a URL. */
+export function isLocalMotif(ref) {
+  return typeof ref === 'string' && ref.startsWith(LOCAL_MOTIF_PREFIX)
+}
+
+/** Build a store reference from a record id. */
+export function toLocalMotifRef(id) {
+  return `${LOCAL_MOTIF_PREFIX}${id}`
+}
+
+/**
+ * Read a stored motif record.
+ *
+ * @param {string} ref - `idb:<id>` reference
+ * @returns {Promise<{ id:string, blob:Blob, name:string, type:string, width:number, height:number, createdAt:number } | null>}
+ */
+export async function getLocalMotif(ref) {
+  if (!isLocalMotif(ref)) return null
+  const id = ref.slice(LOCAL_MOTIF_PREFIX.length)
+  const rec = await withStore('readonly', (s) => s.get(id))
+  return rec ?? null
+}
+
+/**
+ * Check type and size of a user-selected file before touching it.
+ * Throws an Error with a user-facing message (UI language) if the file is
+ * not acceptable.
+ *
+ * @param {File|Blob} file
+ */
+export function validateMotifFile(file) {
+  if (!file) throw new Error(t('motif.errors.noFile'))
+  if (!ACCEPTED_MOTIF_TYPES.includes(file.type)) {
+    throw new Error(t('motif.errors.type'))
+  }
+  if (file.size > MAX_MOTIF_BYTES) {
+    throw new Error(t('motif.errors.tooLarge', { mb: Math.round(MAX_MOTIF_BYTES / (1024 * 1024)) }))
+  }
+}
+
+/**
+ * Hex SHA-256 of a file's bytes, or null where Web Crypto is unavailable
+ * (insecure contexts): those uploads are simply not deduplicated.
+ */
+async function hashFile(file) {
+  if (!crypto?.subtle) return null
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Validate, downscale (if needed) and persist an uploaded image. A file that
+ * is already stored (same bytes) reuses its record.
+ *
+ * @param {File} file - from <input type="file"> or a drop event
+ * @returns {Promise<string>} reference to store in `motifUrl` (`idb:<id>`)
+ */
+export async function importMotifFile(file) {
+  validateMotifFile(file)
+  const hash = await hashFile(file)
+  const existing = hash ? await withStore('readonly', (s) => s.index('hash').get(hash)) : null
+  if (existing) {
+    // Touch it, so a prune running before the layout references it keeps it
+    await withStore('readwrite', (s) => s.put({ ...existing, createdAt: Date.now() }))
+    return toLocalMotifRef(existing.id)
+  }
+
+  let scaled
+  try {
+    scaled = await downscaleImage(file, MAX_MOTIF_EDGE)
+  } catch (err) {
+    console.error(err)
+    throw new Error(t('motif.errors.decode'))
+  }
+  const { blob, width, height } = scaled
+  const record = {
+    id: uuid(),
+    blob,
+    name: file.name || 'motif',
+    type: blob.type,
+    width,
+    height,
+    createdAt: Date.now(),
+    ...(hash && { hash }),
+  }
+  await withStore('readwrite', (s) => s.put(record))
+  return toLocalMotifRef(record.id)
+}
+
+/**
+ * Delete a stored motif (no-op for remote references and unknown ids).
+ *
+ * @param {string} ref - `idb:<id>` reference
+ */
+export async function deleteLocalMotif(ref) {
+  if (!isLocalMotif(ref)) return
+  await withStore('readwrite', (s) => s.delete(ref.slice(LOCAL_MOTIF_PREFIX.length)))
+}
+
+/**
+ * Delete every stored motif that is not in `refs`, except records stored in
+ * the last PRUNE_GRACE_MS (uploads the layout does not reference yet).
+ *
+ * @param {Iterable<string>} refs - every motif reference still in use
+ * @returns {Promise<number>} number of deleted records
+ */
+export async function pruneLocalMotifs(refs) {
+  // Nothing was ever stored without IndexedDB
+  if (typeof indexedDB === 'undefined') return 0
+  const keep = new Set(refs)
+  const now = Date.now()
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite')
+    let deleted = 0
+    // A cursor reads the records one by one (blobs stay on disk)
+    const req = tx.objectStore(STORE).openCursor()
+    req.onsuccess = () => {
+      const cursor = req.result
+      if (!cursor) return
+      const { id, createdAt } = cursor.value
+      const fresh = now - createdAt < PRUNE_GRACE_MS
+      if (!keep.has(toLocalMotifRef(id)) && !fresh) {
+        cursor.delete()
+        deleted++
+      }
+      cursor.continue()
+    }
+    tx.oncomplete = () => resolve(deleted)
+    tx.onerror = () => reject(tx.error || req.error)
+    tx.onabort = () => reject(tx.error || new Error(t('motif.errors.storage')))
+  })
+}
+
+/**
+ * Resolve any motif reference to a loadable URL.
+ * - Remote / data URLs are returned unchanged.
+ * - Local references become an object URL; call `revoke()` when done.
+ *
+ * @param {string} ref
+ * @returns {Promise<{ url:string|null, revoke:() => void, meta:object|null }>}
+ */
+export async function resolveMotifUrl(ref) {
+  if (!isLocalMotif(ref)) {
+    return { url: ref || null, revoke: () => {}, meta: null }
+  }
+  const rec = await getLocalMotif(ref)
+  if (!rec) throw new Error(t('motif.errors.notFound'))
+  const url = URL.createObjectURL(rec.blob)
+  const { name, width, height } = rec
+  return { url, revoke: () => URL.revokeObjectURL(url), meta: { name, width, height } }
+}
@@ -0,0 +1,255 @@
+/**
+ * pdfExport.js
+ *
+ * Client-side PDF specification sheet (quote / order document).
+ *
+ * Pages:
+ * 1) Rendered preview, key figures (total width, max height, total m²,
+ *    joints, alignment, cutouts, motif source, mirroring, image adjustments,
+ *    material) and a table of every plate with
+ *    its price, followed by surcharges and the total price.
+ *    The table continues on further pages if needed.
+ * 2) Plate overview: one thumbnail per plate, cut from the same motif
+ *    mapping as the print export.
+ *
+ * Everything is produced in the browser with jsPDF from store state; the
+ * images come from the shared render pipeline, rendered in the render worker
+ * (see renderClient).
+ * Texts and number formats follow the UI language (see utils/i18n).
+ */
+
+import { jsPDF } from 'jspdf'
+import { ALIGN_MODES, summarizeLayout } from './layoutUtils'
+import { formatPrice } from './pricing'
+import { renderLayoutImage, renderPlateImage } from './renderClient'
+import { CM_PER_IN } from './units'
+import { formatDate, formatNumber, t } from './i18n'
+import { isNeutralAdjustments } from './adjustments'
+
+/** A4 portrait geometry in mm. */
+const PAGE = { w: 210, h: 297, margin: 15 }
+const CONTENT_W = PAGE.w - 2 * PAGE.margin
+
+/** Encoding of the embedded images. */
+const JPEG = { type: 'image/jpeg', quality: 0.85 }
+
+/** Bytes of a rendered image, for doc.addImage. */
+const jpegBytes = async ({ blob }) => new Uint8Array(await blob.arrayBuffer())
+
+/** Number formatting for the document (UI language). */
+const fmt = (v, digits = 1) =>
+  formatNumber(v, { minimumFractionDigits: 0, maximumFractionDigits: digits })
+
+const fmtCm = (w, h) => `${fmt(w)} × ${fmt(h)} cm`
+const fmtIn = (w, h) => `${fmt(w / CM_PER_IN)} × ${fmt(h / CM_PER_IN)} in`
+
+/**
+ * Scale an image ({ width, height } in px) into a box, returning its placed
+ * size in mm.
+ */
+function fitBox(img, maxW, maxH) {
+  const k = Math.min(maxW / img.width, maxH / img.height)
+  return { w: img.width * k, h: img.height * k }
+}
+
+/** Column layout of the plate table (x offsets in mm from the margin). */
+const COLS = [
+  { key: 'no', x: 0 },
+  { key: 'sizeCm', x: 14 },
+  { key: 'sizeIn', x: 62 },
+  { key: 'area', x: 110 },
+  { key: 'price', x: 140 },
+]
+const ROW_H = 7
+
+function tableHeader(doc, y) {
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(10)
+  COLS.forEach((c) => doc.text(t(`pdf.cols.${c.key}`), PAGE.margin + c.x, y))
+  doc.setDrawColor(180)
+  doc.line(PAGE.margin, y + 2, PAGE.margin + CONTENT_W, y + 2)
+  doc.setFont('helvetica', 'normal')
+  return y + ROW_H
+}
+
+/** Human-readable joint widths (mm) and motif handling for the facts list. */
+function describeJoints(layout) {
+  if (!layout.gaps.some((g) => g > 0)) return t('pdf.jointsNone')
+  const widths = [...new Set(layout.gaps.map((g) => fmt(g * 10)))].join(' / ')
+  return t(`pdf.joints.${layout.gapMode === 'compress' ? 'compress' : 'through'}`, { widths })
+}
+
+/** Number of cutouts per plate (details are in the print export's info.txt). */
+function describeCutouts(plates) {
+  const per = plates
+    .map((p, i) => (p.cutouts?.length ? t('pdf.plateCount', { n: i + 1, count: p.cutouts.length }) : null))
+    .filter(Boolean)
+  return per.length ? per.join(', ') : t('pdf.none')
+}
+
+/** Alignment plus every plate that is moved up or down from it. */
+function describeAlignment(plates, layout) {
+  const moved = plates
+    .map((p, i) =>
+      p.offsetYCm
+        ? t('pdf.plateOffset', { n: i + 1, offset: `${p.offsetYCm > 0 ? '+' : ''}${fmt(p.offsetYCm)}` })
+        : null
+    )
+    .filter(Boolean)
+  const label = t(`pdf.align.${ALIGN_MODES.includes(layout.align) ? layout.align : 'bottom'}`)
+  return moved.length ? `${label} (${moved.join(', ')})` : label
+}
+
+/** Human-readable mirror setting for the facts list. */
+function describeMirror(mirror) {
+  if (!mirror) return t('pdf.mirror.off')
+  return t(`pdf.mirror.${mirror.tiling === 'repeat' ? 'repeat' : 'mirror'}`, {
+    axis: t(`pdf.mirror.${mirror.axis === 'y' ? 'vertical' : 'horizontal'}`),
+  })
+}
+
+/** Changed image adjustments for the facts list (labels as in the panel). */
+function describeAdjustments(a) {
+  if (!a || isNeutralAdjustments(a)) return t('pdf.none')
+  const parts = []
+  for (const key of ['brightness', 'contrast', 'saturation']) {
+    if (a[key] !== 100) parts.push(`${t(`adjust.${key}`)} ${a[key]} %`)
+  }
+  if (a.hue !== 0) parts.push(`${t('adjust.hue')} ${a.hue}°`)
+  if (a.tone !== 'none') parts.push(t(`adjust.tones.${a.tone}`))
+  if (a.flipX) parts.push(t('adjust.flipX'))
+  if (a.flipY) parts.push(t('adjust.flipY'))
+  if (a.rotation) parts.push(t('adjust.rotation', { deg: a.rotation }))
+  return parts.join(', ')
+}
+
+/**
+ * Build the PDF.
+ *
+ * @param {object} args
+ * @param {object} args.motif - the motif as painted in the preview
+ *   (renderClient.describeMotif, incl. its adjustments)
+ * @param {Array<{ widthCm:number, heightCm:number }>} args.plates
+ * @param {object} args.layout - from computeLayout(plates)
+ * @param {string} args.motifLabel - human-readable motif source
+ * @param {null|{ axis:string, tiling:string }} args.mirror - see renderUtils.resolveMirror
+ * @param {object} args.quote - result of computePrice for these plates
+ * @param {object} [args.framing] - motif zoom/focus from the store
+ * @returns {Promise<Blob>} application/pdf
+ */
+export async function buildSpecPdf({ motif, plates, layout, motifLabel, mirror, quote, framing }) {
+  const money = (v) => formatPrice(v, quote.currency)
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' })
+  const sum = summarizeLayout(plates, layout)
+  const m = PAGE.margin
+  let y = m + 5
+
+  // Title
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(18)
+  doc.text(t('pdf.title'), m, y)
+  doc.setFont('helvetica', 'normal')
+  doc.setFontSize(10)
+  doc.text(t('pdf.created', { date: formatDate(Date.now()) }), m, y + 6)
+  y += 14
+
+  // Preview (same rendering as the PNG export, at a PDF-friendly density)
+  const pxPerCm = Math.min(8, 2400 / Math.max(1, layout.totalW))
+  const preview = await renderLayoutImage(motif, plates, layout, { pxPerCm, framing }, JPEG)
+  const box = fitBox(preview, CONTENT_W, 90)
+  doc.addImage(await jpegBytes(preview), 'JPEG', m, y, box.w, box.h)
+  y += box.h + 10
+
+  // Key figures
+  const facts = [
+    ['count', String(sum.count)],
+    ['totalWidth', `${fmt(sum.totalW)} cm (${fmt(sum.totalW / CM_PER_IN)} in)`],
+    ['maxHeight', `${fmt(sum.maxH)} cm (${fmt(sum.maxH / CM_PER_IN)} in)`],
+    ['totalArea', `${fmt(sum.areaM2, 2)} m²`],
+    ['joints', describeJoints(layout)],
+    ['alignment', describeAlignment(plates, layout)],
+    ['cutouts', describeCutouts(plates)],
+    ['motif', motifLabel],
+    ['mirror', describeMirror(mirror)],
+    ['adjustments', describeAdjustments(motif.adjustments)],
+    ['material', quote.material.name],
+  ]
+  doc.setFontSize(10)
+  for (const [key, value] of facts) {
+    doc.setFont('helvetica', 'bold')
+    doc.text(t(`pdf.facts.${key}`), m, y)
+    doc.setFont('helvetica', 'normal')
+    const lines = doc.splitTextToSize(value, CONTENT_W - 45)
+    doc.text(lines, m + 45, y)
+    y += 6 * lines.length
+  }
+  y += 6
+
+  // Plate table
+  y = tableHeader(doc, y)
+  plates.forEach((p, i) => {
+    if (y > PAGE.h - m - ROW_H) {
+      doc.addPage()
+      y = tableHeader(doc, m + 5)
+    }
+    doc.text(String(i + 1), m + COLS[0].x, y)
+    doc.text(fmtCm(p.widthCm, p.heightCm), m + COLS[1].x, y)
+    doc.text(fmtIn(p.widthCm, p.heightCm), m + COLS[2].x, y)
+    doc.text(fmt(sum.plateAreasM2[i], 2), m + COLS[3].x, y)
+    doc.text(money(quote.lines[i].total), m + COLS[4].x, y)
+    y += ROW_H
+  })
+  if (quote.mirrorSurcharge > 0) {
+    doc.text(t('price.mirrorSurcharge'), m + COLS[1].x, y)
+    doc.text(money(quote.mirrorSurcharge), m + COLS[4].x, y)
+    y += ROW_H
+  }
+  if (y > PAGE.h - m) {
+    doc.addPage()
+    y = m + 5
+  }
+  doc.line(m, y - ROW_H + 2, m + CONTENT_W, y - ROW_H + 2)
+  doc.setFont('helvetica', 'bold')
+  doc.text(t('pdf.sum'), m, y)
+  doc.text(t('pdf.sumSize', { w: fmt(sum.totalW), h: fmt(sum.maxH) }), m + COLS[1].x, y)
+  doc.text(fmt(sum.areaM2, 2), m + COLS[3].x, y)
+  doc.text(money(quote.total), m + COLS[4].x, y)
+  doc.setFont('helvetica', 'normal')
+
+  // Per-plate thumbnails, two per row
+  doc.addPage()
+  doc.setFont('helvetica', 'bold')
+  doc.setFontSize(14)
+  doc.text(t('pdf.overview'), m, m + 5)
+  doc.setFont('helvetica', 'normal')
+  doc.setFontSize(10)
+
+  const cellW = (CONTENT_W - 10) / 2
+  const cellH = 60
+  let rowTop = m + 14
+  for (const [i, p] of plates.entries()) {
+    const col = i % 2
+    if (col === 0 && i > 0) rowTop += cellH + 14
+    if (col === 0 && rowTop + cellH + 10 > PAGE.h - m) {
+      doc.addPage()
+      rowTop = m
+    }
+    const x = m + col * (cellW + 10)
+
+    const thumb = await renderPlateImage(
+      motif,
+      plates,
+      layout,
+      i,
+      { dpi: 40, bleedMm: 0, cropMarks: false, framing },
+      JPEG
+    )
+    const b = fitBox(thumb, cellW, cellH)
+    doc.addImage(await jpegBytes(thumb), 'JPEG', x, rowTop, b.w, b.h)
+    doc.setDrawColor(200)
+    doc.rect(x, rowTop, b.w, b.h)
+    doc.text(`${t('price.plate', { n: i + 1 })}: ${fmtCm(p.widthCm, p.heightCm)}`, x, rowTop + b.h + 5)
+  }
+
+  return doc.output('blob')
+}
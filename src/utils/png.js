@@ -0,0 +1,171 @@
+/**
+ * png.js
+ *
+ * Small PNG toolkit for the exports:
+ * - withPngDpi: stamp a resolution (pHYs chunk) into a canvas-encoded PNG.
+ * - encodePngRows: stream-encode a PNG row by row, for images larger than
+ *   any canvas the browser allows (the layout export renders them in tiles
+ *   and feeds the rows in here). Compression uses the native
+ *   CompressionStream('deflate'), whose zlib output is exactly what IDAT
+ *   chunks carry.
+ *
+ * Format reference: https://www.w3.org/TR/png/
+ */
+
+/** Standard CRC-32 (PNG chunk checksums). */
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    t[n] = c >>> 0
+  }
+  return t
+})()
+
+function crc32(bytes) {
+  let c = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+  return (c ^ 0xffffffff) >>> 0
+}
+
+const SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+/**
+ * One chunk: length, type, data, CRC over type + data.
+ *
+ * @param {string} type - four ASCII letters, e.g. 'IHDR'
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length)
+  const view = new DataView(out.buffer)
+  view.setUint32(0, data.length)
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i)
+  out.set(data, 8)
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)))
+  return out
+}
+
+/** pHYs chunk (pixels per metre) for a resolution in DPI. */
+function physChunk(dpi) {
+  const data = new Uint8Array(9)
+  const view = new DataView(data.buffer)
+  const ppm = Math.round(dpi / 0.0254)
+  view.setUint32(0, ppm)
+  view.setUint32(4, ppm)
+  data[8] = 1 // unit: metre
+  return chunk('pHYs', data)
+}
+
+/**
+ * Insert a pHYs chunk (pixels per metre) right after IHDR.
+ * Canvas-encoded PNGs carry no resolution, which makes print tools assume 72 DPI.
+ *
+ * @param {Blob} blob - PNG encoded from a canvas
+ * @param {number} dpi
+ * @returns {Promise<Blob>}
+ */
+export async function withPngDpi(blob, dpi) {
+  const src = new Uint8Array(await blob.arrayBuffer())
+  // PNG signature (8) + IHDR chunk (4 len + 4 type + 13 data + 4 crc)
+  const ihdrEnd = 8 + 25
+  return new Blob([src.subarray(0, ihdrEnd), physChunk(dpi), src.subarray(ihdrEnd)], {
+    type: 'image/png',
+  })
+}
+
+/** Compressed data is collected into IDAT chunks of about this size. */
+const IDAT_SIZE = 1 << 16
+
+/**
+ * Encode a PNG from RGBA rows, streaming.
+ *
+ * Rows are requested strip by strip through `readRows(y, count)`, which
+ * resolves with `count` rows of RGBA pixels (as from getImageData). Each row
+ * gets the "Up" filter, which suits photos and costs one subtraction per byte.
+ *
+ * @param {object} args
+ * @param {number} args.width
+ * @param {number} args.height
+ * @param {boolean} args.alpha - keep the alpha channel (RGBA); otherwise RGB
+ * @param {number} [args.dpi] - resolution stamped as pHYs
+ * @param {number} args.stripHeight - rows per readRows call
+ * @param {(y:number, count:number) => Promise<Uint8ClampedArray>} args.readRows
+ * @returns {Promise<Blob>} image/png
+ */
+export async function encodePngRows({ width, height, alpha, dpi, stripHeight, readRows }) {
+  const channels = alpha ? 4 : 3
+  const stride = width * channels
+
+  const ihdr = new Uint8Array(13)
+  const view = new DataView(ihdr.buffer)
+  view.setUint32(0, width)
+  view.setUint32(4, height)
+  ihdr[8] = 8 // bit depth
+  ihdr[9] = alpha ? 6 : 2 // colour type: RGBA / RGB
+  // compression, filter method, interlace: all 0
+
+  const parts = [SIGNATURE, chunk('IHDR', ihdr)]
+  if (dpi) parts.push(physChunk(dpi))
+
+  const stream = new CompressionStream('deflate')
+  const writer = stream.writable.getWriter()
+
+  // Collect compressed output into IDAT chunks while rows are written
+  const reading = (async () => {
+    const reader = stream.readable.getReader()
+    let pending = []
+    let size = 0
+    const flush = () => {
+      if (!size) return
+      const data = new Uint8Array(size)
+      let at = 0
+      for (const p of pending) {
+        data.set(p, at)
+        at += p.length
+      }
+      parts.push(chunk('IDAT', data))
+      pending = []
+      size = 0
+    }
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) break
+      pending.push(value)
+      size += value.length
+      if (size >= IDAT_SIZE) flush()
+    }
+    flush()
+  })()
+
+  let prev = new Uint8Array(stride)
+  for (let y0 = 0; y0 < height; y0 += stripHeight) {
+    const count = Math.min(stripHeight, height - y0)
+    const rgba = await readRows(y0, count)
+    // Filter byte + filtered scanline per row
+    const out = new Uint8Array(count * (stride + 1))
+    for (let r = 0; r < count; r++) {
+      const row = new Uint8Array(stride)
+      const src = r * width * 4
+      for (let x = 0, i = 0; x < width; x++) {
+        const p = src + x * 4
+        row[i++] = rgba[p]
+        row[i++] = rgba[p + 1]
+        row[i++] = rgba[p + 2]
+        if (alpha) row[i++] = rgba[p + 3]
+      }
+      const o = r * (stride + 1)
+      out[o] = 2 // filter: Up
+      for (let i = 0; i < stride; i++) out[o + 1 + i] = (row[i] - prev[i]) & 0xff
+      prev = row
+    }
+    await writer.write(out)
+  }
+  await writer.close()
+  await reading
+
+  parts.push(chunk('IEND', new Uint8Array(0)))
+  return new Blob(parts, { type: 'image/png' })
+}
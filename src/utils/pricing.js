@@ -0,0 +1,140 @@
+/**
+ * pricing.js
+ *
+ * Price calculation for a plate layout from a configurable rate table.
+ *
+ * Rate table (JSON, see src/data/defaultPriceTable.json):
+ * {
+ *   "name": "Standardpreise",
+ *   "currency": "EUR",
+ *   "materials": [
+ *     { "id": "glass", "name": "ESG-Glas 6 mm", "pricePerM2": 189, "minChargePerPlate": 79 }
+ *   ],
+ *   "wideSurcharge": { "thresholdCm": 250, "amount": 35 },  // per plate wider than threshold
+ *   "mirrorSurcharge": 25                                   // once per mirrored layout
+ * }
+ *
+ * Rules:
+ * - Plate price = max(area × pricePerM2, minChargePerPlate)
+ *                 + wideSurcharge.amount if widthCm > thresholdCm
+ * - Total = sum of plate prices + mirrorSurcharge if the layout is mirrored
+ * - Every amount is rounded to cents.
+ */
+
+import defaultPriceTable from '../data/defaultPriceTable.json'
+import { formatNumber, t } from './i18n'
+
+export { defaultPriceTable }
+
+/** Round to cents. */
+const cents = (v) => Math.round(v * 100) / 100
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0
+
+/**
+ * Validate a parsed rate table. Throws an Error with a user-facing message
+ * (in the UI language) describing the first problem found.
+ *
+ * @param {any} table
+ * @returns {object} the same table, if valid
+ */
+export function validatePriceTable(table) {
+  if (!table || typeof table !== 'object') {
+    throw new Error(t('priceTable.errors.notObject'))
+  }
+  if (typeof table.currency !== 'string' || !/^[A-Z]{3}$/.test(table.currency)) {
+    throw new Error(t('priceTable.errors.currency'))
+  }
+  if (!Array.isArray(table.materials) || table.materials.length === 0) {
+    throw new Error(t('priceTable.errors.materials'))
+  }
+  const ids = new Set()
+  table.materials.forEach((m, i) => {
+    const fail = (key, params) => {
+      throw new Error(t(`priceTable.errors.${key}`, { n: i + 1, ...params }))
+    }
+    if (typeof m?.id !== 'string' || !m.id) fail('missingField', { field: 'id' })
+    if (ids.has(m.id)) fail('duplicateId', { id: m.id })
+    ids.add(m.id)
+    if (typeof m.name !== 'string' || !m.name) fail('missingField', { field: 'name' })
+    if (!isNum(m.pricePerM2)) fail('notNumber', { field: 'pricePerM2' })
+    if (m.minChargePerPlate !== undefined && !isNum(m.minChargePerPlate)) {
+      fail('notNumber', { field: 'minChargePerPlate' })
+    }
+  })
+  const wide = table.wideSurcharge
+  if (wide !== undefined && !(isNum(wide?.thresholdCm) && isNum(wide?.amount))) {
+    throw new Error(t('priceTable.errors.wideSurcharge'))
+  }
+  if (table.mirrorSurcharge !== undefined && !isNum(table.mirrorSurcharge)) {
+    throw new Error(t('priceTable.errors.mirrorSurcharge'))
+  }
+  return table
+}
+
+/**
+ * Read and validate a rate table from a local JSON file.
+ *
+ * @param {File} file
+ * @returns {Promise<object>}
+ */
+export async function readPriceTableFile(file) {
+  let json
+  try {
+    json = JSON.parse(await file.text())
+  } catch {
+    throw new Error(t('common.invalidJson'))
+  }
+  return validatePriceTable(json)
+}
+
+/**
+ * Look up a material; falls back to the table's first material.
+ */
+export function findMaterial(table, materialId) {
+  return table.materials.find((m) => m.id === materialId) ?? table.materials[0]
+}
+
+/**
+ * Compute per-plate and total prices.
+ *
+ * @param {Array<{ widthCm:number, heightCm:number }>} plates
+ * @param {object} table - validated rate table
+ * @param {{ materialId?:string, mirrored?:boolean }} [opts]
+ * @returns {{
+ *   currency:string, material:object,
+ *   lines:Array<{ areaM2:number, base:number, minApplied:boolean, wideSurcharge:number, total:number }>,
+ *   mirrorSurcharge:number, total:number
+ * }}
+ */
+export function computePrice(plates, table, { materialId, mirrored = false } = {}) {
+  const material = findMaterial(table, materialId)
+  const minCharge = material.minChargePerPlate ?? 0
+  const wide = table.wideSurcharge
+
+  const lines = plates.map((p) => {
+    const areaM2 = (p.widthCm * p.heightCm) / 10000
+    const byArea = areaM2 * material.pricePerM2
+    const base = cents(Math.max(byArea, minCharge))
+    const wideSurcharge = wide && p.widthCm > wide.thresholdCm ? cents(wide.amount) : 0
+    return {
+      areaM2,
+      base,
+      minApplied: byArea < minCharge,
+      wideSurcharge,
+      total: cents(base + wideSurcharge),
+    }
+  })
+
+  const mirrorSurcharge = mirrored ? cents(table.mirrorSurcharge ?? 0) : 0
+  const total = cents(lines.reduce((acc, l) => acc + l.total, 0) + mirrorSurcharge)
+
+  return { currency: table.currency, material, lines, mirrorSurcharge, total }
+}
+
+/**
+ * Format an amount in the table's currency, for the UI language.
+ */
+export function formatPrice(amount, currency) {
+  return formatNumber(amount, { style: 'currency', currency })
+}
@@ -0,0 +1,234 @@
+/**
+ * printExport.js
+ *
+ * Print-production export: one high-resolution PNG per plate, bundled as ZIP.
+ *
+ * Geometry:
+ * - Every file is cut from the *same* `computeCover` mapping as the preview,
+ *   so adjacent plates continue seamlessly after printing.
+ * - Bleed extends the image beyond the trim edge on all four sides. Where the
+ *   layout ends (outer plate edges) the motif is mirrored across its own edge
+ *   so the bleed never shows blank paper.
+ * - Optional crop marks sit outside the bleed, in an extra white margin.
+ * - Cutouts (sockets etc.) are left white and outlined with a thin magenta
+ *   cut contour (CUT_CONTOUR_COLOR), the usual convention for plotters.
+ *
+ * Output:
+ * - File names carry plate index and trim size: `platte-01_120x60cm.png`.
+ * - PNGs get a pHYs chunk so layout software picks up the chosen DPI.
+ * - Browsers cap canvas size; if a plate would exceed MAX_CANVAS_EDGE /
+ *   MAX_CANVAS_AREA at the requested DPI, it is rendered at the highest DPI
+ *   that fits and the reduction is reported.
+ */
+
+import JSZip from 'jszip'
+import { canvasToBlob, computeCover, createCanvas } from './imageUtils'
+import { cutoutRect, drawCutouts } from './cutoutUtils'
+import { CM_PER_IN } from './units'
+import { withPngDpi } from './png'
+import { formatNumber, t } from './i18n'
+
+/** Spot colour of cutout contours. */
+const CUT_CONTOUR_COLOR = '#ff00ff'
+
+/** Common print resolutions offered in the UI. */
+export const PRINT_DPI_OPTIONS = [150, 200, 300]
+
+/** Conservative cross-browser canvas limits. */
+export const MAX_CANVAS_EDGE = 16384
+export const MAX_CANVAS_AREA = 268 * 1000 * 1000
+
+/** Crop mark geometry in cm: gap from the bleed edge and line length. */
+const MARK_OFFSET_CM = 0.2
+const MARK_LENGTH_CM = 0.5
+
+/** "120.5" / "60" — trim size without trailing zeros, safe for file names. */
+const fmtCm = (v) => String(Math.round(v * 10) / 10)
+
+/**
+ * File name for a plate: index (1-based, zero-padded) and trim size in cm.
+ *
+ * @param {number} index - 0-based plate index
+ * @param {{ widthCm:number, heightCm:number }} plate
+ */
+export function plateFileName(index, plate) {
+  const n = String(index + 1).padStart(2, '0')
+  return `platte-${n}_${fmtCm(plate.widthCm)}x${fmtCm(plate.heightCm)}cm.png`
+}
+
+/**
+ * Highest DPI <= `dpi` at which a `wCm` × `hCm` area fits the canvas limits.
+ */
+export function fitDpi(dpi, wCm, hCm) {
+  const wIn = wCm / CM_PER_IN
+  const hIn = hCm / CM_PER_IN
+  const byEdge = MAX_CANVAS_EDGE / Math.max(wIn, hIn)
+  const byArea = Math.sqrt(MAX_CANVAS_AREA / (wIn * hIn))
+  return Math.min(dpi, Math.floor(Math.min(byEdge, byArea)))
+}
+
+/**
+ * Draw `img` at (x, y, w, h) plus mirrored copies across each of its edges
+ * (3×3 grid), so areas just outside the image are filled with reflected
+ * content instead of staying empty.
+ */
+function drawWithMirroredSurround(ctx, img, x, y, w, h) {
+  for (let gy = -1; gy <= 1; gy++) {
+    for (let gx = -1; gx <= 1; gx++) {
+      ctx.save()
+      // Neighbour tiles are flipped around the shared edge: with scale(-1)
+      // the tile extends leftwards/upwards from the translated origin.
+      const tx = gx > 0 ? x + 2 * w : x
+      const ty = gy > 0 ? y + 2 * h : y
+      ctx.translate(tx, ty)
+      ctx.scale(gx === 0 ? 1 : -1, gy === 0 ? 1 : -1)
+      ctx.drawImage(img, 0, 0, w, h)
+      ctx.restore()
+    }
+  }
+}
+
+/**
+ * Short crop mark lines at the four trim corners, outside the bleed.
+ */
+function drawCropMarks(ctx, trimX, trimY, trimW, trimH, bleedPx, offPx, lenPx) {
+  const start = bleedPx + offPx
+  ctx.save()
+  ctx.strokeStyle = '#000000'
+  ctx.lineWidth = Math.max(1, Math.round(lenPx / 40))
+  ctx.beginPath()
+  for (const cx of [trimX, trimX + trimW]) {
+    for (const cy of [trimY, trimY + trimH]) {
+      const dx = cx === trimX ? -1 : 1
+      const dy = cy === trimY ? -1 : 1
+      // Horizontal mark, aligned with the trim line y = cy
+      ctx.moveTo(cx + dx * start, cy)
+      ctx.lineTo(cx + dx * (start + lenPx), cy)
+      // Vertical mark, aligned with the trim line x = cx
+      ctx.moveTo(cx, cy + dy * start)
+      ctx.lineTo(cx, cy + dy * (start + lenPx))
+    }
+  }
+  ctx.stroke()
+  ctx.restore()
+}
+
+/**
+ * Render one plate for print.
+ *
+ * @param {ImageBitmap|HTMLImageElement} img - decoded motif (same source as the preview)
+ * @param {Array<{ widthCm:number, heightCm:number }>} plates
+ * @param {object} layout - from layoutUtils.computeLayout
+ * @param {number} index - plate index
+ * @param {{ dpi:number, bleedMm:number, cropMarks:boolean, framing?:object }} opts
+ *   framing: motif zoom/focus, identical to the preview
+ * @returns {{ canvas: HTMLCanvasElement|OffscreenCanvas, dpi: number }} dpi actually used
+ */
+export function renderPlateForPrint(img, plates, layout, index, { dpi, bleedMm, cropMarks, framing }) {
+  const plate = plates[index]
+  const off = layout.offsets[index]
+  const bleed = Math.max(0, bleedMm) / 10
+  const margin = bleed + (cropMarks ? MARK_OFFSET_CM + MARK_LENGTH_CM : 0)
+
+  const outW = plate.widthCm + 2 * margin
+  const outH = plate.heightCm + 2 * margin
+  const usedDpi = fitDpi(dpi, outW, outH)
+  const s = usedDpi / CM_PER_IN // px per cm
+
+  const canvas = createCanvas(Math.max(1, Math.round(outW * s)), Math.max(1, Math.round(outH * s)))
+  const ctx = canvas.getContext('2d')
+  if (!ctx) throw new Error(t('image.errors.canvas'))
+
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+
+  // Canvas origin corresponds to motif-space point (mx0 - margin, my0 - margin)
+  const cover = computeCover(img.width, img.height, layout.motifW, layout.motifH, framing)
+  const imgX = (-cover.offsetX - off.mx0 + margin) * s
+  const imgY = (-cover.offsetY - off.my0 + margin) * s
+
+  const trimX = margin * s
+  const trimY = margin * s
+  const trimW = plate.widthCm * s
+  const trimH = plate.heightCm * s
+  const bleedPx = bleed * s
+
+  ctx.save()
+  ctx.beginPath()
+  ctx.rect(trimX - bleedPx, trimY - bleedPx, trimW + 2 * bleedPx, trimH + 2 * bleedPx)
+  ctx.clip()
+  ctx.imageSmoothingQuality = 'high'
+  drawWithMirroredSurround(ctx, img, imgX, imgY, cover.scaledW * s, cover.scaledH * s)
+  ctx.restore()
+
+  drawCutouts(ctx, plate, trimX, trimY, s, {
+    fill: '#ffffff',
+    stroke: CUT_CONTOUR_COLOR,
+    lineWidth: Math.max(1, 0.02 * s), // 0.2 mm
+  })
+
+  if (cropMarks) {
+    drawCropMarks(ctx, trimX, trimY, trimW, trimH, bleedPx, MARK_OFFSET_CM * s, MARK_LENGTH_CM * s)
+  }
+
+  return { canvas, dpi: usedDpi }
+}
+
+/**
+ * Render every plate and bundle the files into a ZIP.
+ *
+ * Runs inside the render worker (see renderJobs).
+ *
+ * @param {ImageBitmap|HTMLImageElement} img
+ * @param {Array} plates
+ * @param {object} layout - from computeLayout
+ * @param {{ dpi:number, bleedMm:number, cropMarks:boolean, framing?:object,
+ *   catalogMotif?:{ id:string, title:string } }} opts - catalogMotif: library
+ *   motif, named with its article number in info.txt
+ * @param {(done:number, total:number) => void} [onProgress]
+ * @returns {Promise<{ blob: Blob, reduced: Array<{ index:number, dpi:number }> }>}
+ *   `reduced` lists plates rendered below the requested DPI (canvas limits)
+ */
+export async function exportPrintZip(img, plates, layout, opts, onProgress = () => {}) {
+  const zip = new JSZip()
+  const reduced = []
+  const info = [
+    t('printInfo.title', { count: plates.length }),
+    t('printInfo.settings', {
+      dpi: opts.dpi,
+      bleed: opts.bleedMm,
+      marks: t(opts.cropMarks ? 'common.yes' : 'common.no'),
+    }),
+    ...(opts.catalogMotif ? [t('printInfo.catalogMotif', opts.catalogMotif)] : []),
+    '',
+  ]
+
+  for (let i = 0; i < plates.length; i++) {
+    const { canvas, dpi } = renderPlateForPrint(img, plates, layout, i, opts)
+    const blob = await withPngDpi(await canvasToBlob(canvas, 'image/png'), dpi)
+    // Free the large backing store right away
+    canvas.width = canvas.height = 0
+
+    const name = plateFileName(i, plates[i])
+    zip.file(name, blob)
+    info.push(`${name}: ${dpi} DPI`)
+    for (const [n, c] of (plates[i].cutouts ?? []).entries()) {
+      const r = cutoutRect(plates[i], c)
+      info.push(
+        '  ' +
+          t('printInfo.cutout', {
+            n: n + 1,
+            size: c.shape === 'circle' ? `Ø ${formatNumber(c.w)}` : `${formatNumber(c.w)} × ${formatNumber(c.h)}`,
+            left: formatNumber(Math.round(r.x * 10) / 10),
+            top: formatNumber(Math.round(r.y * 10) / 10),
+          })
+      )
+    }
+    if (dpi < opts.dpi) reduced.push({ index: i, dpi })
+    onProgress(i + 1, plates.length)
+  }
+
+  zip.file('info.txt', info.join('\n'))
+  const blob = await zip.generateAsync({ type: 'blob' })
+  return { blob, reduced }
+}
@@ -0,0 +1,87 @@
+/**
+ * printQuality.js
+ *
+ * Effective print resolution of the motif on each plate.
+ *
+ * The motif is mapped onto the layout with computeCover (after optional
+ * mirror extension, see renderUtils.mirrorExtent). Its `scale` is cm per
+ * source pixel, so the effective resolution on the wall is
+ *
+ *   dpi = 2.54 / scale
+ *
+ * Mirror extension changes the cover scale (a wide layout is covered by
+ * height instead of by stretching one tile across the width), but mirrored
+ * or repeated tiles contain no new detail. Each plate therefore also reports
+ * which share of it shows such tiles instead of the original image.
+ */
+
+import { computeCover } from './imageUtils'
+import { mirrorExtent } from './renderUtils'
+import { CM_PER_IN } from './units'
+
+/**
+ * Default thresholds (DPI on the wall). Large wall panels are viewed from a
+ * distance, so ~100 DPI already looks sharp.
+ */
+export const DEFAULT_QUALITY_THRESHOLDS = { goodDpi: 100, minDpi: 60 }
+
+/** Upper bound for the configurable thresholds. */
+export const MAX_DPI = 1200
+
+/**
+ * Classify a resolution.
+ *
+ * @param {number} dpi
+ * @param {{ goodDpi:number, minDpi:number }} [thresholds]
+ * @returns {'good'|'acceptable'|'low'}
+ */
+export function rateDpi(dpi, thresholds = DEFAULT_QUALITY_THRESHOLDS) {
+  if (dpi >= thresholds.goodDpi) return 'good'
+  if (dpi >= thresholds.minDpi) return 'acceptable'
+  return 'low'
+}
+
+/**
+ * Assess the print quality of every plate.
+ *
+ * @param {number} imgW - intrinsic width of the original motif in px
+ * @param {number} imgH - intrinsic height of the original motif in px
+ * @param {Array<{ widthCm:number, heightCm:number }>} plates
+ * @param {object} layout - from layoutUtils.computeLayout
+ * @param {{ framing?:object, mirror?:object, thresholds?:object }} [opts]
+ * @returns {{
+ *   dpi:number, level:string,
+ *   plates:Array<{ dpi:number, level:string, mirroredShare:number }>
+ * }} one motif covers the whole layout, so every plate gets the same DPI;
+ *   they differ in how much of them shows mirrored/repeated tiles
+ */
+export function assessPrintQuality(
+  imgW,
+  imgH,
+  plates,
+  layout,
+  { framing, mirror, thresholds = DEFAULT_QUALITY_THRESHOLDS } = {}
+) {
+  const ext = mirrorExtent(imgW, imgH, layout, mirror)
+  const cover = computeCover(ext.w, ext.h, layout.motifW, layout.motifH, framing)
+  const dpi = CM_PER_IN / cover.scale
+  const level = rateDpi(dpi, thresholds)
+
+  // Extent of the original (first) tile on the wall, in cm
+  const vertical = ext.plan?.axis === 'y'
+  const tileCm = (vertical ? imgH : imgW) * cover.scale
+
+  const perPlate = plates.map((p, i) => {
+    const off = layout.offsets[i]
+    let mirroredShare = 0
+    if (ext.plan) {
+      const size = vertical ? p.heightCm : p.widthCm
+      const start = vertical ? cover.offsetY + off.my0 : cover.offsetX + off.mx0
+      const end = start + size
+      mirroredShare = Math.max(0, end - Math.max(start, tileCm)) / Math.max(1e-6, size)
+    }
+    return { dpi, level, mirroredShare: Math.min(1, mirroredShare) }
+  })
+
+  return { dpi, level, plates: perPlate }
+}
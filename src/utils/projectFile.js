@@ -0,0 +1,345 @@
+/**
+ * projectFile.js
+ *
+ * Export a layout as a self-contained JSON project file and import it again,
+ * e.g. to move a configuration to another machine.
+ *
+ * Format:
+ * {
+ *   "format": "plate-generator-project",
+ *   "version": 3,                        // layout schema (store/migrations)
+ *   "exportedAt": "2024-05-01T12:00:00.000Z",
+ *   "name": "Projekt 1",
+ *   "layout": {
+ *     "plates": [{ "widthCm": 120, "heightCm": 60, "gapAfterCm"?, "offsetYCm"?, "cutouts"? }],
+ *     "motifUrl": "https://…",           // omitted when the motif is embedded
+ *     "motifCatalogId": "KR-000018" | null, // article number of a library motif
+ *     "framing": { "zoom", "focusX", "focusY" },
+ *     "adjustments": { "brightness", "contrast", "saturation", "hue", "tone",
+ *                      "flipX", "flipY", "rotation" },
+ *     "unit": "cm" | "mm" | "in",
+ *     "mirror": { "mode", "thresholdCm", "tiling" },
+ *     "materialId": "glass",
+ *     "arrangement": { "gapCm", "gapMode", "align" }
+ *   },
+ *   "motif": { "name", "type", "data" }  // uploaded motif as a data URL (optional)
+ * }
+ *
+ * Notes:
+ * - Uploaded motifs (`idb:<id>`) only exist in this browser, so their image
+ *   is embedded; remote motifs stay a plain URL. Library motifs are loaded
+ *   from this app's catalog by their article number.
+ * - Older files are migrated with the same steps as the persisted state.
+ * - Validation is strict: the first problem is thrown as an Error with a
+ *   user-facing message in the UI language; nothing is clamped silently.
+ */
+
+import { SCHEMA_VERSION, migrateLayout } from '../store/migrations'
+import { MAX_ZOOM, blobToDataUrl } from './imageUtils'
+import { MIRROR_MODES, MIRROR_THRESHOLD_LIMITS } from './renderUtils'
+import { ADJUSTMENT_LIMITS, ROTATIONS, TONES } from './adjustments'
+import { ALIGN_MODES, MAX_GAP_CM, MAX_OFFSET_Y_CM } from './layoutUtils'
+import { CUTOUT_ANCHORS, CUTOUT_SHAPES } from './cutoutUtils'
+import { UNITS } from './units'
+import { MATERIAL_PROFILES, getProfile, profileLimits } from './materialProfiles'
+import { catalogMotifUrl, getCatalogMotif } from './motifCatalog'
+import { t } from './i18n'
+import {
+  ACCEPTED_MOTIF_TYPES,
+  MAX_MOTIF_BYTES,
+  getLocalMotif,
+  importMotifFile,
+  isLocalMotif,
+} from './motifStorage'
+
+/** Value of the `format` field; identifies our files. */
+export const PROJECT_FILE_FORMAT = 'plate-generator-project'
+
+/** Largest file accepted for import (embedded motif as base64 + layout). */
+const MAX_FILE_BYTES = Math.ceil(MAX_MOTIF_BYTES * 1.4)
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v)
+const inRange = (v, min, max) => isNum(v) && v >= min && v <= max
+const isObj = (v) => !!v && typeof v === 'object' && !Array.isArray(v)
+
+/**
+ * Build the project file for a layout (embedding an uploaded motif).
+ *
+ * @param {object} layout - the layout keys of the plates store
+ * @param {{ name?:string }} [opts]
+ * @returns {Promise<object>} JSON-serializable project file
+ */
+export async function buildProjectFile(layout, { name = 'Projekt' } = {}) {
+  const { motifUrl, ...rest } = layout
+  const file = {
+    format: PROJECT_FILE_FORMAT,
+    version: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    name,
+    layout: {
+      ...rest,
+      // Store-internal ids are not part of the file
+      plates: layout.plates.map((p) => {
+        const plate = { widthCm: p.widthCm, heightCm: p.heightCm }
+        if (p.gapAfterCm !== undefined) plate.gapAfterCm = p.gapAfterCm
+        if (p.offsetYCm) plate.offsetYCm = p.offsetYCm
+        if (p.cutouts?.length) {
+          plate.cutouts = p.cutouts.map((c) => ({
+            shape: c.shape,
+            anchor: c.anchor,
+            x: c.x,
+            y: c.y,
+            w: c.w,
+            h: c.h,
+            r: c.r ?? 0,
+          }))
+        }
+        return plate
+      }),
+    },
+  }
+
+  if (isLocalMotif(motifUrl)) {
+    const rec = await getLocalMotif(motifUrl)
+    if (!rec) fail('motifMissing')
+    file.motif = { name: rec.name, type: rec.type, data: await blobToDataUrl(rec.blob) }
+  } else if (motifUrl) {
+    file.layout.motifUrl = motifUrl
+  }
+  return file
+}
+
+/**
+ * Download a project file as `<name>.json`.
+ *
+ * @param {object} file - from buildProjectFile
+ */
+export function downloadProjectFile(file) {
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `${file.name.replace(/[^\w\-äöüÄÖÜß ]+/g, '_').trim() || t('projectFile.fallbackName')}.json`
+  a.click()
+  setTimeout(() => URL.revokeObjectURL(url), 10000)
+}
+
+/**
+ * Throw a validation error. `field` is a JSON key, optionally prefixed with
+ * its location (`where`, e.g. "Platte 2").
+ */
+function fail(key, { field, where, ...params } = {}) {
+  if (field !== undefined) {
+    const quoted = t('projectFile.field', { name: field })
+    params.field = where ? `${where}: ${quoted}` : quoted
+  }
+  throw new Error(t(`projectFile.errors.${key}`, params))
+}
+
+function validateCutout(c, where) {
+  if (!isObj(c)) fail('notObject', { where })
+  if (!CUTOUT_SHAPES.includes(c.shape)) {
+    fail('oneOf', { where, field: 'shape', values: CUTOUT_SHAPES.join(', ') })
+  }
+  if (!CUTOUT_ANCHORS.includes(c.anchor)) {
+    fail('oneOf', { where, field: 'anchor', values: CUTOUT_ANCHORS.join(', ') })
+  }
+  for (const k of ['x', 'y', 'w', 'h']) {
+    if (!inRange(c[k], 0, Infinity)) fail('notNumber', { where, field: k })
+  }
+  if (c.r !== undefined && !inRange(c.r, 0, Infinity)) {
+    fail('notNumber', { where, field: 'r' })
+  }
+  return { shape: c.shape, anchor: c.anchor, x: c.x, y: c.y, w: c.w, h: c.h, r: c.r ?? 0 }
+}
+
+function validatePlate(p, i, limits) {
+  const where = t('projectFile.plate', { n: i + 1 })
+  if (!isObj(p)) fail('notObject', { where })
+  if (!inRange(p.widthCm, limits.minW, limits.maxW)) {
+    fail('between', { where, field: 'widthCm', min: limits.minW, max: limits.maxW })
+  }
+  if (!inRange(p.heightCm, limits.minH, limits.maxH)) {
+    fail('between', { where, field: 'heightCm', min: limits.minH, max: limits.maxH })
+  }
+  const plate = { widthCm: p.widthCm, heightCm: p.heightCm }
+  if (p.gapAfterCm !== undefined) {
+    if (!inRange(p.gapAfterCm, 0, MAX_GAP_CM)) {
+      fail('between', { where, field: 'gapAfterCm', min: 0, max: MAX_GAP_CM })
+    }
+    plate.gapAfterCm = p.gapAfterCm
+  }
+  if (p.offsetYCm !== undefined) {
+    if (!inRange(p.offsetYCm, -MAX_OFFSET_Y_CM, MAX_OFFSET_Y_CM)) {
+      fail('between', { where, field: 'offsetYCm', min: -MAX_OFFSET_Y_CM, max: MAX_OFFSET_Y_CM })
+    }
+    plate.offsetYCm = p.offsetYCm
+  }
+  if (p.cutouts !== undefined) {
+    if (!Array.isArray(p.cutouts)) fail('notList', { where, field: 'cutouts' })
+    plate.cutouts = p.cutouts.map((c, k) =>
+      validateCutout(c, t('projectFile.cutout', { plate: where, n: k + 1 }))
+    )
+  }
+  return plate
+}
+
+function validateAdjustments(a) {
+  if (!isObj(a)) fail('notObject', { where: t('projectFile.field', { name: 'adjustments' }) })
+  const adjustments = {}
+  for (const [k, { min, max }] of Object.entries(ADJUSTMENT_LIMITS)) {
+    if (!inRange(a[k], min, max)) fail('between', { field: `adjustments.${k}`, min, max })
+    adjustments[k] = a[k]
+  }
+  if (!TONES.includes(a.tone)) {
+    fail('oneOf', { field: 'adjustments.tone', values: TONES.join(', ') })
+  }
+  for (const k of ['flipX', 'flipY']) {
+    if (typeof a[k] !== 'boolean') fail('oneOf', { field: `adjustments.${k}`, values: 'true, false' })
+  }
+  if (!ROTATIONS.includes(a.rotation)) {
+    fail('oneOf', { field: 'adjustments.rotation', values: ROTATIONS.join(', ') })
+  }
+  return { ...adjustments, tone: a.tone, flipX: a.flipX, flipY: a.flipY, rotation: a.rotation }
+}
+
+/**
+ * Validate a parsed (and migrated) project file. Throws an Error with a
+ * user-facing message (in the UI language) describing the first problem found.
+ *
+ * @param {any} file
+ * @returns {{ name:string, layout:object, motif:null|{ name:string, type:string, data:string } }}
+ *   layout only contains the keys present in the file
+ */
+export function validateProjectFile(file) {
+  const l = file.layout
+  if (!isObj(l)) fail('layoutMissing', { field: 'layout' })
+
+  const layout = {}
+  if (l.materialId !== undefined) {
+    if (!MATERIAL_PROFILES.some((m) => m.id === l.materialId)) {
+      fail('unknownMaterial', { field: 'materialId', id: l.materialId })
+    }
+    layout.materialId = l.materialId
+  }
+  const limits = profileLimits(getProfile(layout.materialId))
+
+  if (!Array.isArray(l.plates) || l.plates.length === 0) {
+    fail('noPlates', { field: 'plates' })
+  }
+  if (l.plates.length > limits.maxPlates) {
+    fail('tooManyPlates', { field: 'plates', count: l.plates.length, max: limits.maxPlates })
+  }
+  layout.plates = l.plates.map((p, i) => validatePlate(p, i, limits))
+
+  if (l.unit !== undefined) {
+    if (!UNITS.includes(l.unit)) fail('oneOf', { field: 'unit', values: UNITS.join(', ') })
+    layout.unit = l.unit
+  }
+  if (l.motifUrl !== undefined) {
+    if (typeof l.motifUrl !== 'string' || !/^https?:\/\//i.test(l.motifUrl)) {
+      fail('motifUrl', { field: 'motifUrl' })
+    }
+    layout.motifUrl = l.motifUrl
+  }
+  if (l.motifCatalogId !== undefined) {
+    layout.motifCatalogId = null
+    if (l.motifCatalogId !== null) {
+      // The catalog's own address: the file may come from another installation
+      const entry = getCatalogMotif(l.motifCatalogId)
+      if (!entry) fail('unknownCatalogMotif', { field: 'motifCatalogId', id: String(l.motifCatalogId) })
+      layout.motifUrl = catalogMotifUrl(entry)
+      layout.motifCatalogId = entry.id
+    }
+  }
+  if (l.framing !== undefined) {
+    const f = l.framing
+    if (!isObj(f) || !inRange(f.zoom, 1, MAX_ZOOM) || !inRange(f.focusX, 0, 1) || !inRange(f.focusY, 0, 1)) {
+      fail('framing', { field: 'framing', maxZoom: MAX_ZOOM })
+    }
+    layout.framing = { zoom: f.zoom, focusX: f.focusX, focusY: f.focusY }
+  }
+  if (l.adjustments !== undefined) {
+    layout.adjustments = validateAdjustments(l.adjustments)
+  }
+  if (l.mirror !== undefined) {
+    const m = l.mirror
+    if (!isObj(m) || !MIRROR_MODES.includes(m.mode)) {
+      fail('oneOf', { field: 'mirror.mode', values: MIRROR_MODES.join(', ') })
+    }
+    const { min, max } = MIRROR_THRESHOLD_LIMITS
+    if (!inRange(m.thresholdCm, min, max)) {
+      fail('between', { field: 'mirror.thresholdCm', min, max })
+    }
+    if (m.tiling !== 'mirror' && m.tiling !== 'repeat') {
+      fail('oneOf', { field: 'mirror.tiling', values: 'mirror, repeat' })
+    }
+    layout.mirror = { mode: m.mode, thresholdCm: m.thresholdCm, tiling: m.tiling }
+  }
+  if (l.arrangement !== undefined) {
+    const a = l.arrangement
+    if (!isObj(a) || !inRange(a.gapCm, 0, MAX_GAP_CM)) {
+      fail('between', { field: 'arrangement.gapCm', min: 0, max: MAX_GAP_CM })
+    }
+    if (a.gapMode !== 'through' && a.gapMode !== 'compress') {
+      fail('oneOf', { field: 'arrangement.gapMode', values: 'through, compress' })
+    }
+    if (!ALIGN_MODES.includes(a.align)) {
+      fail('oneOf', { field: 'arrangement.align', values: ALIGN_MODES.join(', ') })
+    }
+    layout.arrangement = { gapCm: a.gapCm, gapMode: a.gapMode, align: a.align }
+  }
+
+  let motif = null
+  if (file.motif !== undefined) {
+    const m = file.motif
+    if (!isObj(m) || !ACCEPTED_MOTIF_TYPES.includes(m.type)) {
+      fail('motifType', { field: 'motif.type' })
+    }
+    if (typeof m.data !== 'string' || !m.data.startsWith(`data:${m.type};base64,`)) {
+      fail('motifData', { field: 'motif.data' })
+    }
+    motif = { name: typeof m.name === 'string' ? m.name : 'motif', type: m.type, data: m.data }
+  }
+
+  const name = typeof file.name === 'string' && file.name.trim() ? file.name.trim() : 'Import'
+  return { name, layout, motif }
+}
+
+/**
+ * Read, migrate and validate a project file; an embedded motif is stored in
+ * IndexedDB and referenced from the returned layout.
+ *
+ * @param {File} file
+ * @returns {Promise<{ name:string, layout:object }>}
+ */
+export async function readProjectFile(file) {
+  if (file.size > MAX_FILE_BYTES) {
+    fail('tooLarge', { mb: Math.round(MAX_FILE_BYTES / (1024 * 1024)) })
+  }
+  let json
+  try {
+    json = JSON.parse(await file.text())
+  } catch {
+    throw new Error(t('common.invalidJson'))
+  }
+  if (!isObj(json) || json.format !== PROJECT_FILE_FORMAT) {
+    fail('notProjectFile')
+  }
+  if (!Number.isInteger(json.version) || json.version < 1) {
+    fail('version', { field: 'version' })
+  }
+  if (json.version > SCHEMA_VERSION) {
+    fail('newer')
+  }
+
+  if (isObj(json.layout)) json.layout = migrateLayout(json.layout, json.version)
+  const { name, layout, motif } = validateProjectFile(json)
+
+  if (motif) {
+    const blob = await (await fetch(motif.data)).blob()
+    layout.motifUrl = await importMotifFile(new File([blob], motif.name, { type: motif.type }))
+    layout.motifCatalogId = null
+  }
+  return { name, layout }
+}
@@ -0,0 +1,247 @@
+/**
+ * renderClient.js
+ *
+ * Main-thread side of the render pipeline. Everything heavy — decoding,
+ * mirror extension, export rendering and encoding — runs as a job in the
+ * render worker (renderWorker.js → renderJobs.js), so typing in an input
+ * never waits for a multi-megapixel canvas.
+ *
+ * - One shared worker, created on first use. Browsers that can't draw in a
+ *   worker (no OffscreenCanvas 2D), or a worker that fails to start, run the
+ *   same jobs on the main thread instead — same code, same pixels.
+ * - Every call accepts an AbortSignal; aborting rejects with an AbortError
+ *   right away and tells the worker to drop the job at its next step.
+ * - Motifs are passed as descriptions (see describeMotif), so the worker's
+ *   bitmap cache serves the preview and every export from one decode.
+ */
+
+import { runJob } from './renderJobs'
+import { getActiveLocale } from './i18n'
+
+// Worker instance; null = not created yet, false = run on the main thread
+let worker = null
+let nextId = 1
+// id -> { type, payload, resolve, reject, onProgress, signal }
+const pending = new Map()
+
+const abortError = () => new DOMException('Render job cancelled', 'AbortError')
+
+/** Can a worker draw here (OffscreenCanvas with a 2D context)? */
+function workerCanDraw() {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return false
+  try {
+    return !!new OffscreenCanvas(1, 1).getContext('2d')
+  } catch {
+    return false
+  }
+}
+
+function runLocal(type, payload, { signal, onProgress }) {
+  return runJob(type, payload, { isCancelled: () => !!signal?.aborted, onProgress })
+}
+
+function getWorker() {
+  if (worker !== null) return worker
+  if (!workerCanDraw()) return (worker = false)
+
+  worker = new Worker(new URL('./renderWorker.js', import.meta.url), { type: 'module' })
+  worker.onmessage = ({ data }) => {
+    const job = pending.get(data.id)
+    if (!job) return
+    if (data.progress) {
+      job.onProgress?.(...data.progress)
+      return
+    }
+    pending.delete(data.id)
+    if (data.error) job.reject(Object.assign(new Error(data.error.message), { name: data.error.name }))
+    else job.resolve(data.result)
+  }
+  // The worker couldn't start: finish its jobs (and all later ones) here
+  worker.onerror = (e) => {
+    console.error('Render worker failed, rendering on the main thread', e)
+    worker.terminate()
+    worker = false
+    const jobs = [...pending.values()]
+    pending.clear()
+    for (const job of jobs) runLocal(job.type, job.payload, job).then(job.resolve, job.reject)
+  }
+  return worker
+}
+
+/**
+ * Run a render job (see renderJobs).
+ *
+ * @param {string} type
+ * @param {object} payload
+ * @param {{ signal?: AbortSignal, onProgress?: (done:number, total:number) => void }} [opts]
+ * @returns {Promise<any>}
+ */
+function run(type, payload, { signal, onProgress } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError())
+  // Generated texts (info.txt) follow the UI language
+  const body = { ...payload, locale: getActiveLocale() }
+  const w = getWorker()
+  if (!w) return runLocal(type, body, { signal, onProgress })
+
+  return new Promise((resolve, reject) => {
+    const id = nextId++
+    pending.set(id, { type, payload: body, resolve, reject, onProgress, signal })
+    signal?.addEventListener(
+      'abort',
+      () => {
+        if (!pending.delete(id)) return
+        w.postMessage({ cancel: id })
+        reject(abortError())
+      },
+      { once: true }
+    )
+    w.postMessage({ id, type, payload: body })
+  })
+}
+
+/**
+ * Describe a motif for render jobs: the loadable source plus what decides
+ * its mirror extension and adjustments.
+ *
+ * @param {string} src - loadable image URL (see motifStorage.resolveMotifUrl)
+ * @param {{ totalW:number, motifW:number, motifH:number }} layout - from computeLayout
+ * @param {object} [mirror] - mirror settings from the store
+ * @param {object} [adjustments] - image adjustments from the store (see utils/adjustments)
+ */
+export function describeMotif(src, layout, mirror, adjustments) {
+  return {
+    src,
+    layout: { totalW: layout.totalW, motifW: layout.motifW, motifH: layout.motifH },
+    mirror,
+    adjustments,
+  }
+}
+
+/**
+ * Load the motif, orient it and mirror-extend it according to the mirror
+ * settings (see renderUtils.resolveMirror), for painting in the preview.
+ * Colour adjustments are not applied: the preview shows them as a CSS filter.
+ *
+ * @param {string} src - loadable image URL
+ * @param {{ totalW:number, motifW:number, motifH:number }} layout - virtual canvas in cm
+ * @param {{ mirror?: object, adjustments?: object, signal?: AbortSignal }} [opts]
+ * @returns {Promise<{ url:string, w:number, h:number, motif:object, revoke:() => void }>}
+ *   url: the source, or an object URL of the oriented / extended strip (free
+ *   it with revoke once unused); motif: description to pass to the exports
+ */
+export async function prepareMotif(src, layout, { mirror, adjustments, signal } = {}) {
+  const motif = describeMotif(src, layout, mirror, adjustments)
+  const { w, h, blob } = await run('motif', { motif }, { signal })
+  if (!blob) return { url: src, w, h, motif, revoke: () => {} }
+  const url = URL.createObjectURL(blob)
+  return { url, w, h, motif, revoke: () => URL.revokeObjectURL(url) }
+}
+
+/**
+ * Intrinsic pixel size of an image (decoded once, then cached).
+ *
+ * @param {string} src
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<{ w:number, h:number }>}
+ */
+export function motifSize(src, { signal } = {}) {
+  return run('size', { src }, { signal })
+}
+
+/**
+ * Render the whole layout (renderUtils.renderLayout) and encode it.
+ *
+ * @param {object} motif - see describeMotif
+ * @param {Array} plates
+ * @param {object} layout - from computeLayout
+ * @param {{ pxPerCm?:number, maxSize?:number, framing?:object }} opts
+ * @param {{ type?:string, quality?:number, signal?:AbortSignal }} [enc]
+ * @returns {Promise<{ blob:Blob, width:number, height:number }>}
+ */
+export function renderLayoutImage(motif, plates, layout, opts, { type = 'image/png', quality, signal } = {}) {
+  return run('layout', { motif, plates, layout, opts, type, quality }, { signal })
+}
+
+/**
+ * Render the image export (layoutExport.renderLayoutExport): chosen density,
+ * format and look, tiled beyond the canvas limits.
+ *
+ * @param {object} motif - see describeMotif
+ * @param {Array} plates
+ * @param {object} layout - from computeLayout
+ * @param {object} opts - see layoutExport.DEFAULT_EXPORT_OPTIONS, plus `framing`
+ * @param {(done:number, total:number) => void} [onProgress] - rows done (tiled PNG)
+ * @param {{ signal?: AbortSignal }} [ctl]
+ * @returns {Promise<{ blob:Blob, width:number, height:number, pxPerCm:number, tiled:boolean, reduced:boolean }>}
+ */
+export function exportLayout(motif, plates, layout, opts, onProgress, { signal } = {}) {
+  return run('exportLayout', { motif, plates, layout, opts }, { signal, onProgress })
+}
+
+/**
+ * Pixel size, strategy and estimated file size of an image export
+ * (layoutExport.estimateLayoutExport).
+ *
+ * @param {object} motif - see describeMotif
+ * @param {Array} plates
+ * @param {object} layout - from computeLayout
+ * @param {object} opts - as for exportLayout
+ * @param {{ signal?: AbortSignal }} [ctl]
+ * @returns {Promise<{ pxPerCm:number, width:number, height:number, tiled:boolean,
+ *   reduced:boolean, tooLarge:boolean, bytes:number }>}
+ */
+export function estimateExport(motif, plates, layout, opts, { signal } = {}) {
+  return run('estimateExport', { motif, plates, layout, opts }, { signal })
+}
+
+/**
+ * Render one plate for print (printExport.renderPlateForPrint) and encode it.
+ *
+ * @param {object} motif - see describeMotif
+ * @param {Array} plates
+ * @param {object} layout - from computeLayout
+ * @param {number} index - plate index
+ * @param {{ dpi:number, bleedMm:number, cropMarks:boolean, framing?:object }} opts
+ * @param {{ type?:string, quality?:number, signal?:AbortSignal }} [enc]
+ * @returns {Promise<{ blob:Blob, width:number, height:number, dpi:number }>}
+ */
+export function renderPlateImage(motif, plates, layout, index, opts, { type = 'image/png', quality, signal } = {}) {
+  return run('plate', { motif, plates, layout, index, opts, type, quality }, { signal })
+}
+
+/**
+ * Render a small JPEG thumbnail of a layout (for the project list).
+ *
+ * @param {string} src - loadable motif URL
+ * @param {Array<{ widthCm:number, heightCm:number }>} plates
+ * @param {object} layout - from computeLayout
+ * @param {{ width?:number, height?:number, framing?:object, mirror?:object,
+ *   adjustments?:object, signal?:AbortSignal }} [opts]
+ *   width/height: max thumbnail size in px; framing / mirror / adjustments: store settings
+ * @returns {Promise<string>} JPEG data URL
+ */
+export function renderThumbnail(
+  src,
+  plates,
+  layout,
+  { width = 160, height = 90, framing, mirror, adjustments, signal } = {}
+) {
+  const motif = describeMotif(src, layout, mirror, adjustments)
+  return run('thumbnail', { motif, plates, layout, width, height, framing }, { signal })
+}
+
+/**
+ * Render every plate for print and bundle the files into a ZIP
+ * (printExport.exportPrintZip).
+ *
+ * @param {object} motif - see describeMotif
+ * @param {Array} plates
+ * @param {object} layout - from computeLayout
+ * @param {{ dpi:number, bleedMm:number, cropMarks:boolean, framing?:object }} opts
+ * @param {(done:number, total:number) => void} [onProgress]
+ * @param {{ signal?: AbortSignal }} [ctl]
+ * @returns {Promise<{ blob: Blob, reduced: Array<{ index:number, dpi:number }> }>}
+ */
+export function exportPrintZip(motif, plates, layout, opts, onProgress, { signal } = {}) {
+  return run('printZip', { motif, plates, layout, opts }, { signal, onProgress })
+}
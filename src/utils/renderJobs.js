@@ -0,0 +1,236 @@
+/**
+ * renderJobs.js
+ *
+ * The heavy half of the render pipeline: decoding, mirror extension and
+ * export rendering. Runs inside the render worker (renderWorker.js), or on
+ * the main thread where workers can't draw (no OffscreenCanvas 2D) — the
+ * main thread only ever talks to it through renderClient.
+ *
+ * Motifs are described, not passed as pixels: `{ src, layout, mirror,
+ * adjustments }` (layout: totalW / motifW / motifH in cm). Every job resolves
+ * the description through one keyed bitmap cache, so the preview and all
+ * exports draw exactly the same strip — mirror-extended strips JPEG-encoded,
+ * merely oriented ones losslessly (PNG, alpha kept) — and a repeated
+ * request — another export, the thumbnail, a width typed back — costs
+ * nothing.
+ *
+ * Adjustments (see utils/adjustments): the orientation is applied to the
+ * source before the mirror extension; the colour adjustments are left to the
+ * preview's CSS filter and baked into the strip only for the exports.
+ *
+ * Jobs (see JOBS): each takes a payload and `{ isCancelled, onProgress }`
+ * and resolves with structured-cloneable data (Blobs, numbers, plain
+ * objects). A cancelled job rejects with an AbortError; cached work started
+ * for it still completes for later requests.
+ */
+
+import { blobToDataUrl, canvasToBlob, loadBitmap } from './imageUtils'
+import { extendMotif, mirrorExtent, renderLayout } from './renderUtils'
+import { exportPrintZip, renderPlateForPrint } from './printExport'
+import { estimateLayoutExport, renderLayoutExport } from './layoutExport'
+import { setActiveLocale } from './i18n'
+import {
+  adjustmentFilter,
+  applyColourAdjustments,
+  hasColourAdjustments,
+  orientMotif,
+  orientationKey,
+} from './adjustments'
+
+/** Decoded bitmaps kept (sources, oriented, extended and adjusted strips together). */
+const CACHE_SIZE = 8
+
+/** JPEG quality of the extended strip (what the preview shows). */
+const EXTENDED_QUALITY = 0.92
+
+// key -> Promise<{ bitmap: ImageBitmap, blob: Blob|null, key: string }>, oldest first
+const cache = new Map()
+
+/**
+ * Cached async value. Failed entries are dropped so a retry starts fresh.
+ * Evicted bitmaps aren't closed: a running job may still draw them; the
+ * garbage collector frees them once unused.
+ */
+function cached(key, make) {
+  let entry = cache.get(key)
+  if (entry) {
+    // Most recently used goes to the end
+    cache.delete(key)
+  } else {
+    entry = make()
+    entry.catch(() => cache.get(key) === entry && cache.delete(key))
+  }
+  cache.set(key, entry)
+  while (cache.size > CACHE_SIZE) cache.delete(cache.keys().next().value)
+  return entry
+}
+
+const abortError = () => new DOMException('Render job cancelled', 'AbortError')
+
+/** Decoded source image. */
+const loadSource = (src) => {
+  const key = `src:${src}`
+  return cached(key, async () => ({ bitmap: await loadBitmap(src), blob: null, key }))
+}
+
+/**
+ * Decoded motif for a description: oriented and mirror-extended per its
+ * settings, without colour adjustments (what the preview paints).
+ *
+ * @param {{ src:string, layout:object, mirror?:object, adjustments?:object }} motif
+ * @param {() => boolean} isCancelled
+ * @returns {Promise<{ bitmap: ImageBitmap, blob: Blob|null, key: string }>}
+ *   blob: the encoded strip (null when unchanged, the source is used as is)
+ */
+async function resolveMotif({ src, layout, mirror, adjustments }, isCancelled) {
+  const source = await loadSource(src)
+  if (isCancelled()) throw abortError()
+
+  // Oriented source, kept unencoded: it's only a step towards the strip
+  const orientation = orientationKey(adjustments)
+  const base = orientation
+    ? await cached(`orient:${orientation}:${src}`, async () => {
+        const canvas = orientMotif(source.bitmap, adjustments)
+        const bitmap = await createImageBitmap(canvas)
+        canvas.width = canvas.height = 0
+        return { bitmap, blob: null, key: `orient:${orientation}:${src}` }
+      })
+    : source
+  if (isCancelled()) throw abortError()
+
+  // The extension only depends on the plan and its length: cache by those
+  const { plan, needed } = mirrorExtent(base.bitmap.width, base.bitmap.height, layout, mirror)
+  if (!plan && !orientation) return source
+
+  // Only oriented: draw the oriented bitmap itself; the preview gets a
+  // lossless copy, so both keep the source's pixels and alpha
+  if (!plan) {
+    const key = `strip:${orientation}:${src}`
+    const entry = await cached(key, async () => {
+      const canvas = orientMotif(source.bitmap, adjustments)
+      const blob = await canvasToBlob(canvas, 'image/png')
+      canvas.width = canvas.height = 0
+      return { bitmap: base.bitmap, blob, key }
+    })
+    if (isCancelled()) throw abortError()
+    return entry
+  }
+
+  const key = `ext:${plan.axis}:${plan.tiling}:${needed}:${orientation}:${src}`
+  const entry = await cached(key, async () => {
+    const canvas = extendMotif(base.bitmap, layout, mirror)
+    // Encode like the preview shows it, and draw that decoded JPEG everywhere
+    const blob = await canvasToBlob(canvas, 'image/jpeg', EXTENDED_QUALITY)
+    canvas.width = canvas.height = 0
+    return { bitmap: await createImageBitmap(blob), blob, key }
+  })
+  if (isCancelled()) throw abortError()
+  return entry
+}
+
+/**
+ * The motif as the exports draw it: resolveMotif plus the colour
+ * adjustments, through the same filter as the preview's CSS.
+ *
+ * @returns {Promise<{ bitmap: ImageBitmap }>}
+ */
+async function resolveExportMotif(motif, isCancelled) {
+  const strip = await resolveMotif(motif, isCancelled)
+  if (!hasColourAdjustments(motif.adjustments)) return strip
+
+  const filter = adjustmentFilter(motif.adjustments)
+  const key = `adj:${filter}:${strip.key}`
+  const entry = await cached(key, async () => {
+    const canvas = applyColourAdjustments(strip.bitmap, motif.adjustments)
+    const bitmap = await createImageBitmap(canvas)
+    canvas.width = canvas.height = 0
+    return { bitmap, blob: null, key }
+  })
+  if (isCancelled()) throw abortError()
+  return entry
+}
+
+/** Encode a rendered canvas and free its backing store. */
+async function encode(canvas, type, quality) {
+  const blob = await canvasToBlob(canvas, type, quality)
+  const { width, height } = canvas
+  canvas.width = canvas.height = 0
+  return { blob, width, height }
+}
+
+/** Job handlers by type. */
+const JOBS = {
+  /** Intrinsic size of an image: { w, h }. */
+  async size({ src }, { isCancelled }) {
+    const { bitmap } = await loadSource(src)
+    if (isCancelled()) throw abortError()
+    return { w: bitmap.width, h: bitmap.height }
+  },
+
+  /** The motif as the preview paints it: { w, h, blob } (blob null = use src). */
+  async motif({ motif }, { isCancelled }) {
+    const { bitmap, blob } = await resolveMotif(motif, isCancelled)
+    return { w: bitmap.width, h: bitmap.height, blob }
+  },
+
+  /** Whole layout (renderUtils.renderLayout), encoded: { blob, width, height }. */
+  async layout({ motif, plates, layout, opts, type, quality }, { isCancelled }) {
+    const { bitmap } = await resolveExportMotif(motif, isCancelled)
+    return encode(renderLayout(bitmap, plates, layout, opts), type, quality)
+  },
+
+  /** Image export (layoutExport.renderLayoutExport): { blob, width, height, pxPerCm, tiled, reduced }. */
+  async exportLayout({ motif, plates, layout, opts }, { isCancelled, onProgress }) {
+    const { bitmap } = await resolveExportMotif(motif, isCancelled)
+    return renderLayoutExport(bitmap, plates, layout, opts, (done, total) => {
+      if (isCancelled()) throw abortError()
+      onProgress(done, total)
+    })
+  },
+
+  /** Plan and estimated file size of an image export (layoutExport.estimateLayoutExport). */
+  async estimateExport({ motif, plates, layout, opts }, { isCancelled }) {
+    const { bitmap } = await resolveExportMotif(motif, isCancelled)
+    return estimateLayoutExport(bitmap, plates, layout, opts)
+  },
+
+  /** Layout thumbnail as a data URL (stored with the project). */
+  async thumbnail({ motif, plates, layout, width, height, framing }, { isCancelled }) {
+    const { bitmap } = await resolveExportMotif(motif, isCancelled)
+    const pxPerCm = Math.min(width / Math.max(1, layout.totalW), height / Math.max(1, layout.maxH))
+    const { blob } = await encode(renderLayout(bitmap, plates, layout, { pxPerCm, framing }), 'image/jpeg', 0.7)
+    return blobToDataUrl(blob)
+  },
+
+  /** One plate (printExport.renderPlateForPrint): { blob, width, height, dpi }. */
+  async plate({ motif, plates, layout, index, opts, type, quality }, { isCancelled }) {
+    const { bitmap } = await resolveExportMotif(motif, isCancelled)
+    const { canvas, dpi } = renderPlateForPrint(bitmap, plates, layout, index, opts)
+    return { ...(await encode(canvas, type, quality)), dpi }
+  },
+
+  /** Print ZIP (printExport.exportPrintZip): { blob, reduced }. */
+  async printZip({ motif, plates, layout, opts }, { isCancelled, onProgress }) {
+    const { bitmap } = await resolveExportMotif(motif, isCancelled)
+    return exportPrintZip(bitmap, plates, layout, opts, (done, total) => {
+      if (isCancelled()) throw abortError()
+      onProgress(done, total)
+    })
+  },
+}
+
+/**
+ * Run a job.
+ *
+ * @param {string} type - key of JOBS
+ * @param {object} payload - job arguments; `locale` sets the language of
+ *   generated texts (e.g. info.txt in the print ZIP)
+ * @param {{ isCancelled?: () => boolean, onProgress?: (done:number, total:number) => void }} [ctx]
+ * @returns {Promise<any>}
+ */
+export async function runJob(type, payload, { isCancelled = () => false, onProgress = () => {} } = {}) {
+  const job = JOBS[type]
+  if (!job) throw new Error(`Unknown render job: ${type}`)
+  if (payload.locale) setActiveLocale(payload.locale)
+  return job(payload, { isCancelled, onProgress })
+}
@@ -0,0 +1,258 @@
+/**
+ * renderUtils.js
+ *
+ * The rendering pipeline shared by CanvasPreview (preview + PNG export), the
+ * PDF sheet and project thumbnails:
+ *
+ *   1) extendMotif   — mirror-extend the decoded motif per mirror settings
+ *   2) renderLayout  — paint all plates onto a canvas at a given px-per-cm
+ *
+ * Keeping both steps here guarantees a thumbnail looks exactly like the
+ * export, only smaller. The steps run inside the render worker (decoding,
+ * caching and encoding live in renderJobs; the main thread talks to it
+ * through renderClient), so they only use worker-safe canvas helpers.
+ */
+
+import { computeCover, createCanvas, mirrorExtendHorizontal } from './imageUtils'
+import { drawCutouts } from './cutoutUtils'
+import { t } from './i18n'
+
+/** Canvas background, also used to show through cutouts. */
+const BACKGROUND = '#f5f6f7'
+
+/** Mirror modes offered in the UI (see resolveMirror). */
+export const MIRROR_MODES = ['off', 'auto', 'always', 'vertical']
+
+/**
+ * Default mirror settings. Spec: layouts wider than 300 cm get a
+ * mirror-extended motif.
+ */
+export const DEFAULT_MIRROR = { mode: 'auto', thresholdCm: 300, tiling: 'mirror' }
+
+/** Allowed range (cm) of the "auto" threshold. */
+export const MIRROR_THRESHOLD_LIMITS = { min: 20, max: 3000 }
+
+/**
+ * Decide whether (and along which axis) the motif gets extended.
+ *
+ * - off:      never
+ * - auto:     horizontally, when the layout is wider than `thresholdCm` and
+ *             than the image aspect
+ * - always:   horizontally, whenever the layout is wider than the image aspect
+ * - vertical: vertically, for layouts taller than the image aspect
+ *
+ * The layout aspect is that of the area the motif covers (motifW × motifH).
+ * A motif that already fits is never extended, so a plan means the motif
+ * really is mirrored (e.g. for the mirror surcharge). Without `imageAspect`
+ * (size not known yet) only the settings decide.
+ *
+ * @param {{ totalW:number, motifW:number, motifH:number }} layout
+ * @param {{ mode:string, thresholdCm:number, tiling:'mirror'|'repeat' }} [mirror]
+ * @param {number} [imageAspect] - width / height of the (oriented) motif
+ * @returns {null | { axis:'x'|'y', tiling:'mirror'|'repeat' }}
+ */
+export function resolveMirror(layout, mirror = DEFAULT_MIRROR, imageAspect) {
+  const tiling = mirror.tiling === 'repeat' ? 'repeat' : 'mirror'
+  const known = Number.isFinite(imageAspect) && imageAspect > 0
+  const layoutAspect = layout.motifW / Math.max(1e-6, layout.motifH)
+  const wider = !known || layoutAspect > imageAspect
+  const taller = !known || layoutAspect < imageAspect
+  switch (mirror.mode) {
+    case 'off':
+      return null
+    case 'always':
+      return wider ? { axis: 'x', tiling } : null
+    case 'vertical':
+      return taller ? { axis: 'y', tiling } : null
+    default:
+      return wider && layout.totalW > (mirror.thresholdCm ?? DEFAULT_MIRROR.thresholdCm)
+        ? { axis: 'x', tiling }
+        : null
+  }
+}
+
+/** Safety cap (px) on the extended motif's long edge. */
+const MAX_EXTENDED_PX = 8192
+
+/**
+ * Pixel size of the motif after mirror extension, without rendering it.
+ * Mirrors the tiling math of imageUtils.mirrorExtendHorizontal, so callers
+ * (e.g. the print-quality check) can reason about the extended image cheaply.
+ *
+ * @param {number} imgW - intrinsic motif width in px
+ * @param {number} imgH - intrinsic motif height in px
+ * @param {{ totalW:number, motifW:number, motifH:number }} layout - see layoutUtils
+ * @param {object} [mirror] - mirror settings from the store
+ * @returns {{ plan: null|{ axis:string, tiling:string }, w:number, h:number, needed:number }}
+ *   needed: requested length along the extension axis (0 without extension)
+ */
+export function mirrorExtent(imgW, imgH, layout, mirror) {
+  const plan = resolveMirror(layout, mirror, imgW / Math.max(1, imgH))
+  if (!plan) return { plan, w: imgW, h: imgH, needed: 0 }
+
+  const vertical = plan.axis === 'y'
+  const needed = Math.min(
+    vertical
+      ? Math.ceil(imgW * (layout.motifH / Math.max(1, layout.motifW)))
+      : Math.ceil(imgH * (layout.motifW / Math.max(1, layout.motifH))),
+    MAX_EXTENDED_PX
+  )
+  const unit = Math.max(1, vertical ? imgH : imgW)
+  const layers = Math.min(
+    Math.max(1, Math.ceil(needed / unit)),
+    Math.max(1, Math.floor(MAX_EXTENDED_PX / unit))
+  )
+  return vertical
+    ? { plan, w: imgW, h: layers * unit, needed }
+    : { plan, w: layers * unit, h: imgH, needed }
+}
+
+/**
+ * Mirror-extend the motif according to the mirror settings (see
+ * resolveMirror).
+ *
+ * @param {ImageBitmap|HTMLImageElement} img - decoded motif
+ * @param {{ totalW:number, motifW:number, motifH:number }} layout - virtual canvas in cm
+ * @param {object} [mirror] - mirror settings from the store
+ * @returns {null | HTMLCanvasElement | OffscreenCanvas} null without extension
+ */
+export function extendMotif(img, layout, mirror) {
+  const { plan, needed } = mirrorExtent(img.width, img.height, layout, mirror)
+  if (!plan) return null
+
+  return mirrorExtendHorizontal(img, needed, MAX_EXTENDED_PX, {
+    tiling: plan.tiling,
+    vertical: plan.axis === 'y',
+  })
+}
+
+/**
+ * Paint the layout onto a new canvas.
+ *
+ * Implementation:
+ * - Map the "cover" image onto the motif area at the given px-per-cm.
+ * - Clip each plate to show its segment (shifted by the plate's motif-space
+ *   offset, so compressed joints work); add shadow + 1px border.
+ * - Joints, cutouts and the space around shorter plates show the background,
+ *   like the preview.
+ * - Corner radius and shadow scale with the density, so a thumbnail is a
+ *   faithful miniature of the 8 px/cm export.
+ * - A layout larger than `maxSize` is rendered at a lower density (never
+ *   cropped). With `region`, only that rectangle of the full-size image is
+ *   rendered (a tile, see layoutExport); tiles line up pixel for pixel.
+ *
+ * @param {ImageBitmap|HTMLImageElement} img - decoded (possibly mirror-extended) motif
+ * @param {Array<{ widthCm:number, heightCm:number }>} plates
+ * @param {object} layout - from layoutUtils.computeLayout
+ * @param {object} [opts]
+ * @param {number} [opts.pxPerCm=8]
+ * @param {number} [opts.maxSize=8000] - longest edge in px (ignored with region)
+ * @param {object} [opts.framing] - motif zoom/focus from the store (see imageUtils.computeCover)
+ * @param {'studio'|'transparent'} [opts.background='studio'] - transparent
+ *   leaves joints, cutouts and the space around plates empty
+ * @param {boolean} [opts.shadow=true] - drop shadow under the plates
+ * @param {boolean} [opts.border=true] - 1px outline of plates and cutouts
+ * @param {{ x:number, y:number, width:number, height:number }} [opts.region] - tile in px
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function renderLayout(
+  img,
+  plates,
+  layout,
+  {
+    pxPerCm = 8,
+    maxSize = 8000,
+    framing,
+    background = 'studio',
+    shadow = true,
+    border = true,
+    region,
+  } = {}
+) {
+  if (!region) {
+    const longest = Math.max(layout.totalW, layout.maxH) * pxPerCm
+    if (longest > maxSize) pxPerCm *= maxSize / longest
+  }
+  const W = Math.max(1, Math.round(layout.totalW * pxPerCm))
+  const H = Math.max(1, Math.round(layout.maxH * pxPerCm))
+  const area = region ?? { x: 0, y: 0, width: W, height: H }
+
+  const canvas = createCanvas(area.width, area.height)
+  const ctx = canvas.getContext('2d')
+  if (!ctx) throw new Error(t('image.errors.canvas'))
+
+  const studio = background !== 'transparent'
+  if (studio) {
+    ctx.fillStyle = BACKGROUND
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+  }
+  ctx.translate(-area.x, -area.y)
+
+  const cover = computeCover(img.width, img.height, layout.motifW, layout.motifH, framing)
+  const s = pxPerCm
+  const sx = -cover.offsetX * s
+  const sy = -cover.offsetY * s
+  const sw = cover.scaledW * s
+  const sh = cover.scaledH * s
+
+  const k = pxPerCm / 8 // density relative to the reference export
+  const r = 6 * k // scale corner radius with export density
+  ctx.save()
+  plates.forEach((p, i) => {
+    const off = layout.offsets[i]
+    const x = off.x0 * s
+    const y = off.y0 * s
+    const w = p.widthCm * s
+    const h = p.heightCm * s
+
+    if (shadow) {
+      ctx.save()
+      ctx.shadowColor = 'rgba(0,0,0,0.18)'
+      ctx.shadowBlur = 18 * k
+      ctx.shadowOffsetY = 8 * k
+      roundRect(ctx, x, y, w, h, r)
+      ctx.fillStyle = 'rgba(255,255,255,0.001)'
+      ctx.fill()
+      ctx.restore()
+    }
+
+    ctx.save()
+    roundRect(ctx, x, y, w, h, r)
+    ctx.clip()
+    ctx.drawImage(img, sx + (off.x0 - off.mx0) * s, sy + (off.y0 - off.my0) * s, sw, sh)
+    ctx.restore()
+
+    drawCutouts(ctx, p, x, y, s, {
+      fill: studio ? BACKGROUND : null,
+      stroke: border ? '#cccccc' : undefined,
+    })
+
+    if (border) {
+      ctx.save()
+      ctx.lineWidth = 1
+      ctx.strokeStyle = '#cccccc'
+      roundRect(ctx, x, y, w, h, r)
+      ctx.stroke()
+      ctx.restore()
+    }
+  })
+  ctx.restore()
+
+  return canvas
+}
+
+/**
+ * roundRect
+ * Draws a rounded rectangle path into the current 2D context.
+ * - radius is clamped to half the smallest dimension to avoid artifacts.
+ */
+export function roundRect(ctx, x, y, w, h, r) {
+  const radius = Math.min(r, w / 2, h / 2)
+  ctx.beginPath()
+  ctx.moveTo(x + radius, y)
+  ctx.arcTo(x + w, y, x + w, y + h, radius)
+  ctx.arcTo(x + w, y + h, x, y + h, radius)
+  ctx.arcTo(x, y + h, x, y, radius)
+  ctx.arcTo(x, y, x + w, y, radius)
+  ctx.closePath()
+}
@@ -0,0 +1,36 @@
+/**
+ * renderWorker.js
+ *
+ * Web Worker entry of the render pipeline: runs renderJobs off the main
+ * thread. Created by renderClient; the message protocol lives there:
+ *
+ *   in:  { id, type, payload }      start a job
+ *        { cancel: id }             cancel it (checked between steps)
+ *   out: { id, progress: [done, total] }
+ *        { id, result } | { id, error: { name, message } }
+ */
+
+import { runJob } from './renderJobs'
+
+// Ids of cancelled jobs that haven't settled yet
+const cancelled = new Set()
+
+self.onmessage = async ({ data }) => {
+  if (data.cancel !== undefined) {
+    cancelled.add(data.cancel)
+    return
+  }
+
+  const { id, type, payload } = data
+  try {
+    const result = await runJob(type, payload, {
+      isCancelled: () => cancelled.has(id),
+      onProgress: (done, total) => self.postMessage({ id, progress: [done, total] }),
+    })
+    self.postMessage({ id, result })
+  } catch (err) {
+    self.postMessage({ id, error: { name: err?.name, message: err?.message || String(err) } })
+  } finally {
+    cancelled.delete(id)
+  }
+}
@@ -0,0 +1,366 @@
+/**
+ * shareLink.js
+ *
+ * Encode a layout into a compact, versioned URL hash and decode it again.
+ *
+ * Format:
+ *   #layout=<version>.<payload>
+ *   payload = base64url(JSON.stringify({ p, m, mc, f, ad, u, mi, a, mt }))
+ *     p:  [[widthMm, heightMm, gapAfterMm?, offsetYMm?, cutouts?], ...]
+ *         integers (0.1 cm precision, like the store); optional per-joint gap
+ *         override, vertical plate offset and cutouts, each `null` when unset
+ *         but followed by a later entry. A cutout is
+ *         [shape, anchor, xMm, yMm, wMm, hMm, rMm] with shape/anchor as
+ *         indices into CUTOUT_SHAPES / CUTOUT_ANCHORS.
+ *     m:  motif URL (omitted for local uploads — those only exist in this browser)
+ *     mc: article number of a library motif (see utils/motifCatalog); the
+ *         recipient's own catalog entry wins over `m`
+ *     f:  [zoom, focusX, focusY] motif framing (omitted when neutral or without `m`)
+ *     ad: [brightness, contrast, saturation, hue, tone, flipX, flipY, rotation]
+ *         motif adjustments; flips as 1/0 (omitted when neutral or without `m`)
+ *     u:  "cm" | "mm" | "in"
+ *     mi: [mode, thresholdCm, tiling] mirror settings (omitted when default)
+ *     a:  [gapMm, gapMode, align] arrangement (omitted when default)
+ *     mt: material profile id (omitted for the default profile)
+ *
+ * Version history:
+ *   1: `mi` was a 1/0 flag that never affected rendering; it is ignored.
+ *   2: `mi` carries the mirror settings.
+ *   3: joint gaps (`a`, third plate entry).
+ *   4: vertical alignment (`a[2]`) and plate offsets (fourth plate entry).
+ *   5: cutouts (fifth plate entry).
+ *   6: material profile (`mt`); sizes are validated against its limits.
+ *   7: motif adjustments (`ad`).
+ *   8: library motif (`mc`).
+ *
+ * Notes:
+ * - A hash is never sent to the server, so links work on static hosting.
+ * - Decoding validates against the link's material profile (older links: the
+ *   default profile) and clamps out-of-range values (sizes, joints, offsets,
+ *   mirror threshold, framing, adjustments), reporting each correction in
+ *   `warnings` (never silently).
+ */
+
+import { DEFAULT_FRAMING, MAX_ZOOM } from './imageUtils'
+import { DEFAULT_ADJUSTMENTS, TONES, isNeutralAdjustments, normalizeAdjustments } from './adjustments'
+import { isLocalMotif } from './motifStorage'
+import { catalogMotifUrl, getCatalogMotif } from './motifCatalog'
+import { DEFAULT_MIRROR, MIRROR_MODES, MIRROR_THRESHOLD_LIMITS } from './renderUtils'
+import { ALIGN_MODES, DEFAULT_ARRANGEMENT, MAX_GAP_CM, MAX_OFFSET_Y_CM } from './layoutUtils'
+import { CUTOUT_ANCHORS, CUTOUT_SHAPES } from './cutoutUtils'
+import { UNITS } from './units'
+import { DEFAULT_PROFILE_ID, MATERIAL_PROFILES, getProfile, profileLimits } from './materialProfiles'
+import { t } from './i18n'
+
+/** Hash parameter name. */
+export const SHARE_PARAM = 'layout'
+
+/** Current payload version; bump when the payload shape changes. */
+export const SHARE_VERSION = 8
+
+/** Clamp a numeric value into [min, max]. */
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v))
+
+function toBase64Url(str) {
+  const bytes = new TextEncoder().encode(str)
+  let bin = ''
+  for (const b of bytes) bin += String.fromCharCode(b)
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(s) {
+  const b64 = s.replace(/-/g, '+').replace(/_/g, '/')
+  const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4))
+  const bytes = Uint8Array.from(bin, (c) => c.charCodeAt(0))
+  return new TextDecoder().decode(bytes)
+}
+
+const mm = (cm) => Math.round((cm || 0) * 10)
+
+function encodeCutout(c) {
+  return [
+    CUTOUT_SHAPES.indexOf(c.shape),
+    CUTOUT_ANCHORS.indexOf(c.anchor),
+    mm(c.x),
+    mm(c.y),
+    mm(c.w),
+    mm(c.h),
+    mm(c.r),
+  ]
+}
+
+/** Cutout from its link form, or null if malformed (ids are added on load). */
+function decodeCutout(entry) {
+  if (!Array.isArray(entry) || entry.length !== 7 || !entry.every(Number.isFinite)) return null
+  const [shape, anchor, x, y, w, h, r] = entry
+  if (!CUTOUT_SHAPES[shape] || !CUTOUT_ANCHORS[anchor]) return null
+  return {
+    shape: CUTOUT_SHAPES[shape],
+    anchor: CUTOUT_ANCHORS[anchor],
+    x: Math.max(0, x / 10),
+    y: Math.max(0, y / 10),
+    w: Math.max(0.1, w / 10),
+    h: Math.max(0.1, h / 10),
+    r: Math.max(0, r / 10),
+  }
+}
+
+/**
+ * Serialize the layout part of the store.
+ *
+ * @param {{ plates:Array, motifUrl:string, motifCatalogId?:string|null, framing?:object, adjustments?:object, unit:string,
+ *   mirror?:object, arrangement?:object, materialId?:string }} layout
+ * @returns {{ hash:string, includesMotif:boolean }}
+ */
+export function encodeShareHash(layout) {
+  const includesMotif = !!layout.motifUrl && !isLocalMotif(layout.motifUrl)
+  const data = {
+    p: layout.plates.map((p) => {
+      const entry = [
+        Math.round(p.widthCm * 10),
+        Math.round(p.heightCm * 10),
+        p.gapAfterCm === undefined ? null : Math.round(p.gapAfterCm * 10),
+        p.offsetYCm ? Math.round(p.offsetYCm * 10) : null,
+        p.cutouts?.length ? p.cutouts.map(encodeCutout) : null,
+      ]
+      while (entry.length > 2 && entry[entry.length - 1] === null) entry.pop()
+      return entry
+    }),
+    u: layout.unit,
+  }
+  if (includesMotif) {
+    data.m = layout.motifUrl
+    if (layout.motifCatalogId) data.mc = layout.motifCatalogId
+  }
+  // Framing and adjustments belong to the motif: without it they would be
+  // applied to whatever motif the recipient has
+  const f = includesMotif && layout.framing
+  if (f && (f.zoom !== 1 || f.focusX !== 0.5 || f.focusY !== 0.5)) {
+    data.f = [+f.zoom.toFixed(3), +f.focusX.toFixed(4), +f.focusY.toFixed(4)]
+  }
+  const ad = includesMotif && layout.adjustments
+  if (ad && !isNeutralAdjustments(ad)) {
+    data.ad = [
+      ad.brightness,
+      ad.contrast,
+      ad.saturation,
+      ad.hue,
+      ad.tone,
+      ad.flipX ? 1 : 0,
+      ad.flipY ? 1 : 0,
+      ad.rotation,
+    ]
+  }
+  const mi = layout.mirror
+  if (
+    mi &&
+    (mi.mode !== DEFAULT_MIRROR.mode ||
+      mi.thresholdCm !== DEFAULT_MIRROR.thresholdCm ||
+      mi.tiling !== DEFAULT_MIRROR.tiling)
+  ) {
+    data.mi = [mi.mode, mi.thresholdCm, mi.tiling]
+  }
+  const a = layout.arrangement
+  if (
+    a &&
+    (a.gapCm !== DEFAULT_ARRANGEMENT.gapCm ||
+      a.gapMode !== DEFAULT_ARRANGEMENT.gapMode ||
+      a.align !== DEFAULT_ARRANGEMENT.align)
+  ) {
+    data.a = [Math.round(a.gapCm * 10), a.gapMode, a.align]
+  }
+  if (layout.materialId && layout.materialId !== DEFAULT_PROFILE_ID) {
+    data.mt = layout.materialId
+  }
+
+  const payload = toBase64Url(JSON.stringify(data))
+  return { hash: `#${SHARE_PARAM}=${SHARE_VERSION}.${payload}`, includesMotif }
+}
+
+/**
+ * Full shareable URL for the current page.
+ *
+ * @param {object} layout - see encodeShareHash
+ * @returns {{ url:string, includesMotif:boolean }}
+ */
+export function buildShareUrl(layout) {
+  const { hash, includesMotif } = encodeShareHash(layout)
+  const base = window.location.href.split('#')[0]
+  return { url: base + hash, includesMotif }
+}
+
+/**
+ * Parse a location hash.
+ *
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {null | { layout: object, warnings: string[] }}
+ *   null if the hash carries no layout. Throws on malformed or unsupported
+ *   payloads. `layout` only contains the keys present in the link.
+ */
+export function decodeShareHash(hash) {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''))
+  const raw = params.get(SHARE_PARAM)
+  if (!raw) return null
+
+  const dot = raw.indexOf('.')
+  const version = Number(raw.slice(0, dot))
+  if (dot < 1 || !Number.isInteger(version)) throw new Error(t('share.errors.invalid'))
+  if (version > SHARE_VERSION) {
+    throw new Error(t('share.errors.newer'))
+  }
+
+  let data
+  try {
+    data = JSON.parse(fromBase64Url(raw.slice(dot + 1)))
+  } catch {
+    throw new Error(t('share.errors.corrupt'))
+  }
+
+  const warnings = []
+  // Clamp into [min, max]; a correction is reported as share.warnings.<key>
+  const limit = (value, min, max, key, params) => {
+    const v = clamp(value, min, max)
+    if (v !== value) warnings.push(t(`share.warnings.${key}`, { ...params, value: v, min, max }))
+    return v
+  }
+  if (!Array.isArray(data?.p) || data.p.length === 0) {
+    throw new Error(t('share.errors.noPlates'))
+  }
+
+  let materialId = DEFAULT_PROFILE_ID
+  if (data.mt !== undefined) {
+    if (MATERIAL_PROFILES.some((m) => m.id === data.mt)) {
+      materialId = data.mt
+    } else {
+      warnings.push(t('share.warnings.material'))
+    }
+  }
+  const limits = profileLimits(getProfile(materialId))
+
+  let list = data.p
+  if (list.length > limits.maxPlates) {
+    warnings.push(t('share.warnings.tooMany', { max: limits.maxPlates }))
+    list = list.slice(0, limits.maxPlates)
+  }
+
+  const plates = list.map((pair, i) => {
+    const [wMm, hMm] = Array.isArray(pair) ? pair.map(Number) : []
+    const [gapMm, offsetMm, cutouts] = Array.isArray(pair) ? pair.slice(2) : []
+    if (!Number.isFinite(wMm) || !Number.isFinite(hMm)) {
+      throw new Error(t('share.errors.plate', { n: i + 1 }))
+    }
+    const n = i + 1
+    const plate = {
+      widthCm: limit(wMm / 10, limits.minW, limits.maxW, 'width', { n }),
+      heightCm: limit(hMm / 10, limits.minH, limits.maxH, 'height', { n }),
+    }
+    if (Number.isFinite(gapMm)) {
+      plate.gapAfterCm = limit(gapMm / 10, 0, MAX_GAP_CM, 'gapAfter', { n })
+    }
+    if (Number.isFinite(offsetMm) && offsetMm !== 0) {
+      plate.offsetYCm = limit(offsetMm / 10, -MAX_OFFSET_Y_CM, MAX_OFFSET_Y_CM, 'offsetY', { n })
+    }
+    if (Array.isArray(cutouts)) {
+      plate.cutouts = cutouts.map(decodeCutout).filter(Boolean)
+      if (plate.cutouts.length < cutouts.length) {
+        warnings.push(t('share.warnings.cutouts', { n }))
+      }
+    }
+    return plate
+  })
+
+  const layout = {
+    plates,
+    unit: UNITS.includes(data.u) ? data.u : 'cm',
+    mirror: DEFAULT_MIRROR,
+    arrangement: DEFAULT_ARRANGEMENT,
+  }
+  // Links before version 6 carry no material; keep the recipient's choice
+  if (version >= 6) layout.materialId = materialId
+  if (Array.isArray(data.a) && Number.isFinite(data.a[0])) {
+    layout.arrangement = {
+      gapCm: limit(data.a[0] / 10, 0, MAX_GAP_CM, 'gap'),
+      gapMode: data.a[1] === 'compress' ? 'compress' : 'through',
+      align: ALIGN_MODES.includes(data.a[2]) ? data.a[2] : 'bottom',
+    }
+  }
+  if (version >= 2 && Array.isArray(data.mi) && data.mi.length === 3) {
+    const [mode, thresholdCm, tiling] = data.mi
+    if (MIRROR_MODES.includes(mode) && Number.isFinite(thresholdCm)) {
+      layout.mirror = {
+        mode,
+        thresholdCm: limit(
+          Math.round(thresholdCm),
+          MIRROR_THRESHOLD_LIMITS.min,
+          MIRROR_THRESHOLD_LIMITS.max,
+          'mirrorThreshold'
+        ),
+        tiling: tiling === 'repeat' ? 'repeat' : 'mirror',
+      }
+    } else {
+      warnings.push(t('share.warnings.mirror'))
+    }
+  }
+
+  const entry = typeof data.mc === 'string' ? getCatalogMotif(data.mc) : null
+  if (data.mc !== undefined && !entry) warnings.push(t('share.warnings.catalogMotif'))
+  if (entry) {
+    layout.motifUrl = catalogMotifUrl(entry)
+    layout.motifCatalogId = entry.id
+  } else if (typeof data.m === 'string' && /^https?:\/\//i.test(data.m)) {
+    layout.motifUrl = data.m
+    layout.motifCatalogId = null
+  } else if (data.m !== undefined) {
+    warnings.push(t('share.warnings.motif'))
+  }
+
+  // Framing and adjustments only come with the link's motif; otherwise the
+  // recipient keeps their own motif as it is
+  if (layout.motifUrl === undefined) return { layout, warnings }
+
+  if (Array.isArray(data.f) && data.f.length === 3 && data.f.every(Number.isFinite)) {
+    const [zoom, focusX, focusY] = data.f
+    const framing = {
+      zoom: clamp(zoom, 1, MAX_ZOOM),
+      focusX: clamp(focusX, 0, 1),
+      focusY: clamp(focusY, 0, 1),
+    }
+    if (framing.zoom !== zoom || framing.focusX !== focusX || framing.focusY !== focusY) {
+      warnings.push(t('share.warnings.framing'))
+    }
+    layout.framing = framing
+  } else {
+    layout.framing = DEFAULT_FRAMING
+  }
+  layout.adjustments = DEFAULT_ADJUSTMENTS
+  if (data.ad !== undefined) {
+    const ad = Array.isArray(data.ad) ? data.ad : []
+    const [brightness, contrast, saturation, hue, tone, flipX, flipY, rotation] = ad
+    const valid =
+      ad.length === 8 &&
+      [brightness, contrast, saturation, hue, rotation].every(Number.isFinite) &&
+      TONES.includes(tone)
+    if (valid) {
+      const raw = { brightness, contrast, saturation, hue, rotation }
+      layout.adjustments = normalizeAdjustments({
+        ...raw,
+        tone,
+        flipX: flipX === 1,
+        flipY: flipY === 1,
+      })
+      if (Object.keys(raw).some((key) => layout.adjustments[key] !== raw[key])) {
+        warnings.push(t('share.warnings.adjustmentsLimited'))
+      }
+    } else {
+      warnings.push(t('share.warnings.adjustments'))
+    }
+  }
+
+  return { layout, warnings }
+}
+
+/** Remove the layout parameter from the address bar without reloading. */
+export function clearShareHash() {
+  const { pathname, search } = window.location
+  window.history.replaceState(null, '', pathname + search)
+}
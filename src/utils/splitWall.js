@@ -0,0 +1,163 @@
+/**
+ * splitWall.js
+ *
+ * Split a wall of known size into plates that respect the size limits.
+ *
+ * Strategies:
+ * - 'fewest':   as few plates as possible; all full-width except the last
+ *               (which is balanced with its neighbour if it would be too narrow)
+ * - 'equal':    as few plates as possible, all the same width
+ * - 'standard': plates of a preferred width, the remainder at the start or
+ *               end (merged into / split with a neighbour if too narrow)
+ *
+ * Widths are rounded to 0.1 cm (store precision); the last plate absorbs the
+ * rounding so the sum matches the wall exactly. Joints between plates
+ * (arrangement gap) are subtracted from the wall width first.
+ */
+
+import { DEFAULT_PROFILE_ID, getProfile, profileLimits } from './materialProfiles'
+import { t } from './i18n'
+
+/** Default limits (cm / count): those of the default material profile. */
+export const DEFAULT_SPLIT_LIMITS = profileLimits(getProfile(DEFAULT_PROFILE_ID))
+
+/** Strategies offered in the UI. */
+export const SPLIT_STRATEGIES = ['fewest', 'equal', 'standard']
+
+const round1 = (v) => Math.round(v * 10) / 10
+
+/** n widths summing exactly to `total`. */
+function equalWidths(total, n) {
+  const w = round1(total / n)
+  const widths = Array(n).fill(w)
+  widths[n - 1] = round1(total - w * (n - 1))
+  return widths
+}
+
+function fewest(total, { minW, maxW }) {
+  const n = Math.ceil(total / maxW)
+  const widths = Array(n).fill(maxW)
+  widths[n - 1] = round1(total - maxW * (n - 1))
+  if (n > 1 && widths[n - 1] < minW) {
+    // Share the last two plates' width so neither is too narrow
+    const pair = equalWidths(maxW + widths[n - 1], 2)
+    widths.splice(n - 2, 2, ...pair)
+  }
+  return widths
+}
+
+function standard(total, { minW, maxW }, standardW, remainderAt) {
+  const std = Math.min(maxW, Math.max(minW, standardW))
+  const k = Math.floor(total / std)
+  const rest = round1(total - k * std)
+  let widths = Array(k).fill(std)
+
+  if (rest > 0) {
+    if (rest >= minW || k === 0) {
+      widths.push(rest)
+    } else if (std + rest <= maxW) {
+      // Too narrow on its own: widen one standard plate instead
+      widths[k - 1] = round1(std + rest)
+    } else {
+      widths.splice(k - 1, 1, ...equalWidths(std + rest, 2))
+    }
+  }
+  if (remainderAt === 'start') widths = widths.reverse()
+  return widths
+}
+
+/**
+ * Split a wall.
+ *
+ * @param {number} wallW - total wall width in cm (incl. joints)
+ * @param {number} wallH - wall height in cm (= plate height)
+ * @param {{
+ *   strategy?: 'fewest'|'equal'|'standard',
+ *   standardW?: number, remainderAt?: 'start'|'end',
+ *   plateCount?: number, gapCm?: number, limits?: object
+ * }} [opts] plateCount: force a number of plates for 'equal'
+ * @returns {{ widths:number[], heightCm:number, problems:string[] }}
+ *   problems: messages in the UI language; empty if the split is valid
+ */
+export function splitWall(
+  wallW,
+  wallH,
+  {
+    strategy = 'fewest',
+    standardW = 100,
+    remainderAt = 'end',
+    plateCount,
+    gapCm = 0,
+    limits = DEFAULT_SPLIT_LIMITS,
+  } = {}
+) {
+  const problems = []
+  const heightCm = round1(wallH)
+  if (!(wallW > 0) || !(wallH > 0)) {
+    return { widths: [], heightCm, problems: [t('split.errors.missing')] }
+  }
+  if (heightCm < limits.minH || heightCm > limits.maxH) {
+    problems.push(t('split.errors.height', { min: limits.minH, max: limits.maxH }))
+  }
+
+  // Without joints first, to know the plate count; then subtract the joints
+  const plates = (total) => {
+    if (strategy === 'equal') {
+      return equalWidths(total, plateCount ?? Math.ceil(total / limits.maxW))
+    }
+    if (strategy === 'standard') return standard(total, limits, standardW, remainderAt)
+    return fewest(total, limits)
+  }
+  let widths = plates(round1(wallW))
+  for (let i = 0; i < 3 && gapCm > 0; i++) {
+    const next = plates(round1(wallW - gapCm * (widths.length - 1)))
+    if (next.length === widths.length) {
+      widths = next
+      break
+    }
+    widths = next
+  }
+
+  if (widths.length > limits.maxPlates) {
+    problems.push(t('split.errors.tooMany', { count: widths.length, max: limits.maxPlates }))
+  }
+  if (widths.some((w) => w < limits.minW || w > limits.maxW)) {
+    problems.push(t('split.errors.width', { min: limits.minW, max: limits.maxW }))
+  }
+  return { widths, heightCm, problems }
+}
+
+/**
+ * The chosen split plus sensible alternatives (other strategies, one plate
+ * more with equal widths, remainder on the other side), without duplicates.
+ * The chosen one comes first and is marked `preferred`.
+ *
+ * @param {number} wallW
+ * @param {number} wallH
+ * @param {object} opts - see splitWall
+ * @returns {Array<{ key:string, strategy:string, remainderAt?:string,
+ *   widths:number[], heightCm:number, problems:string[], preferred:boolean }>}
+ */
+export function splitAlternatives(wallW, wallH, opts = {}) {
+  const chosen = { strategy: opts.strategy ?? 'fewest', remainderAt: opts.remainderAt ?? 'end' }
+  const base = splitWall(wallW, wallH, { ...opts, strategy: 'fewest' })
+  const variants = [
+    chosen,
+    { strategy: 'fewest' },
+    { strategy: 'equal' },
+    { strategy: 'equal', plateCount: base.widths.length + 1 },
+    { strategy: 'standard', remainderAt: 'end' },
+    { strategy: 'standard', remainderAt: 'start' },
+  ]
+
+  const seen = new Set()
+  const result = []
+  variants.forEach((v, i) => {
+    const split = splitWall(wallW, wallH, { ...opts, ...v })
+    const key = split.widths.join('|')
+    if (!split.widths.length || seen.has(key)) return
+    seen.add(key)
+    result.push({ key, ...v, ...split, preferred: i === 0 })
+  })
+  return result
+}
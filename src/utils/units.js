@@ -0,0 +1,252 @@
+/**
+ * units.js
+ *
+ * Length units: conversion, rounding, display and parsing of user input.
+ *
+ * Model:
+ * - The store keeps every length in cm, rounded to 0.1 cm (1 mm).
+ * - The UI shows lengths in the active unit: cm (0.1), mm (1) or inches,
+ *   either decimal (0.1) or as fractions (48 3/8) at 1/8 or 1/16 precision.
+ *
+ * Round trip:
+ * - Values typed in cm or mm are stored exactly.
+ * - 1 mm is finer than half of 1/16 in, so a fraction typed in inches comes
+ *   back as the same fraction. Going the other way (displaying a stored
+ *   value as a fraction) rounds; NumberInput therefore only commits text the
+ *   user actually changed.
+ *
+ * Input (parseLength):
+ * - Arithmetic with + - * / and parentheses: `300-2*1.5`, `(120+60)/2`.
+ * - Numbers follow the active locale (see utils/i18n): its decimal separator
+ *   is the decimal mark and its grouping separator is skipped between groups
+ *   of three digits (`1.250,5` in German, `1,250.5` in English). Anything
+ *   else reads either "," or "." as decimal mark, so `1,5` and `1.5` both
+ *   work everywhere.
+ * - Mixed fractions with a space: `48 3/8`.
+ * - Suffixes mm, cm, m, in, " override the active unit for that number:
+ *   `120cm`, `47in`, `48 3/8"`. Unsuffixed numbers are in the active unit.
+ * - parseNumber reads the same input without units, for plain values such
+ *   as DPI.
+ */
+
+import { numberSeparators, t } from './i18n'
+
+/** Units offered in the UI. */
+export const UNITS = ['cm', 'mm', 'in']
+
+/** Exact conversion factor cm <-> inches. */
+export const CM_PER_IN = 2.54
+
+/** Centimetres per unit (including the input-only suffix `m`). */
+const CM_PER_UNIT = { mm: 0.1, cm: 1, m: 100, in: CM_PER_IN }
+
+/**
+ * Inch display modes: 0 = decimal (0.1 in), otherwise the fraction
+ * denominator.
+ */
+export const INCH_FRACTIONS = [0, 8, 16]
+
+/** Round a cm value to store precision (0.1 cm). */
+export const roundCm = (cm) => Math.round(cm * 10) / 10
+
+/** Convert a cm value to `unit` (unrounded). */
+export const cmTo = (cm, unit) => cm / (CM_PER_UNIT[unit] ?? 1)
+
+/** Convert a value in `unit` to cm (unrounded). */
+export const toCm = (value, unit) => value * (CM_PER_UNIT[unit] ?? 1)
+
+/** Step between displayed values in a unit (decimal display). */
+export const unitStep = (unit) => (unit === 'mm' ? 1 : 0.1)
+
+/**
+ * Round a value in `unit` to its display step (0.1 cm, 1 mm, 0.1 in).
+ * Use for plain numeric inputs; NumberInput uses formatLength.
+ */
+export const roundInUnit = (value, unit) =>
+  unit === 'mm' ? Math.round(value) : Math.round(value * 10) / 10
+
+/** Greatest common divisor (for reducing fractions). */
+const gcd = (a, b) => (b ? gcd(b, a % b) : a)
+
+/**
+ * Format inches as a mixed fraction, e.g. 48.375 → "48 3/8".
+ *
+ * @param {number} inches
+ * @param {number} denominator - 8 or 16
+ * @returns {string}
+ */
+export function formatInchFraction(inches, denominator) {
+  const sign = inches < 0 ? '-' : ''
+  const ticks = Math.round(Math.abs(inches) * denominator)
+  const whole = Math.floor(ticks / denominator)
+  const rest = ticks % denominator
+  if (!rest) return `${sign}${whole}`
+  const d = gcd(rest, denominator)
+  const fraction = `${rest / d}/${denominator / d}`
+  return whole ? `${sign}${whole} ${fraction}` : `${sign}${fraction}`
+}
+
+/**
+ * Display text for a stored length, with the locale's decimal separator.
+ * No digit grouping, so the text can be edited and parsed back as is.
+ *
+ * @param {number} cm
+ * @param {string} unit - one of UNITS
+ * @param {{ inchFraction?:number }} [opts] - see INCH_FRACTIONS
+ * @returns {string}
+ */
+export function formatLength(cm, unit, { inchFraction = 0 } = {}) {
+  const v = cmTo(cm, unit)
+  if (unit === 'in' && inchFraction) return formatInchFraction(v, inchFraction)
+  return String(roundInUnit(v, unit)).replace('.', numberSeparators().decimal)
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Regex for one number in the active locale: grouped digits with the locale's
+ * separators first (first group without leading zero), then a plain number with "," or "." as decimal mark.
+ * Captures the normalized parts: [1] grouped number, [2] plain number.
+ */
+function numberPattern() {
+  const { decimal, group } = numberSeparators()
+  const g = escapeRe(group)
+  const d = escapeRe(decimal)
+  return new RegExp(`^(?:([1-9]\\d{0,2}(?:${g}\\d{3})+(?:${d}\\d*)?)(?![\\d.,])|(\\d+(?:[.,]\\d*)?|[.,]\\d+))`)
+}
+
+/** Numeric value of a number token matched by numberPattern. */
+function numberValue(match) {
+  if (match[1]) {
+    const { decimal, group } = numberSeparators()
+    return Number(match[1].split(group).join('').replace(decimal, '.'))
+  }
+  return Number(match[2].replace(',', '.'))
+}
+
+/** Input suffixes, longest first so "mm" wins over "m". */
+const SUFFIXES = [
+  ['mm', 'mm'],
+  ['cm', 'cm'],
+  ['in', 'in'],
+  ['m', 'm'],
+  ['"', 'in'],
+  ['″', 'in'],
+]
+
+/**
+ * Split an input string into tokens: numbers (with optional unit), operators
+ * and parentheses. Throws on anything else.
+ */
+function tokenize(text) {
+  const tokens = []
+  const plainNumber = numberPattern()
+  let i = 0
+  const s = text.trim()
+  while (i < s.length) {
+    const rest = s.slice(i)
+    const space = /^\s+/.exec(rest)
+    if (space) {
+      i += space[0].length
+      continue
+    }
+    // Mixed fraction "48 3/8" or a number "1,5" / ".5" / "1.250,5"
+    const fraction = /^(\d+)\s+(\d+)\s*\/\s*(\d+)/.exec(rest)
+    const num = fraction ?? plainNumber.exec(rest)
+    if (num) {
+      const value = fraction
+        ? Number(num[1]) + Number(num[2]) / Number(num[3])
+        : numberValue(num)
+      i += num[0].length
+      const after = s.slice(i).replace(/^\s+/, '')
+      const suffix = SUFFIXES.find(([text]) => after.toLowerCase().startsWith(text))
+      if (suffix && !/^[a-z]/i.test(after.slice(suffix[0].length))) {
+        i = s.length - after.length + suffix[0].length
+        tokens.push({ type: 'num', value, unit: suffix[1] })
+      } else {
+        tokens.push({ type: 'num', value, unit: null })
+      }
+      continue
+    }
+    if ('+-*/()'.includes(rest[0])) {
+      tokens.push({ type: rest[0] })
+      i += 1
+      continue
+    }
+    throw new Error(t('units.errors.unexpected', { char: rest[0] }))
+  }
+  return tokens
+}
+
+/**
+ * Evaluate an input expression. Numbers with a suffix are converted to
+ * `unit`; without a unit (plain numbers) a suffix makes the input invalid.
+ *
+ * @returns {number} value in `unit`, or NaN
+ */
+function evaluate(text, unit) {
+  let tokens
+  try {
+    tokens = tokenize(String(text ?? ''))
+  } catch {
+    return NaN
+  }
+  if (!tokens.length) return NaN
+
+  let pos = 0
+  const peek = () => tokens[pos]?.type
+  // Recursive descent; values are in the active unit
+  const expr = () => {
+    let v = term()
+    while (peek() === '+' || peek() === '-') {
+      v = tokens[pos++].type === '+' ? v + term() : v - term()
+    }
+    return v
+  }
+  const term = () => {
+    let v = factor()
+    while (peek() === '*' || peek() === '/') {
+      v = tokens[pos++].type === '*' ? v * factor() : v / factor()
+    }
+    return v
+  }
+  const factor = () => {
+    const t = tokens[pos++]
+    if (!t) return NaN
+    if (t.type === '-') return -factor()
+    if (t.type === '+') return factor()
+    if (t.type === 'num') {
+      if (!t.unit) return t.value
+      return unit ? cmTo(toCm(t.value, t.unit), unit) : NaN
+    }
+    if (t.type === '(') {
+      const v = expr()
+      return tokens[pos++]?.type === ')' ? v : NaN
+    }
+    return NaN
+  }
+
+  const value = expr()
+  return pos === tokens.length && Number.isFinite(value) ? value : NaN
+}
+
+/**
+ * Parse user input into cm (rounded to store precision).
+ *
+ * @param {string} text - e.g. "120", "300-2*1.5", "47in", "48 3/8\""
+ * @param {string} unit - active unit for numbers without suffix
+ * @returns {number} cm, or NaN if the input is not a valid expression
+ */
+export function parseLength(text, unit) {
+  return roundCm(toCm(evaluate(text, unit), unit))
+}
+
+/**
+ * Parse a plain number (no unit suffixes), e.g. "300", "2*150", "1,5".
+ *
+ * @param {string} text
+ * @returns {number} value, or NaN if the input is not a valid expression
+ */
+export function parseNumber(text) {
+  return evaluate(text, null)
+}